@@ -0,0 +1,263 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const { createAuth } = require('./lib/auth');
+const { createSpamFilter } = require('./lib/spam');
+const { createMailer } = require('./lib/mailer');
+const { createDeliveryQueue } = require('./lib/campaigns');
+const { createRateLimiter, rateLimitSettings } = require('./lib/rate-limit');
+const { createMigrator } = require('./lib/migrations');
+const { createSearch } = require('./lib/search');
+const {
+  likeCountCacheKey,
+  commentCountCacheKey,
+  createCounterCache,
+  createCounterReconciler
+} = require('./lib/counters');
+const { createIdempotency } = require('./lib/idempotency');
+const { createPostEvents } = require('./lib/events');
+const { createValidator } = require('./lib/validation');
+const { createApiVersioning } = require('./lib/api-version');
+const { createMetrics } = require('./lib/metrics');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const { NotFoundError, requestId, createErrorHandler } = require('./lib/errors');
+const { TAG_COUNTS_CACHE_KEY, CATEGORY_COUNTS_CACHE_KEY, FEED_VERSION_KEY, createPostScheduler } = require('./lib/posts');
+const { createUnsubscribeSigner } = require('./lib/newsletter');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createPostsRouter } = require('./routes/posts');
+const { createLikesRouter } = require('./routes/likes');
+const { createCommentsRouter } = require('./routes/comments');
+const { createAnalyticsRouter } = require('./routes/analytics');
+const { createNewsletterRouter } = require('./routes/newsletter');
+const { createFeedbackRouter } = require('./routes/feedback');
+const { createAuthRouter } = require('./routes/auth');
+const { createDocsRouter } = require('./routes/docs');
+
+/**
+ * Build the Express app with every route. Nothing here connects, migrates or listens,
+ * so tests can run the whole route surface in-process.
+ *
+ * db     - a pg Pool, or anything with the same query()/connect() interface
+ * cache  - a connected node-redis v4 client
+ * logger - a winston logger
+ * clock  - () => milliseconds since the epoch, for checks that depend on the time
+ * mailer - outgoing mail transport; defaults to the one configured by MAILER_TRANSPORT
+ *
+ * Background jobs (newsletter sending, scheduled publishing, counter reconciliation,
+ * the event stream subscriber) are built but not started. They are on
+ * app.locals.services for server.js to start and stop.
+ */
+function createApp({ db: pool, cache: redisClient, logger, clock = Date.now, mailer = createMailer({ logger }) }) {
+  const app = express();
+
+  // Prometheus metrics, in a registry of this app's own
+  const metrics = createMetrics({ logger, queueDepth: () => deliveryQueue.depth() });
+
+  // Versioned schema migrations (backend/migrations)
+  const migrator = createMigrator({ pool, logger });
+
+  // Admin authentication (JWT access tokens, Redis-backed refresh tokens and revocation)
+  const auth = createAuth({ pool, redisClient, logger });
+
+  const rateLimiter = createRateLimiter({ redisClient, logger, metrics: { hits: metrics.rateLimitHits } });
+
+  // Comment spam scoring pipeline, retrained periodically from moderation decisions
+  const spamFilter = createSpamFilter({ pool, logger, clock });
+
+  // Newsletter unsubscribe link signing
+  const unsubscribeSigner = createUnsubscribeSigner();
+
+  // Newsletter campaign send queue; every pod runs a worker unless disabled
+  const deliveryQueue = createDeliveryQueue({
+    pool,
+    redisClient,
+    mailer,
+    unsubscribeSigner,
+    logger,
+    metrics: { deliveries: metrics.newsletterDeliveries }
+  });
+
+  // Full-text search over posts and approved comments, cached in Redis
+  const postSearch = createSearch({ pool, redisClient, logger });
+
+  // Drop cached data derived from the set of published posts; call whenever a post changes
+  const invalidatePostCaches = async () => {
+    try {
+      await redisClient.del([TAG_COUNTS_CACHE_KEY, CATEGORY_COUNTS_CACHE_KEY]);
+      await redisClient.incr(FEED_VERSION_KEY);
+      await postSearch.invalidate();
+    } catch (error) {
+      logger.error('Error invalidating post caches', error);
+    }
+  };
+
+  // Publishes scheduled posts when their publish_at passes
+  const postScheduler = createPostScheduler({
+    pool,
+    logger,
+    onPublish: async (posts) => {
+      metrics.postsPublished.inc({ trigger: 'scheduled' }, posts.length);
+      await invalidatePostCaches();
+    }
+  });
+
+  // Redis copies of the posts.like_count / comment_count counters
+  const counterCache = createCounterCache({ redisClient, logger });
+
+  // Replays stored responses for retried writes that carry an Idempotency-Key
+  const idempotency = createIdempotency({ redisClient, logger });
+
+  // Per-route request schemas (lib/schemas.js), checked before the handler runs
+  const { validate } = createValidator({ metrics: { failures: metrics.validationFailures } });
+
+  // /api/v1 route paths, plus the deprecated unversioned aliases unless API_LEGACY_ROUTES=false
+  const api = createApiVersioning({ logger, metrics: { legacyRequests: metrics.legacyApiRequests } });
+
+  // Live like and comment updates, fanned out to every pod's event streams through Redis pub/sub
+  const postEvents = createPostEvents({ redisClient, logger, metrics: { openStreams: metrics.openEventStreams } });
+
+  // Recounts reactions, comments and comment likes periodically and fixes any counter that drifted
+  const counterReconciler = createCounterReconciler({
+    pool,
+    logger,
+    onCorrected: async ({ posts, comments }) => {
+      const { postCounterCorrections } = metrics;
+      for (const row of posts) {
+        if (row.stored_like_count !== row.like_count) postCounterCorrections.inc({ counter: 'like_count' });
+        if (JSON.stringify(row.stored_reaction_counts) !== JSON.stringify(row.reaction_counts)) {
+          postCounterCorrections.inc({ counter: 'reaction_counts' });
+        }
+        if (row.stored_comment_count !== row.comment_count) postCounterCorrections.inc({ counter: 'comment_count' });
+      }
+      if (comments.length > 0) {
+        postCounterCorrections.inc({ counter: 'comment_like_count' }, comments.length);
+      }
+      await counterCache.invalidate(posts.flatMap(row => [
+        likeCountCacheKey(row.id),
+        commentCountCacheKey(row.id, 'all'),
+        commentCountCacheKey(row.id, 'threads')
+      ]));
+    }
+  });
+
+  // Middleware
+  app.use(requestId());
+  app.use(helmet());
+  app.use(cors({
+    origin: [
+      'https://blog.sudharsana.dev',
+      'http://localhost:3000',
+      'http://localhost:4200',
+      'http://localhost:8080',
+      'http://localhost:5173',
+      'http://localhost:3001',
+      'https://sudharsana.dev'
+    ],
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Request-Id'],
+    exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id', 'Deprecation', 'Sunset', 'Link']
+  }));
+  app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Deprecation/Sunset headers on the unversioned aliases, ahead of anything that might answer them
+  app.use(api.deprecateLegacy);
+
+  // Rate limiting - 100 requests per IP per 15 minutes, shared across pods through Redis
+  app.use(rateLimiter.limit({
+    ...rateLimitSettings('API', 100, 15 * 60),
+    message: 'Too many requests from this IP, please try again later.',
+    // Skip rate limiting for health checks and metrics to prevent K8s probe failures
+    skip: (req) => {
+      const skipPaths = ['/health', '/api/v1/health', '/api/health', '/ready', '/metrics'];
+      return skipPaths.includes(req.path);
+    }
+  }));
+
+  // Metrics middleware
+  app.use((req, res, next) => {
+    const start = Date.now();
+    metrics.activeConnections.inc();
+
+    // A response the client abandons (an event stream it closes, say) never finishes, only
+    // closes; a finished one does both, so count whichever comes first, once
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const duration = (Date.now() - start) / 1000;
+      metrics.responseTime.observe({ method: req.method, route: req.route?.path || req.path }, duration);
+      metrics.httpRequestsTotal.inc({ method: req.method, route: req.route?.path || req.path, status_code: res.statusCode });
+      metrics.activeConnections.dec();
+    };
+    res.on('finish', record);
+    res.on('close', record);
+
+    next();
+  });
+
+  // Routes, one router per domain (routes/)
+  const deps = {
+    pool,
+    redisClient,
+    logger,
+    clock,
+    metrics,
+    validate,
+    api,
+    auth,
+    rateLimiter,
+    idempotency,
+    migrator,
+    spamFilter,
+    mailer,
+    unsubscribeSigner,
+    deliveryQueue,
+    postSearch,
+    invalidatePostCaches,
+    counterCache,
+    postEvents
+  };
+  app.use(createMetricsRouter(deps));
+  app.use(createPostsRouter(deps));
+  app.use(createLikesRouter(deps));
+  app.use(createCommentsRouter(deps));
+  app.use(createAnalyticsRouter(deps));
+  app.use(createNewsletterRouter(deps));
+  app.use(createFeedbackRouter(deps));
+  app.use(createAuthRouter(deps));
+
+  // OpenAPI document and docs page; the document is built on first request, once every route above is registered
+  let openApiSpec;
+  app.use(createDocsRouter({ ...deps, openApiSpec: () => (openApiSpec ??= buildOpenApiSpec(app, api)) }));
+
+  // 404 handler
+  app.use('*', (req, res, next) => {
+    next(new NotFoundError('Route not found'));
+  });
+
+  // Error handler - registered last so it sees errors from every route above
+  app.use(createErrorHandler({ logger, metrics: { errors: metrics.httpErrors } }));
+
+  app.locals.services = {
+    migrator,
+    spamFilter,
+    deliveryQueue,
+    postScheduler,
+    counterReconciler,
+    postEvents
+  };
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
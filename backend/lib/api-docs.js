@@ -0,0 +1,172 @@
+/**
+ * What the OpenAPI document (./openapi) says about each route that its schema and
+ * middleware can't: keyed by method and Express path, as registered. Parameters,
+ * request bodies, auth and the 400/401/403 responses are generated; this adds
+ *
+ *   tag, summary   - grouping and one-line title in the docs page
+ *   description    - optional longer notes
+ *   status         - success status, 200 unless given
+ *   returns        - what the success response is
+ *   produces       - success content type, application/json unless given
+ *   requestTypes   - request body content types, application/json unless given
+ *   errors         - other error statuses the handler or its middleware can answer with
+ *
+ * Every registered route needs an entry here; test/openapi.test.js fails otherwise.
+ */
+
+const IDEMPOTENT = [409, 422];
+
+const FEEDS = [
+  ['feed.xml', 'RSS 2.0 feed', 'application/rss+xml'],
+  ['atom.xml', 'Atom feed', 'application/atom+xml'],
+  ['feed.json', 'JSON Feed', 'application/feed+json']
+];
+
+module.exports = {
+  // System
+  ...Object.fromEntries(['/health', '/api/v1/health'].map(path => [`GET ${path}`, {
+    tag: 'System',
+    summary: 'Liveness and dependency health',
+    description: 'Only answers loopback and private network addresses (403 otherwise), and answers 503 when the database or Redis is unreachable.',
+    returns: 'Schema version, uptime and memory use'
+  }])),
+  'GET /ready': { tag: 'System', summary: 'Readiness probe', description: 'Answers 503 until the database and Redis are reachable.' },
+  'GET /metrics': {
+    tag: 'System',
+    summary: 'Prometheus scrape endpoint',
+    returns: 'Metrics in the Prometheus text format',
+    produces: 'text/plain; version=0.0.4'
+  },
+  'GET /api/openapi.json': { tag: 'System', summary: 'This OpenAPI document', returns: 'OpenAPI 3.1 document' },
+
+  // Posts
+  'GET /api/v1/posts': { tag: 'Posts', summary: 'List published posts', returns: 'A page of posts with pagination' },
+  'GET /api/v1/posts/:slug': { tag: 'Posts', summary: 'Get a published post', errors: [404] },
+  'GET /api/v1/posts/:slug/meta': { tag: 'Posts', summary: 'Get a post\'s SEO and social card metadata', errors: [404] },
+  'GET /api/v1/tags': { tag: 'Posts', summary: 'List tags with post counts' },
+  'GET /api/v1/categories': { tag: 'Posts', summary: 'List categories with post counts' },
+  'GET /api/v1/search': { tag: 'Posts', summary: 'Full-text search over posts and comments' },
+
+  // Feeds and sitemaps, served at the site root
+  ...Object.fromEntries(FEEDS.flatMap(([file, summary, produces]) => [
+    [`GET /${file}`, { tag: 'Feeds', summary: `${summary} of the latest posts`, produces }],
+    [`GET /tags/:tag/${file}`, { tag: 'Feeds', summary: `${summary} of a tag's latest posts`, produces, errors: [404] }]
+  ])),
+  'GET /sitemap.xml': { tag: 'Feeds', summary: 'Sitemap, or the sitemap index once posts span several pages', produces: 'application/xml' },
+  'GET /sitemap-:page.xml': { tag: 'Feeds', summary: 'One page of a split sitemap', produces: 'application/xml', errors: [404] },
+  'GET /robots.txt': { tag: 'Feeds', summary: 'robots.txt pointing crawlers at the sitemap', produces: 'text/plain' },
+
+  // Reactions
+  'GET /api/v1/posts/:postId/likes': { tag: 'Reactions', summary: 'Get a post\'s like count, and whether this client liked it', errors: [404] },
+  'POST /api/v1/posts/:postId/like': { tag: 'Reactions', summary: 'Like a post', errors: [404, ...IDEMPOTENT] },
+  'DELETE /api/v1/posts/:postId/unlike': { tag: 'Reactions', summary: 'Remove a like', errors: [404, ...IDEMPOTENT] },
+  'GET /api/v1/posts/:postId/reactions': { tag: 'Reactions', summary: 'Get a post\'s reaction counts, and this client\'s reactions', errors: [404] },
+  'POST /api/v1/posts/:postId/reactions/:type': { tag: 'Reactions', summary: 'Add a reaction', errors: [404, ...IDEMPOTENT] },
+  'DELETE /api/v1/posts/:postId/reactions/:type': { tag: 'Reactions', summary: 'Remove a reaction', errors: [404, ...IDEMPOTENT] },
+  'GET /api/v1/posts/:postId/events': {
+    tag: 'Reactions',
+    summary: 'Live like and comment updates for a post',
+    description: 'A server-sent event stream. Send Last-Event-ID to resume after a reconnect.',
+    returns: 'Event stream',
+    produces: 'text/event-stream',
+    errors: [404, 429]
+  },
+
+  // Comments
+  'GET /api/v1/posts/:postId/comments': { tag: 'Comments', summary: 'List a post\'s approved comments', errors: [404] },
+  'POST /api/v1/posts/:postId/comments': {
+    tag: 'Comments',
+    summary: 'Post a comment or reply',
+    description: 'Comments are spam-scored and may be held for moderation. Limited to 5 per IP per minute.',
+    status: 201,
+    errors: [404, 429]
+  },
+  'POST /api/v1/posts/:postId/comments/:commentId/like': { tag: 'Comments', summary: 'Like a comment', errors: [404, ...IDEMPOTENT] },
+  'DELETE /api/v1/posts/:postId/comments/:commentId/unlike': { tag: 'Comments', summary: 'Remove a comment like', errors: [404, ...IDEMPOTENT] },
+
+  // Moderation
+  'GET /api/v1/admin/comments': { tag: 'Moderation', summary: 'List comments by status' },
+  'POST /api/v1/admin/comments/bulk': { tag: 'Moderation', summary: 'Approve, reject or mark several comments as spam' },
+  'POST /api/v1/admin/comments/:id/:action': { tag: 'Moderation', summary: 'Approve, reject or mark a comment as spam', errors: [404] },
+  'PUT /api/v1/admin/comments/:id': { tag: 'Moderation', summary: 'Edit a comment', errors: [404] },
+  'GET /api/v1/admin/comments/:id/history': { tag: 'Moderation', summary: 'A comment\'s moderation history' },
+  'GET /api/v1/admin/spam/keywords': { tag: 'Moderation', summary: 'List spam keywords' },
+  'POST /api/v1/admin/spam/keywords': { tag: 'Moderation', summary: 'Add or update a spam keyword' },
+  'DELETE /api/v1/admin/spam/keywords/:id': { tag: 'Moderation', summary: 'Remove a spam keyword', errors: [404] },
+  'POST /api/v1/admin/spam/classifier/train': { tag: 'Moderation', summary: 'Retrain the spam classifier now' },
+
+  // Post admin
+  'GET /api/v1/admin/posts': { tag: 'Post admin', summary: 'List posts in any status' },
+  'GET /api/v1/admin/posts/:id': { tag: 'Post admin', summary: 'Get a post in any status', errors: [404] },
+  'POST /api/v1/admin/posts': { tag: 'Post admin', summary: 'Create a post', status: 201, errors: [409] },
+  'PUT /api/v1/admin/posts/:id': { tag: 'Post admin', summary: 'Update a post', errors: [404, 409] },
+  'DELETE /api/v1/admin/posts/:id': { tag: 'Post admin', summary: 'Delete a post', errors: [404] },
+  'GET /api/v1/admin/posts/:id/revisions': { tag: 'Post admin', summary: 'List a post\'s revisions' },
+  'GET /api/v1/admin/posts/:id/revisions/:revision': { tag: 'Post admin', summary: 'Get a revision, optionally diffed against another', errors: [404] },
+  'POST /api/v1/admin/posts/:id/revisions/:revision/restore': { tag: 'Post admin', summary: 'Restore a post to a revision', errors: [404, 409] },
+
+  // Analytics
+  'GET /api/v1/analytics': { tag: 'Analytics', summary: 'Like and comment totals for a period' },
+  'POST /api/v1/analytics/track': { tag: 'Analytics', summary: 'Record one analytics event or a batch of them' },
+  'POST /api/v1/analytics/session': { tag: 'Analytics', summary: 'Start or update a reading session' },
+  'POST /api/v1/analytics/session/end': { tag: 'Analytics', summary: 'End a reading session' },
+  'GET /api/v1/analytics/dashboard': { tag: 'Analytics', summary: 'Dashboard figures for a period' },
+  'POST /api/v1/analytics/prometheus': {
+    tag: 'Analytics',
+    summary: 'Forward frontend metrics to the Prometheus Pushgateway',
+    description: 'The metrics are also stored as analytics events, and a Pushgateway outage doesn\'t fail the request.'
+  },
+
+  // Newsletter
+  'POST /api/v1/newsletter/subscribe': { tag: 'Newsletter', summary: 'Subscribe, pending email confirmation', description: 'Limited to 3 per address per hour.', errors: [429, 502] },
+  'GET /api/v1/newsletter/confirm': { tag: 'Newsletter', summary: 'Confirm a subscription from the emailed link' },
+  'GET /api/v1/newsletter/unsubscribe': {
+    tag: 'Newsletter',
+    summary: 'Check a signed unsubscribe link',
+    description: 'This is the link in emails. With Accept: text/html it answers a confirmation page whose button POSTs the unsubscribe.',
+    errors: [403]
+  },
+  'POST /api/v1/newsletter/unsubscribe': {
+    tag: 'Newsletter',
+    summary: 'Unsubscribe',
+    description: 'With a valid signature (the emailed link, or an RFC 8058 one-click POST) this unsubscribes at once; ' +
+      'without one it answers 202 and emails a signed link to the address instead. With Accept: text/html, as from the ' +
+      'confirmation page\'s form, a successful unsubscribe answers a page rather than JSON.',
+    requestTypes: ['application/json', 'application/x-www-form-urlencoded'],
+    errors: [403, 404, 502]
+  },
+  'GET /api/v1/newsletter/status': { tag: 'Newsletter', summary: 'Get an address\'s subscription status' },
+  'GET /api/v1/newsletter/open/:token.gif': { tag: 'Newsletter', summary: 'Campaign open-tracking pixel', returns: '1x1 GIF', produces: 'image/gif' },
+  'POST /api/v1/newsletter/webhooks/:provider': {
+    tag: 'Newsletter',
+    summary: 'Receive bounce and complaint notifications from the mail provider',
+    description: 'SES notifications arrive through SNS as text/plain JSON.',
+    requestTypes: ['application/json', 'text/plain'],
+    errors: [401, 404]
+  },
+  'GET /api/v1/admin/newsletter/subscribers/:email/events': { tag: 'Newsletter', summary: 'A subscriber\'s delivery, bounce and complaint history' },
+
+  // Campaigns
+  'GET /api/v1/admin/campaigns': { tag: 'Campaigns', summary: 'List campaigns' },
+  'POST /api/v1/admin/campaigns': { tag: 'Campaigns', summary: 'Create a draft campaign', status: 201, errors: [404] },
+  'GET /api/v1/admin/campaigns/:id': { tag: 'Campaigns', summary: 'Get a campaign with its delivery counts', errors: [404] },
+  'PUT /api/v1/admin/campaigns/:id': { tag: 'Campaigns', summary: 'Edit a draft campaign', errors: [404, 409] },
+  'GET /api/v1/admin/campaigns/:id/preview': { tag: 'Campaigns', summary: 'Preview a campaign email', produces: 'text/html', errors: [404] },
+  'POST /api/v1/admin/campaigns/:id/test': { tag: 'Campaigns', summary: 'Send a test copy of a campaign', errors: [404, 502] },
+  'POST /api/v1/admin/campaigns/:id/send': { tag: 'Campaigns', summary: 'Queue a campaign to every confirmed subscriber', status: 202, errors: [404, 409] },
+  'POST /api/v1/admin/campaigns/:id/cancel': { tag: 'Campaigns', summary: 'Cancel a draft or sending campaign', errors: [404, 409] },
+
+  // Feedback
+  'POST /api/v1/feedback': { tag: 'Feedback', summary: 'Submit feedback', description: 'Limited to 10 per IP per minute.', errors: [429] },
+  'GET /api/v1/feedback/stats': { tag: 'Feedback', summary: 'Feedback rating totals' },
+  'GET /api/v1/feedback/recent': { tag: 'Feedback', summary: 'Latest feedback' },
+
+  // Auth
+  'POST /api/v1/auth/login': { tag: 'Auth', summary: 'Log in for an access and refresh token', errors: [401, 429] },
+  'POST /api/v1/auth/refresh': { tag: 'Auth', summary: 'Swap a refresh token for a new token pair', errors: [401] },
+  'POST /api/v1/auth/logout': { tag: 'Auth', summary: 'Revoke the access token and its refresh token' },
+  'GET /api/v1/auth/me': { tag: 'Auth', summary: 'The logged-in user' },
+  'GET /api/v1/admin/users': { tag: 'Auth', summary: 'List admin users' },
+  'POST /api/v1/admin/users': { tag: 'Auth', summary: 'Create an admin user', status: 201, errors: [409] },
+  'PUT /api/v1/admin/users/:id': { tag: 'Auth', summary: 'Change a user\'s role, password or active flag', errors: [404] }
+};
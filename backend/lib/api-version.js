@@ -0,0 +1,92 @@
+const express = require('express');
+
+/**
+ * API versioning.
+ *
+ * Every API route lives under /api/v1. The unversioned paths it used to answer on
+ * (/api/posts and /posts for /api/v1/posts, say) are kept as deprecated aliases:
+ * responses on them carry Deprecation (RFC 9745), Sunset (RFC 8594) and a
+ * successor-version Link to the /api/v1 path, and each use is logged with the
+ * caller's user agent and counted in legacy_api_requests_total, so we can see who
+ * still needs moving before the aliases go.
+ *
+ * Set API_LEGACY_ROUTES=false to stop registering the aliases; they then 404 like
+ * any unknown path.
+ */
+
+const API_PREFIX = '/api/v1';
+
+// The /api/v1 path for an unversioned one
+const versioned = (path) => `${API_PREFIX}${path}`;
+
+// Structured-field date (@<unix seconds>) for the Deprecation header
+const deprecationDate = (date) => `@${Math.floor(Date.parse(date) / 1000)}`;
+
+// Fill a route pattern's :params in from the request that matched it
+const fillParams = (pattern, params) => pattern.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name] ?? match));
+
+function createApiVersioning({
+  logger,
+  metrics = {},
+  legacyRoutes = process.env.API_LEGACY_ROUTES !== 'false',
+  deprecatedAt = process.env.API_LEGACY_DEPRECATED_AT || '2026-10-19',
+  sunsetAt = process.env.API_LEGACY_SUNSET_AT || '2027-04-30'
+}) {
+  const deprecation = deprecationDate(deprecatedAt);
+  const sunset = new Date(sunsetAt).toUTCString();
+
+  // Mounted ahead of the routers; aliases add a route to it as they're registered
+  const deprecateLegacy = express.Router();
+  const legacyAliases = new Set();
+
+  const deprecate = (successor) => (req, res, next) => {
+    // A path can match more than one alias pattern; the first one registered wins, as it does for routing
+    if (req.legacyApiAlias) {
+      return next();
+    }
+    req.legacyApiAlias = successor;
+
+    res.set({
+      Deprecation: deprecation,
+      Sunset: sunset,
+      Link: `<${fillParams(successor, req.params)}>; rel="successor-version"`
+    });
+
+    metrics.legacyRequests?.inc({ method: req.method, route: successor });
+    logger.info(`Legacy API path used: ${req.method} ${req.path} (use ${successor})`, {
+      userAgent: req.get('User-Agent'),
+      referer: req.get('Referer'),
+      ip: req.ip
+    });
+    next();
+  };
+
+  // Register deprecated aliases of `successor`; returns them, or none once legacy routes are off
+  const aliases = (successor, ...paths) => {
+    if (!legacyRoutes) {
+      return [];
+    }
+    for (const path of paths) {
+      legacyAliases.add(path);
+      deprecateLegacy.all(path, deprecate(successor));
+    }
+    return paths;
+  };
+
+  // Paths for an API route: /api/v1<path>, plus its /api<path> and <path> aliases
+  const paths = (path) => [versioned(path), ...aliases(versioned(path), `/api${path}`, path)];
+
+  return {
+    legacyRoutes,
+    paths,
+    aliases,
+    isLegacyAlias: (path) => legacyAliases.has(path),
+    deprecateLegacy
+  };
+}
+
+module.exports = {
+  API_PREFIX,
+  versioned,
+  createApiVersioning
+};
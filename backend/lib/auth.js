@@ -0,0 +1,186 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { AppError, AuthenticationError, ForbiddenError, UpstreamError } = require('./errors');
+
+// Roles in ascending order of privilege - a role satisfies any role at or below it
+const ROLES = ['moderator', 'admin'];
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_ACCESS_TTL_SECONDS || '900'); // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_REFRESH_TTL_SECONDS || '604800'); // 7 days
+const BCRYPT_ROUNDS = 12;
+
+// Compared against when the username doesn't exist so login timing doesn't reveal valid usernames
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+const refreshKey = (token) => `auth:refresh:${crypto.createHash('sha256').update(token).digest('hex')}`;
+const revokedKey = (jti) => `auth:revoked:${jti}`;
+// Bumped by revokeAllForUser; tokens carry the version they were issued under. Kept without
+// a TTL, as a version that expired back to 0 would let older tokens through again.
+const tokenVersionKey = (userId) => `auth:token-version:${userId}`;
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const roleSatisfies = (role, requiredRoles) => {
+  const level = ROLES.indexOf(role);
+  if (level === -1) return false;
+  return requiredRoles.some(required => level >= ROLES.indexOf(required));
+};
+
+/**
+ * Build the admin authentication helpers.
+ *
+ * Access tokens are short-lived JWTs; refresh tokens are opaque random strings
+ * stored (hashed) in Redis so they can be rotated and revoked across every pod.
+ */
+function createAuth({ pool, redisClient, logger, jwtSecret = process.env.JWT_SECRET }) {
+  if (!jwtSecret) {
+    logger.warn('JWT_SECRET is not set - admin authentication is disabled');
+  }
+
+  const currentTokenVersion = async (userId) => parseInt(await redisClient.get(tokenVersionKey(userId)) || '0');
+
+  const issueAccessToken = (user, version) => jwt.sign(
+    { sub: String(user.id), username: user.username, role: user.role, ver: version },
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+  );
+
+  const issueRefreshToken = async (user, version) => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await redisClient.setEx(
+      refreshKey(token),
+      REFRESH_TOKEN_TTL_SECONDS,
+      JSON.stringify({ userId: user.id, version })
+    );
+    return token;
+  };
+
+  const issueTokens = async (user) => {
+    const version = await currentTokenVersion(user.id);
+    return {
+      accessToken: issueAccessToken(user, version),
+      refreshToken: await issueRefreshToken(user, version),
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  };
+
+  const findActiveUser = async (where, value) => {
+    const result = await pool.query(
+      `SELECT id, username, password_hash, role FROM admin_users WHERE ${where} = $1 AND active = true`,
+      [value]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Verify credentials and issue a token pair, or return null on bad credentials
+  const login = async (username, password) => {
+    if (!jwtSecret) return null;
+
+    const user = await findActiveUser('username', username.toLowerCase().trim());
+    const valid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) return null;
+
+    await pool.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    return { user: { id: user.id, username: user.username, role: user.role }, tokens: await issueTokens(user) };
+  };
+
+  // Exchange a refresh token for a new pair; the old refresh token is consumed
+  const refresh = async (refreshToken) => {
+    if (!jwtSecret) return null;
+
+    const key = refreshKey(refreshToken);
+    const stored = await redisClient.get(key);
+    if (!stored) return null;
+    await redisClient.del(key);
+
+    const { userId, version } = JSON.parse(stored);
+    if (version !== await currentTokenVersion(userId)) return null;
+
+    // Re-read the user so deactivation and role changes take effect on refresh
+    const user = await findActiveUser('id', userId);
+    if (!user) return null;
+
+    return { user: { id: user.id, username: user.username, role: user.role }, tokens: await issueTokens(user) };
+  };
+
+  // Revoke an access token (until it would have expired anyway) and optionally its refresh token
+  const revoke = async ({ accessTokenPayload, refreshToken }) => {
+    if (accessTokenPayload && accessTokenPayload.jti) {
+      const ttl = accessTokenPayload.exp - Math.floor(Date.now() / 1000);
+      if (ttl > 0) {
+        await redisClient.setEx(revokedKey(accessTokenPayload.jti), ttl, '1');
+      }
+    }
+    if (refreshToken) {
+      await redisClient.del(refreshKey(refreshToken));
+    }
+  };
+
+  // Invalidate every token issued to a user so far, e.g. after deactivation or a password change
+  const revokeAllForUser = async (userId) => {
+    await redisClient.incr(tokenVersionKey(userId));
+  };
+
+  // Middleware: require a valid, unrevoked bearer token whose role satisfies one of `roles`
+  const requireRole = (...roles) => {
+    const middleware = async (req, res, next) => {
+      const header = req.get('Authorization') || '';
+      const [scheme, token] = header.split(' ');
+
+      if (scheme !== 'Bearer' || !token) {
+        return next(new AuthenticationError('Authentication required'));
+      }
+
+      if (!jwtSecret) {
+        return next(new AppError('Authentication is not configured', { status: 503, code: 'unavailable' }));
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, jwtSecret);
+      } catch (error) {
+        return next(new AuthenticationError('Invalid or expired token'));
+      }
+
+      try {
+        const [revoked, version] = await Promise.all([
+          redisClient.get(revokedKey(payload.jti)),
+          currentTokenVersion(payload.sub)
+        ]);
+        if (revoked || payload.ver !== version) {
+          return next(new AuthenticationError('Token has been revoked'));
+        }
+      } catch (error) {
+        return next(new UpstreamError('Authentication service unavailable', { status: 503, cause: error }));
+      }
+
+      if (!roleSatisfies(payload.role, roles)) {
+        logger.warn(`Admin access denied: user ${payload.username} (${payload.role}) requires ${roles.join(' or ')} for ${req.method} ${req.path}`);
+        return next(new ForbiddenError('Insufficient permissions'));
+      }
+
+      req.admin = { id: parseInt(payload.sub), username: payload.username, role: payload.role, token: payload };
+      next();
+    };
+
+    // lib/openapi.js marks routes carrying this as needing a bearer token
+    middleware.roles = roles;
+    return middleware;
+  };
+
+  return {
+    login,
+    refresh,
+    revoke,
+    revokeAllForUser,
+    requireRole
+  };
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  hashPassword
+};
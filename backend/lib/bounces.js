@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/**
+ * Bounce and complaint webhook adapters.
+ *
+ * Each adapter verifies a provider's request and translates it into the common,
+ * provider-neutral event shape:
+ *
+ *   { type: 'bounce' | 'complaint', bounceType: 'hard' | 'soft' | null, email,
+ *     occurredAt, providerEventId, providerMessageId, reason }
+ *
+ * Adapters return { events } or, for provider handshakes, { handled: true }.
+ * Verification failures throw a WebhookSignatureError.
+ */
+
+class WebhookSignatureError extends Error {}
+
+// Signed generic webhooks older than this are rejected to stop replays
+const GENERIC_MAX_AGE_SECONDS = 5 * 60;
+
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+const timingSafeEqualStrings = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Generic format: body is one neutral event or { events: [...] }, signed with
+// X-Webhook-Signature: sha256=HMAC(secret, `${X-Webhook-Timestamp}.${rawBody}`).
+// Each event needs the provider's own `id`, which is how redeliveries are recognised.
+const createGenericAdapter = ({ secret = process.env.NEWSLETTER_WEBHOOK_SECRET, clock = Date.now } = {}) => ({
+  name: 'generic',
+  verify: async (req) => {
+    if (!secret) {
+      throw new WebhookSignatureError('NEWSLETTER_WEBHOOK_SECRET is not configured');
+    }
+
+    const timestamp = parseInt(req.get('X-Webhook-Timestamp'));
+    const signature = req.get('X-Webhook-Signature') || '';
+    if (!Number.isInteger(timestamp) || Math.abs(clock() / 1000 - timestamp) > GENERIC_MAX_AGE_SECONDS) {
+      throw new WebhookSignatureError('Missing or stale X-Webhook-Timestamp');
+    }
+
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${req.rawBody || ''}`)
+      .digest('hex');
+    if (!timingSafeEqualStrings(expected, signature)) {
+      throw new WebhookSignatureError('Invalid webhook signature');
+    }
+  },
+  parse: async (body) => {
+    const items = Array.isArray(body.events) ? body.events : [body];
+    return {
+      events: items.map(item => ({
+        type: item.type,
+        bounceType: item.type === 'bounce' ? (item.bounceType === 'hard' ? 'hard' : 'soft') : null,
+        email: item.email ? normalizeEmail(item.email) : null,
+        occurredAt: item.occurredAt ? new Date(item.occurredAt) : new Date(),
+        providerEventId: item.id ? String(item.id) : null,
+        providerMessageId: item.messageId || null,
+        reason: item.reason || null
+      }))
+    };
+  }
+});
+
+// Fields SNS signs, in order, per message type
+const SNS_SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const SES_BOUNCE_TYPES = {
+  Permanent: 'hard',
+  Transient: 'soft',
+  Undetermined: 'soft'
+};
+
+// Amazon SES notifications delivered through SNS (text/plain JSON with an X.509 signature).
+// Anyone can sign SNS messages from a topic of their own, so only the topics listed in
+// SES_SNS_TOPIC_ARNS are accepted (subscription confirmations included), and with none
+// listed every message is rejected.
+const createSesAdapter = ({
+  allowedTopicArns = (process.env.SES_SNS_TOPIC_ARNS || '').split(',').map(arn => arn.trim()).filter(Boolean),
+  fetchImpl = fetch,
+  logger
+} = {}) => {
+  const certificates = new Map();
+
+  const getCertificate = async (certUrl) => {
+    const url = new URL(certUrl);
+    if (url.protocol !== 'https:' || !SNS_CERT_HOST.test(url.hostname)) {
+      throw new WebhookSignatureError(`Untrusted SNS certificate URL: ${certUrl}`);
+    }
+    if (!certificates.has(certUrl)) {
+      const response = await fetchImpl(certUrl);
+      if (!response.ok) {
+        throw new WebhookSignatureError(`Could not fetch SNS certificate: ${response.status}`);
+      }
+      certificates.set(certUrl, await response.text());
+    }
+    return certificates.get(certUrl);
+  };
+
+  const verify = async (req, message) => {
+    const fields = SNS_SIGNED_FIELDS[message.Type];
+    if (!fields || !message.Signature || !message.SigningCertURL) {
+      throw new WebhookSignatureError('Not a signed SNS message');
+    }
+
+    if (allowedTopicArns.length === 0) {
+      throw new WebhookSignatureError('SES_SNS_TOPIC_ARNS is not configured');
+    }
+    if (!allowedTopicArns.includes(message.TopicArn)) {
+      throw new WebhookSignatureError(`Unexpected SNS topic: ${message.TopicArn}`);
+    }
+
+    const stringToSign = fields
+      .filter(field => message[field] !== undefined)
+      .map(field => `${field}\n${message[field]}\n`)
+      .join('');
+    const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+    const certificate = await getCertificate(message.SigningCertURL);
+
+    const valid = crypto.createVerify(algorithm).update(stringToSign, 'utf8').verify(certificate, message.Signature, 'base64');
+    if (!valid) {
+      throw new WebhookSignatureError('Invalid SNS signature');
+    }
+  };
+
+  const parseNotification = (notification, snsMessageId) => {
+    const type = notification.notificationType || notification.eventType;
+    const messageId = notification.mail?.messageId || null;
+
+    if (type === 'Bounce') {
+      const { bounce } = notification;
+      return bounce.bouncedRecipients.map(recipient => ({
+        type: 'bounce',
+        bounceType: SES_BOUNCE_TYPES[bounce.bounceType] || 'soft',
+        email: normalizeEmail(recipient.emailAddress),
+        occurredAt: new Date(bounce.timestamp),
+        providerEventId: `${bounce.feedbackId || snsMessageId}:${normalizeEmail(recipient.emailAddress)}`,
+        providerMessageId: messageId,
+        reason: recipient.diagnosticCode || `${bounce.bounceType}/${bounce.bounceSubType}`
+      }));
+    }
+
+    if (type === 'Complaint') {
+      const { complaint } = notification;
+      return complaint.complainedRecipients.map(recipient => ({
+        type: 'complaint',
+        bounceType: null,
+        email: normalizeEmail(recipient.emailAddress),
+        occurredAt: new Date(complaint.timestamp),
+        providerEventId: `${complaint.feedbackId || snsMessageId}:${normalizeEmail(recipient.emailAddress)}`,
+        providerMessageId: messageId,
+        reason: complaint.complaintFeedbackType || null
+      }));
+    }
+
+    // Deliveries, sends, opens etc. aren't bounce data
+    return [];
+  };
+
+  return {
+    name: 'ses',
+    verify: async (req) => {
+      const message = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      await verify(req, message);
+      req.snsMessage = message;
+    },
+    parse: async (body, req) => {
+      const message = req.snsMessage;
+
+      if (message.Type === 'SubscriptionConfirmation') {
+        const subscribeUrl = new URL(message.SubscribeURL);
+        if (subscribeUrl.protocol !== 'https:' || !SNS_CERT_HOST.test(subscribeUrl.hostname)) {
+          throw new WebhookSignatureError(`Untrusted SNS SubscribeURL: ${message.SubscribeURL}`);
+        }
+        await fetchImpl(message.SubscribeURL);
+        logger?.info(`Confirmed SNS subscription to ${message.TopicArn}`);
+        return { handled: true };
+      }
+
+      if (message.Type === 'UnsubscribeConfirmation') {
+        return { handled: true };
+      }
+
+      return { events: parseNotification(JSON.parse(message.Message), message.MessageId) };
+    }
+  };
+};
+
+// Check a parsed event is usable; returns an error message or null
+const validateBounceEvent = (event) => {
+  if (!['bounce', 'complaint'].includes(event.type)) {
+    return 'type must be bounce or complaint';
+  }
+  if (!event.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(event.email)) {
+    return 'A valid email is required';
+  }
+  if (Number.isNaN(event.occurredAt.getTime())) {
+    return 'occurredAt must be a valid date';
+  }
+  // Events without one could never be recognised when redelivered, and would be counted twice
+  if (!event.providerEventId) {
+    return 'id is required';
+  }
+  return null;
+};
+
+module.exports = {
+  WebhookSignatureError,
+  createGenericAdapter,
+  createSesAdapter,
+  validateBounceEvent
+};
@@ -0,0 +1,247 @@
+const { marked } = require('marked');
+const { PUBLIC_API_URL } = require('./site');
+const { versioned } = require('./api-version');
+
+const QUEUE_KEY = 'newsletter:queue';
+const RETRY_KEY = 'newsletter:retry';
+const rateKey = (second) => `newsletter:rate:${second}`;
+
+// Deliveries left in 'sending' this long are assumed lost with a crashed pod and requeued
+const STALE_SENDING_MINUTES = 10;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Render a campaign's markdown into the HTML and plain-text bodies stored on the draft
+const renderCampaign = ({ subject, markdown }) => ({
+  html: `<h1>${escapeHtml(subject)}</h1>\n${marked.parse(markdown)}`,
+  text: `${subject}\n\n${markdown}`
+});
+
+// Add the per-recipient footer (unsubscribe link, open pixel) to a rendered campaign
+const personalize = ({ subject, html, text }, { email, openToken, unsubscribeUrl }) => ({
+  to: email,
+  subject,
+  html: `${html}
+<hr>
+<p style="font-size:12px;color:#666">You are receiving this because you subscribed to the newsletter.
+<a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>
+${openToken ? `<img src="${PUBLIC_API_URL}${versioned(`/newsletter/open/${openToken}.gif`)}" width="1" height="1" alt="">` : ''}`,
+  text: `${text}\n\n--\nUnsubscribe: ${unsubscribeUrl}`
+});
+
+/**
+ * Redis-backed newsletter delivery queue.
+ *
+ * One row per recipient lives in newsletter_deliveries; Redis only holds delivery IDs -
+ * a ready list plus a sorted set of retries keyed by when they are due. Every pod runs
+ * a worker; the send rate is shared across pods through a per-second Redis counter.
+ */
+function createDeliveryQueue({
+  pool,
+  redisClient,
+  mailer,
+  unsubscribeSigner,
+  logger,
+  metrics = {},
+  ratePerSecond = parseInt(process.env.NEWSLETTER_SEND_RATE_PER_SECOND || '5'),
+  maxAttempts = parseInt(process.env.NEWSLETTER_MAX_ATTEMPTS || '5'),
+  retryBaseMs = 30 * 1000,
+  pollIntervalMs = 1000
+}) {
+  let timer = null;
+  let running = false;
+
+  const enqueue = async (deliveryIds) => {
+    if (deliveryIds.length === 0) return;
+    await redisClient.rPush(QUEUE_KEY, deliveryIds.map(String));
+  };
+
+  const depth = async () => {
+    const [ready, retrying] = await Promise.all([redisClient.lLen(QUEUE_KEY), redisClient.zCard(RETRY_KEY)]);
+    return ready + retrying;
+  };
+
+  // Move retries whose backoff has elapsed onto the ready list; zRem decides which pod wins each one
+  const promoteDueRetries = async () => {
+    const due = await redisClient.zRangeByScore(RETRY_KEY, 0, Date.now(), { LIMIT: { offset: 0, count: 100 } });
+    for (const deliveryId of due) {
+      if (await redisClient.zRem(RETRY_KEY, deliveryId) === 1) {
+        await redisClient.rPush(QUEUE_KEY, deliveryId);
+      }
+    }
+  };
+
+  const requeueStaleDeliveries = async () => {
+    const result = await pool.query(`
+      UPDATE newsletter_deliveries
+      SET status = 'queued', updated_at = NOW()
+      WHERE status = 'sending' AND updated_at < NOW() - INTERVAL '${STALE_SENDING_MINUTES} minutes'
+      RETURNING id
+    `);
+    if (result.rows.length > 0) {
+      logger.warn(`Requeued ${result.rows.length} stale newsletter deliveries`);
+      await enqueue(result.rows.map(row => row.id));
+    }
+  };
+
+  // Take one slot of this second's send budget, shared by every pod
+  const takeRateSlot = async () => {
+    const key = rateKey(Math.floor(Date.now() / 1000));
+    const used = await redisClient.incr(key);
+    if (used === 1) {
+      await redisClient.expire(key, 2);
+    }
+    return used <= ratePerSecond;
+  };
+
+  const completeCampaignIfDone = async (campaignId) => {
+    const result = await pool.query(`
+      UPDATE newsletter_campaigns
+      SET status = 'sent', completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'sending'
+        AND NOT EXISTS (
+          SELECT 1 FROM newsletter_deliveries WHERE campaign_id = $1 AND status IN ('queued', 'sending')
+        )
+      RETURNING id
+    `, [campaignId]);
+    if (result.rows.length > 0) {
+      logger.info(`Newsletter campaign ${campaignId} finished sending`);
+    }
+  };
+
+  const deliver = async (deliveryId) => {
+    // Claim the delivery; anything not in 'queued' was already handled or cancelled
+    const claimed = await pool.query(`
+      UPDATE newsletter_deliveries d
+      SET status = 'sending', attempts = d.attempts + 1, updated_at = NOW()
+      FROM newsletter_campaigns c, newsletter_subscriptions s
+      WHERE d.id = $1 AND d.status = 'queued' AND c.id = d.campaign_id AND s.id = d.subscription_id
+      RETURNING d.id, d.campaign_id, d.email, d.open_token, d.attempts,
+        c.subject, c.html, c.text, c.status AS campaign_status,
+        s.status AS subscription_status, s.verified
+    `, [deliveryId]);
+
+    if (claimed.rows.length === 0) return;
+    const delivery = claimed.rows[0];
+
+    // The subscriber may have left, or the campaign been cancelled, since it was queued
+    if (delivery.campaign_status !== 'sending' || delivery.subscription_status !== 'active' || !delivery.verified) {
+      await pool.query(
+        "UPDATE newsletter_deliveries SET status = 'skipped', updated_at = NOW() WHERE id = $1",
+        [delivery.id]
+      );
+      metrics.deliveries?.inc({ status: 'skipped' });
+      await completeCampaignIfDone(delivery.campaign_id);
+      return;
+    }
+
+    try {
+      const message = personalize(delivery, {
+        email: delivery.email,
+        openToken: delivery.open_token,
+        unsubscribeUrl: unsubscribeSigner.unsubscribeUrl(delivery.email)
+      });
+      const { messageId } = await mailer.send({
+        ...message,
+        headers: unsubscribeSigner.listUnsubscribeHeaders(delivery.email)
+      });
+
+      await pool.query(`
+        UPDATE newsletter_deliveries
+        SET status = 'delivered', message_id = $2, sent_at = NOW(), last_error = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [delivery.id, messageId]);
+      metrics.deliveries?.inc({ status: 'delivered' });
+
+    } catch (error) {
+      const retry = delivery.attempts < maxAttempts;
+      await pool.query(
+        'UPDATE newsletter_deliveries SET status = $2, last_error = $3, updated_at = NOW() WHERE id = $1',
+        [delivery.id, retry ? 'queued' : 'failed', error.message.slice(0, 1000)]
+      );
+
+      if (retry) {
+        // Exponential backoff: 30s, 1m, 2m, 4m, ...
+        const dueAt = Date.now() + retryBaseMs * 2 ** (delivery.attempts - 1);
+        await redisClient.zAdd(RETRY_KEY, { score: dueAt, value: String(delivery.id) });
+        metrics.deliveries?.inc({ status: 'retry' });
+        logger.warn(`Newsletter delivery ${delivery.id} failed (attempt ${delivery.attempts}), retrying`, { error: error.message });
+      } else {
+        metrics.deliveries?.inc({ status: 'failed' });
+        logger.error(`Newsletter delivery ${delivery.id} to ${delivery.email} failed permanently`, { error: error.message });
+      }
+    }
+
+    await completeCampaignIfDone(delivery.campaign_id);
+  };
+
+  // Process up to this second's budget of ready deliveries
+  const tick = async () => {
+    await promoteDueRetries();
+
+    for (let i = 0; i < ratePerSecond; i++) {
+      const deliveryId = await redisClient.lPop(QUEUE_KEY);
+      if (!deliveryId) break;
+
+      // Over this second's budget: put it back at the front for the next tick
+      if (!await takeRateSlot()) {
+        await redisClient.lPush(QUEUE_KEY, deliveryId);
+        break;
+      }
+
+      try {
+        await deliver(parseInt(deliveryId));
+      } catch (error) {
+        // Database trouble: put it back for the next tick rather than losing it
+        logger.error(`Error processing newsletter delivery ${deliveryId}`, error);
+        await redisClient.lPush(QUEUE_KEY, deliveryId);
+        break;
+      }
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+
+    let ticks = 0;
+    timer = setInterval(async () => {
+      // Skip this interval if the previous tick is still sending
+      if (running) return;
+      running = true;
+      try {
+        if (ticks++ % 60 === 0) {
+          await requeueStaleDeliveries();
+        }
+        await tick();
+      } catch (error) {
+        logger.error('Newsletter queue worker error', error);
+      } finally {
+        running = false;
+      }
+    }, pollIntervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    enqueue,
+    depth,
+    tick,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  renderCampaign,
+  personalize,
+  createDeliveryQueue
+};
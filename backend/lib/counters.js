@@ -0,0 +1,216 @@
+const { DEFAULT_REACTION } = require('./reactions');
+
+/**
+ * Like, reaction and comment counters.
+ *
+ * posts.like_count, reaction_counts and comment_count are updated in the same
+ * statement as the reaction/comment write. Redis holds a copy of the like and comment
+ * counts for the read path: writes INCRBY/DECRBY it when it is cached, and a miss
+ * re-reads the posts row. The reconciler recounts from the likes and comments tables
+ * to correct any drift.
+ */
+
+// Only adjust a counter that is already cached; INCRBY on a missing key would start it from 0
+const ADJUST_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('INCRBY', KEYS[1], ARGV[1])
+end
+return nil
+`;
+
+const likeCountCacheKey = (postId) => `likes:${postId}`;
+
+// scope is 'all' for every approved comment or 'threads' for top-level comments only
+const commentCountCacheKey = (postId, scope = 'all') => `comments:count:${postId}:${scope}`;
+
+function createCounterCache({ redisClient, logger, ttlSeconds = parseInt(process.env.COUNTER_CACHE_TTL_SECONDS || '300') }) {
+  // Returns { count, cached }; load() reads the authoritative count on a miss
+  const get = async (key, load) => {
+    const cached = await redisClient.get(key);
+    if (cached !== null) {
+      return { count: parseInt(cached), cached: true };
+    }
+
+    const count = await load();
+    // NX: a write that landed meanwhile already seeded the key with a newer value
+    await redisClient.set(key, String(count), { EX: ttlSeconds, NX: true });
+    return { count, cached: false };
+  };
+
+  const adjust = async (key, delta) => {
+    try {
+      await redisClient.eval(ADJUST_SCRIPT, { keys: [key], arguments: [String(delta)] });
+    } catch (error) {
+      logger.warn(`Failed to adjust cached counter ${key}`, error);
+      await redisClient.del(key).catch(() => {});
+    }
+  };
+
+  const invalidate = async (keys) => {
+    if (keys.length > 0) {
+      await redisClient.del(keys);
+    }
+  };
+
+  return {
+    get,
+    adjust,
+    invalidate
+  };
+}
+
+/**
+ * Recounts reactions and approved comments for every post, and likes for every
+ * comment, and fixes the stored counters.
+ *
+ * Rows are recounted in batches of batchSize, each in its own short transaction that
+ * locks the batch (in id order, as moderation does) before counting. A like or comment
+ * written concurrently either is counted or applies its own +1/-1 after the correction -
+ * never both or neither - and nothing waits long on a batch. Pods skip the run while
+ * another pod holds the advisory lock.
+ */
+function createCounterReconciler({
+  pool,
+  logger,
+  onCorrected = async () => {},
+  intervalMs = parseInt(process.env.COUNTER_RECONCILE_INTERVAL_SECONDS || '3600') * 1000,
+  batchSize = 100
+}) {
+  let timer = null;
+
+  // Lock the next batch of rows after lastId, recount them with recount(ids) and return
+  // { ids, corrected }; ids is empty once the table is done
+  const reconcileBatch = async (dbClient, table, lastId, recount) => {
+    await dbClient.query('BEGIN');
+    try {
+      const locked = await dbClient.query(
+        `SELECT id FROM ${table} WHERE id > $1 ORDER BY id LIMIT $2 FOR UPDATE`,
+        [lastId, batchSize]
+      );
+      const ids = locked.rows.map(row => row.id);
+      const corrected = ids.length > 0 ? (await recount(ids)).rows : [];
+      await dbClient.query('COMMIT');
+      return { ids, corrected };
+    } catch (error) {
+      await dbClient.query('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  };
+
+  // Run reconcileBatch over a whole table, returning every corrected row
+  const reconcileTable = async (dbClient, table, recount) => {
+    const corrected = [];
+    let lastId = 0;
+    for (;;) {
+      const batch = await reconcileBatch(dbClient, table, lastId, recount);
+      if (batch.ids.length === 0) return corrected;
+      corrected.push(...batch.corrected);
+      lastId = batch.ids[batch.ids.length - 1];
+    }
+  };
+
+  const recountPosts = (dbClient) => (ids) => dbClient.query(`
+    WITH actual AS (
+      SELECT p.id,
+        p.like_count AS stored_like_count,
+        p.reaction_counts AS stored_reaction_counts,
+        p.comment_count AS stored_comment_count,
+        (SELECT COUNT(*) FROM likes l WHERE l.post_id = p.id AND l.reaction = $1)::int AS like_count,
+        COALESCE((
+          SELECT jsonb_object_agg(per_type.reaction, per_type.count)
+          FROM (SELECT l.reaction, COUNT(*) AS count FROM likes l WHERE l.post_id = p.id GROUP BY l.reaction) per_type
+        ), '{}') AS reaction_counts,
+        (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.status = 'approved')::int AS comment_count
+      FROM posts p
+      WHERE p.id = ANY($2::bigint[])
+    )
+    UPDATE posts p
+    SET like_count = actual.like_count, reaction_counts = actual.reaction_counts, comment_count = actual.comment_count
+    FROM actual
+    WHERE p.id = actual.id
+      AND (actual.stored_like_count <> actual.like_count
+        OR actual.stored_reaction_counts <> actual.reaction_counts
+        OR actual.stored_comment_count <> actual.comment_count)
+    RETURNING p.id, actual.stored_like_count, actual.like_count, actual.stored_reaction_counts, actual.reaction_counts,
+      actual.stored_comment_count, actual.comment_count
+  `, [DEFAULT_REACTION, ids]);
+
+  const recountComments = (dbClient) => (ids) => dbClient.query(`
+    WITH actual AS (
+      SELECT c.id,
+        c.like_count AS stored_like_count,
+        (SELECT COUNT(*) FROM comment_likes cl WHERE cl.comment_id = c.id)::int AS like_count
+      FROM comments c
+      WHERE c.id = ANY($1::bigint[])
+    )
+    UPDATE comments c
+    SET like_count = actual.like_count
+    FROM actual
+    WHERE c.id = actual.id AND actual.stored_like_count <> actual.like_count
+    RETURNING c.id, c.post_id, actual.stored_like_count, actual.like_count
+  `, [ids]);
+
+  const reconcile = async () => {
+    const dbClient = await pool.connect();
+    let corrected;
+    let correctedComments;
+
+    try {
+      const lock = await dbClient.query("SELECT pg_try_advisory_lock(hashtext('post_counters_reconcile')) AS locked");
+      if (!lock.rows[0].locked) {
+        return { posts: [], comments: [] };
+      }
+
+      try {
+        corrected = await reconcileTable(dbClient, 'posts', recountPosts(dbClient));
+        correctedComments = await reconcileTable(dbClient, 'comments', recountComments(dbClient));
+      } finally {
+        await dbClient.query("SELECT pg_advisory_unlock(hashtext('post_counters_reconcile'))").catch(() => {});
+      }
+    } finally {
+      dbClient.release();
+    }
+
+    for (const row of corrected) {
+      logger.warn(`Corrected counters for post ${row.id}: likes ${row.stored_like_count} -> ${row.like_count}, `
+        + `reactions ${JSON.stringify(row.stored_reaction_counts)} -> ${JSON.stringify(row.reaction_counts)}, `
+        + `comments ${row.stored_comment_count} -> ${row.comment_count}`);
+    }
+    for (const row of correctedComments) {
+      logger.warn(`Corrected like count for comment ${row.id}: ${row.stored_like_count} -> ${row.like_count}`);
+    }
+
+    const result = { posts: corrected, comments: correctedComments };
+    if (corrected.length > 0 || correctedComments.length > 0) {
+      await onCorrected(result);
+    }
+    return result;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      reconcile().catch(error => logger.error('Error reconciling post counters', error));
+    }, intervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    reconcile,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  ADJUST_SCRIPT,
+  likeCountCacheKey,
+  commentCountCacheKey,
+  createCounterCache,
+  createCounterReconciler
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+/**
+ * Errors that end a request with a specific status.
+ *
+ * Handlers pass them to next() (or throw them inside their try block, whose catch
+ * passes everything on). The error handler, registered after every route, answers
+ *   { "error": "Post not found", "code": "not_found", "requestId": "..." }
+ * plus `details` when the error has them. Any other error is a 500 with a generic
+ * message; its message and stack only go to the logs, keyed by the request ID.
+ */
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', details, headers, cause } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+// Bad input: failed schema validation, or a check that needs the database (duplicate comment, reply depth)
+class ValidationError extends AppError {
+  constructor(message = 'Invalid request', options = {}) {
+    super(message, { status: 400, code: 'invalid_request', ...options });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, { status: 401, code: 'unauthenticated', ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', options = {}) {
+    super(message, { status: 403, code: 'forbidden', ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { status: 404, code: 'not_found', ...options });
+  }
+}
+
+// The request is valid but clashes with the current state (a taken slug, a campaign already sent)
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, code: 'conflict', ...options });
+  }
+}
+
+class RateLimitedError extends AppError {
+  constructor(message = 'Too many requests', { retryAfter, ...options } = {}) {
+    super(message, {
+      status: 429,
+      code: 'rate_limited',
+      details: retryAfter !== undefined ? { retryAfter } : undefined,
+      headers: retryAfter !== undefined ? { 'Retry-After': String(retryAfter) } : undefined,
+      ...options
+    });
+  }
+}
+
+// A service we depend on (Pushgateway, the mail provider, Redis) failed; the cause is logged, not returned
+class UpstreamError extends AppError {
+  constructor(message = 'Upstream service unavailable', options = {}) {
+    super(message, { status: 502, code: 'upstream_error', ...options });
+  }
+}
+
+// Incoming IDs (from the ingress or a calling service) are reused when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Tags each request with req.id and an X-Request-Id response header
+const requestId = () => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Errors raised by Express itself and body-parser carry a status and an `expose` flag
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+  if (err.type === 'entity.parse.failed') return new ValidationError('Malformed request body');
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: 'invalid_request' });
+  }
+  return new AppError('Internal server error');
+};
+
+function createErrorHandler({ logger, metrics = {} }) {
+  return (err, req, res, next) => {
+    const error = toAppError(err);
+    const label = `${req.method} ${req.originalUrl} [${req.id}]`;
+
+    if (error.status >= 500) {
+      logger.error(`Request failed: ${label}`, err);
+      if (err.cause) {
+        logger.error(`Caused by (${req.id})`, err.cause);
+      }
+    } else {
+      logger.info(`Request rejected with ${error.status} ${error.code}: ${label}: ${err.message}`);
+    }
+    metrics.errors?.inc({ code: error.code, status_code: error.status });
+
+    // The response is already streaming (e.g. an event stream); all we can do is end it
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    const body = { error: error.message, code: error.code, requestId: req.id };
+    if (error.details !== undefined) {
+      body.details = error.details;
+    }
+    res.status(error.status).set(error.headers || {}).json(body);
+  };
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  UpstreamError,
+  requestId,
+  createErrorHandler
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+
+/**
+ * Server-sent event streams of live post updates, fanned out to every replica
+ * through Redis pub/sub.
+ *
+ * publish() gives each event the next ID from a per-post sequence
+ * (events:post:<id>:seq), appends it to a capped backlog and publishes it on
+ * events:post:<id>, all in one script. Every pod subscribes to events:post:* and
+ * writes incoming events to its own open streams.
+ *
+ * A reconnecting EventSource sends Last-Event-ID; the stream replays the backlog
+ * after that ID before going live. If the backlog no longer reaches back that far
+ * the client gets a `reset` event and should refetch the post.
+ *
+ * Open streams are leased per IP in a sorted set (events:streams:<ip hash>), scored
+ * by lease expiry and renewed with every heartbeat, so the per-IP cap holds across
+ * pods and leases of a pod that died expire on their own.
+ */
+
+// Next ID, append to the backlog (trimmed to the newest ARGV[3] events) and publish
+const PUBLISH_SCRIPT = `
+local id = redis.call('INCR', KEYS[1])
+local event = '{"id":' .. id .. ',"type":' .. cjson.encode(ARGV[1]) .. ',"data":' .. ARGV[2] .. '}'
+redis.call('ZADD', KEYS[2], id, event)
+redis.call('ZREMRANGEBYRANK', KEYS[2], 0, -tonumber(ARGV[3]) - 1)
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+redis.call('PUBLISH', ARGV[5], event)
+return id
+`;
+
+// Drop expired leases, then take one unless the IP already holds ARGV[3]
+const LEASE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[4])
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return 1
+`;
+
+const hashKey = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// How soon EventSource reconnects after a dropped stream
+const RETRY_MS = 3000;
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+function createPostEvents({
+  redisClient,
+  logger,
+  metrics = {},
+  prefix = 'events',
+  heartbeatMs = parseInt(process.env.SSE_HEARTBEAT_SECONDS || '15') * 1000,
+  maxStreamsPerIp = parseInt(process.env.SSE_MAX_STREAMS_PER_IP || '5'),
+  backlogSize = parseInt(process.env.SSE_BACKLOG_SIZE || '100'),
+  backlogTtlSeconds = parseInt(process.env.SSE_BACKLOG_TTL_SECONDS || '3600'),
+  // How long a lease outlives its last heartbeat
+  leaseMs = heartbeatMs * 3
+}) {
+  const streamsByPost = new Map();
+  let subscriber = null;
+  let timer = null;
+
+  // Route params arrive as strings; '7' and '007' are the same post
+  const postKey = (postId) => String(parseInt(postId));
+  const seqKey = (postId) => `${prefix}:post:${postId}:seq`;
+  const backlogKey = (postId) => `${prefix}:post:${postId}:backlog`;
+  const channel = (postId) => `${prefix}:post:${postId}`;
+  const leaseKey = (ip) => `${prefix}:streams:${hashKey(ip)}`;
+
+  // Streams still replaying their backlog queue live events until they catch up
+  const deliver = (stream, event) => {
+    if (stream.queue) {
+      stream.queue.push(event);
+    } else if (event.id > stream.lastId) {
+      stream.lastId = event.id;
+      stream.res.write(formatEvent(event));
+    }
+  };
+
+  const onMessage = (message, messageChannel) => {
+    const postId = messageChannel.slice(`${prefix}:post:`.length);
+    const streams = streamsByPost.get(postId);
+    if (!streams) return;
+
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (error) {
+      logger.warn(`Ignoring malformed event on ${messageChannel}`, error);
+      return;
+    }
+    for (const stream of streams) {
+      deliver(stream, event);
+    }
+  };
+
+  // Fire and forget: a failed publish only costs live viewers an update, never the write that caused it
+  const publish = (postId, type, data) => redisClient.eval(PUBLISH_SCRIPT, {
+    keys: [seqKey(postKey(postId)), backlogKey(postKey(postId))],
+    arguments: [type, JSON.stringify(data), String(backlogSize), String(backlogTtlSeconds), channel(postKey(postId))]
+  }).catch(error => logger.warn(`Failed to publish ${type} event for post ${postId}`, error));
+
+  const acquireLease = async (ip, streamId) => {
+    const now = Date.now();
+    try {
+      const acquired = await redisClient.eval(LEASE_SCRIPT, {
+        keys: [leaseKey(ip)],
+        arguments: [String(now), String(now + leaseMs), String(maxStreamsPerIp), streamId, String(leaseMs)]
+      });
+      return acquired === 1;
+    } catch (error) {
+      logger.error('Error checking event stream limit', error);
+      return true;
+    }
+  };
+
+  // Events after lastId, or null when the backlog no longer reaches back that far
+  const readBacklog = async (postId, lastId) => {
+    const [seq, entries] = await Promise.all([
+      redisClient.get(seqKey(postId)),
+      redisClient.zRangeByScore(backlogKey(postId), `(${lastId}`, '+inf')
+    ]);
+    const events = entries.map(entry => JSON.parse(entry));
+    const latest = parseInt(seq || '0');
+
+    if (lastId > latest) return null;
+    if (latest > lastId && (events.length === 0 || events[0].id !== lastId + 1)) return null;
+    return events;
+  };
+
+  /**
+   * Open a stream on res for a post. lastEventId is the client's Last-Event-ID, if any.
+   * Returns false without touching res when ip already has maxStreamsPerIp streams open.
+   */
+  const open = async ({ req, res, postId, ip, lastEventId }) => {
+    const streamId = crypto.randomUUID();
+    if (!(await acquireLease(ip, streamId))) {
+      return false;
+    }
+
+    // A client that left while we waited has already fired its close event, so the handler
+    // below would never run and heartbeats would renew its lease forever
+    if (req.destroyed) {
+      await redisClient.zRem(leaseKey(ip), streamId).catch(() => {});
+      return true;
+    }
+
+    const parsedLastId = parseInt(lastEventId);
+    const stream = {
+      id: streamId,
+      res,
+      ip,
+      lastId: Number.isInteger(parsedLastId) && parsedLastId >= 0 ? parsedLastId : null,
+      queue: []
+    };
+    const key = postKey(postId);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (!streamsByPost.has(key)) streamsByPost.set(key, new Set());
+    streamsByPost.get(key).add(stream);
+    metrics.openStreams?.inc();
+
+    req.on('close', () => {
+      const streams = streamsByPost.get(key);
+      streams.delete(stream);
+      if (streams.size === 0) streamsByPost.delete(key);
+      metrics.openStreams?.dec();
+      redisClient.zRem(leaseKey(ip), streamId).catch(() => {});
+    });
+
+    // New streams start from the latest event; resumed ones replay what they missed first
+    try {
+      if (stream.lastId === null) {
+        stream.lastId = parseInt((await redisClient.get(seqKey(key))) || '0');
+      } else {
+        const missed = await readBacklog(key, stream.lastId);
+        if (missed === null) {
+          stream.lastId = parseInt((await redisClient.get(seqKey(key))) || '0');
+          res.write(formatEvent({ id: stream.lastId, type: 'reset', data: { postId: key } }));
+        } else {
+          for (const event of missed) {
+            stream.lastId = event.id;
+            res.write(formatEvent(event));
+          }
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to replay events for post ${key}`, error);
+      stream.lastId = stream.lastId || 0;
+    }
+
+    const queued = stream.queue;
+    stream.queue = null;
+    for (const event of queued) {
+      deliver(stream, event);
+    }
+    return true;
+  };
+
+  // Comment lines keep proxies from timing out idle streams; each one also renews the stream's lease
+  const heartbeat = () => {
+    const leaseExpiry = Date.now() + leaseMs;
+    const renewals = redisClient.multi();
+    let count = 0;
+
+    for (const streams of streamsByPost.values()) {
+      for (const stream of streams) {
+        stream.res.write(': heartbeat\n\n');
+        renewals.zAdd(leaseKey(stream.ip), { score: leaseExpiry, value: stream.id });
+        renewals.pExpire(leaseKey(stream.ip), leaseMs);
+        count += 1;
+      }
+    }
+
+    if (count > 0) {
+      renewals.exec().catch(error => logger.warn('Failed to renew event stream leases', error));
+    }
+  };
+
+  const start = async () => {
+    if (subscriber) return;
+    subscriber = redisClient.duplicate();
+    subscriber.on('error', (err) => logger.error('Redis event subscriber error', err));
+    await subscriber.connect();
+    await subscriber.pSubscribe(`${prefix}:post:*`, onMessage);
+
+    timer = setInterval(heartbeat, heartbeatMs);
+    timer.unref();
+  };
+
+  // Ends every open stream; clients reconnect to another pod with their Last-Event-ID
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+
+    for (const streams of streamsByPost.values()) {
+      for (const stream of streams) {
+        stream.res.end();
+      }
+    }
+
+    if (subscriber) {
+      const closing = subscriber;
+      subscriber = null;
+      await closing.quit().catch(() => {});
+    }
+  };
+
+  return {
+    publish,
+    open,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  PUBLISH_SCRIPT,
+  LEASE_SCRIPT,
+  createPostEvents
+};
@@ -0,0 +1,155 @@
+const { marked } = require('marked');
+const { BLOG_URL, PUBLIC_API_URL, BLOG_TITLE, BLOG_DESCRIPTION, BLOG_AUTHOR, postUrl, tagUrl } = require('./site');
+
+/**
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 renderers.
+ *
+ * Each takes the rows from the published posts query (slug, title, content,
+ * created_at, published_at, updated_at, tags) and returns the feed document.
+ */
+
+const FEED_FORMATS = {
+  rss: { file: 'feed.xml', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { file: 'atom.xml', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { file: 'feed.json', contentType: 'application/feed+json; charset=utf-8' }
+};
+
+const SUMMARY_LENGTH = 280;
+
+// Characters XML 1.0 doesn't allow at all, even escaped
+const INVALID_XML_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Plain-text teaser from rendered HTML, cut at a word boundary
+const summarize = (html, length = SUMMARY_LENGTH) => {
+  const text = html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= length) return text;
+  return `${text.slice(0, length).replace(/\s+\S*$/, '')}\u2026`;
+};
+
+const feedUrl = (format, tag = null) =>
+  `${PUBLIC_API_URL}${tag ? `/tags/${encodeURIComponent(tag.slug)}` : ''}/${FEED_FORMATS[format].file}`;
+
+const toItem = (post) => {
+  const html = marked.parse(post.content || '');
+  const published = new Date(post.published_at || post.created_at);
+  return {
+    id: postUrl(post.slug),
+    url: postUrl(post.slug),
+    title: post.title,
+    html,
+    summary: summarize(html),
+    published,
+    updated: new Date(post.updated_at || published),
+    tags: (post.tags || []).map(tag => tag.name)
+  };
+};
+
+// Shared feed metadata; `updated` is the newest item change, used for Last-Modified too
+const buildFeed = ({ posts, tag = null }) => {
+  const items = posts.map(toItem);
+  const updated = items.length > 0
+    ? new Date(Math.max(...items.map(item => item.updated.getTime())))
+    : null;
+
+  return {
+    title: tag ? `${BLOG_TITLE}: ${tag.name}` : BLOG_TITLE,
+    description: tag ? `Posts tagged "${tag.name}" on ${BLOG_TITLE}` : BLOG_DESCRIPTION,
+    homeUrl: tag ? tagUrl(tag.slug) : BLOG_URL,
+    tag,
+    items,
+    updated
+  };
+};
+
+const renderRss = (feed) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(feedUrl('rss', feed.tag))}" rel="self" type="application/rss+xml"/>
+${feed.updated ? `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>\n` : ''}${feed.items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(item.html)}</description>
+    </item>
+`).join('')}  </channel>
+</rss>
+`;
+
+const renderAtom = (feed) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feedUrl('atom', feed.tag))}</id>
+  <link href="${escapeXml(feedUrl('atom', feed.tag))}" rel="self" type="application/atom+xml"/>
+  <link href="${escapeXml(feed.homeUrl)}" rel="alternate" type="text/html"/>
+  <updated>${(feed.updated || new Date(0)).toISOString()}</updated>
+  <author><name>${escapeXml(BLOG_AUTHOR)}</name></author>
+${feed.items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.id)}</id>
+    <link href="${escapeXml(item.url)}" rel="alternate" type="text/html"/>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>
+`).join('')}</feed>
+`;
+
+const renderJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feedUrl('json', feed.tag),
+  description: feed.description,
+  language: 'en',
+  authors: [{ name: BLOG_AUTHOR }],
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    content_html: item.html,
+    summary: item.summary,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    ...(item.tags.length > 0 ? { tags: item.tags } : {})
+  }))
+}, null, 2);
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+// Render a feed in one of FEED_FORMATS; returns { body, updated }
+const renderFeed = (format, { posts, tag = null }) => {
+  const feed = buildFeed({ posts, tag });
+  return { body: RENDERERS[format](feed), updated: feed.updated };
+};
+
+module.exports = {
+  FEED_FORMATS,
+  escapeXml,
+  summarize,
+  renderFeed
+};
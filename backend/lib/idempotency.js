@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { ValidationError, ConflictError } = require('./errors');
+
+/**
+ * Idempotency-Key support for retried writes.
+ *
+ * The first request with a given key claims it in Redis (idempotency:<scope>:<key>)
+ * and its response is stored when it finishes; repeats get the stored response back
+ * with an Idempotent-Replayed header instead of running the handler again. Reusing a
+ * key for a different request is a 422, and a repeat that arrives while the first is
+ * still running is a 409.
+ *
+ * Requests without the header are handled normally. Redis errors fail open.
+ */
+
+// Visible ASCII, as sent by browsers' crypto.randomUUID() and most client libraries
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+const fingerprint = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+function createIdempotency({
+  redisClient,
+  logger,
+  prefix = 'idempotency',
+  ttlSeconds = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400'),
+  // How long a claimed key stays locked if the pod handling it dies mid-request
+  pendingSeconds = 30
+}) {
+  const middleware = (scope) => async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+      return next(new ValidationError('Idempotency-Key must be 1-255 visible ASCII characters'));
+    }
+
+    const key = `${prefix}:${scope}:${idempotencyKey}`;
+    const requestFingerprint = fingerprint(req);
+
+    let stored = null;
+    try {
+      const claimed = await redisClient.set(
+        key,
+        JSON.stringify({ state: 'pending', fingerprint: requestFingerprint }),
+        { NX: true, EX: pendingSeconds }
+      );
+      if (!claimed) {
+        stored = JSON.parse(await redisClient.get(key));
+      }
+    } catch (error) {
+      logger.error('Error reading idempotency key', error);
+      return next();
+    }
+
+    if (stored) {
+      if (stored.fingerprint !== requestFingerprint) {
+        return next(new ConflictError('Idempotency-Key was already used for a different request', { status: 422, code: 'idempotency_key_reused' }));
+      }
+      if (stored.state === 'pending') {
+        return next(new ConflictError('A request with this Idempotency-Key is still being processed'));
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.body);
+    }
+
+    // Store the response once it's sent; server errors release the key so the retry runs again
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const save = res.statusCode >= 500
+        ? redisClient.del(key)
+        : redisClient.set(key, JSON.stringify({
+          state: 'done',
+          fingerprint: requestFingerprint,
+          status: res.statusCode,
+          body
+        }), { EX: ttlSeconds });
+      save.catch(error => logger.error('Error storing idempotent response', error));
+      return sendJson(body);
+    };
+
+    next();
+  };
+
+  return { middleware };
+}
+
+module.exports = {
+  createIdempotency
+};
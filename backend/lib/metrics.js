@@ -0,0 +1,326 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for one app.
+ *
+ * Every call builds its own registry, so apps created side by side (in tests, say)
+ * don't clash over metric names. queueDepth() is read on each scrape to report the
+ * newsletter send queue.
+ */
+function createMetrics({ logger, queueDepth = async () => 0 }) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'Total number of HTTP requests',
+    labelNames: ['method', 'route', 'status_code'],
+    registers: [register]
+  });
+
+  const httpErrors = new client.Counter({
+    name: 'http_errors_total',
+    help: 'Total number of requests answered by the error handler, by error code',
+    labelNames: ['code', 'status_code'],
+    registers: [register]
+  });
+
+  const likesTotal = new client.Counter({
+    name: 'blog_likes_total',
+    help: 'Total number of blog likes',
+    labelNames: ['post_id'],
+    registers: [register]
+  });
+
+  const reactionsTotal = new client.Counter({
+    name: 'blog_reactions_total',
+    help: 'Total number of blog post reactions, by reaction type',
+    labelNames: ['post_id', 'reaction'],
+    registers: [register]
+  });
+
+  const reactionRemovalsTotal = new client.Counter({
+    name: 'blog_reaction_removals_total',
+    help: 'Total number of blog post reactions removed, by reaction type',
+    labelNames: ['post_id', 'reaction'],
+    registers: [register]
+  });
+
+  const commentsTotal = new client.Counter({
+    name: 'blog_comments_total',
+    help: 'Total number of blog comments',
+    labelNames: ['post_id'],
+    registers: [register]
+  });
+
+  const unlikesTotal = new client.Counter({
+    name: 'blog_unlikes_total',
+    help: 'Total number of blog unlikes',
+    labelNames: ['post_id'],
+    registers: [register]
+  });
+
+  const commentLikesTotal = new client.Counter({
+    name: 'blog_comment_likes_total',
+    help: 'Total number of blog comment likes',
+    labelNames: ['post_id'],
+    registers: [register]
+  });
+
+  const commentUnlikesTotal = new client.Counter({
+    name: 'blog_comment_unlikes_total',
+    help: 'Total number of blog comment unlikes',
+    labelNames: ['post_id'],
+    registers: [register]
+  });
+
+  const newsletterSubscriptions = new client.Counter({
+    name: 'newsletter_subscriptions_total',
+    help: 'Total number of newsletter subscriptions',
+    labelNames: ['status'],
+    registers: [register]
+  });
+
+  const newsletterUnsubscriptions = new client.Counter({
+    name: 'newsletter_unsubscriptions_total',
+    help: 'Total number of newsletter unsubscriptions',
+    registers: [register]
+  });
+
+  const newsletterDeliveries = new client.Counter({
+    name: 'newsletter_deliveries_total',
+    help: 'Total number of newsletter campaign delivery outcomes',
+    labelNames: ['status'],
+    registers: [register]
+  });
+
+  const newsletterOpens = new client.Counter({
+    name: 'newsletter_opens_total',
+    help: 'Total number of newsletter campaign emails opened (first open per recipient)',
+    registers: [register]
+  });
+
+  const newsletterQueueDepth = new client.Gauge({
+    name: 'newsletter_queue_depth',
+    help: 'Number of newsletter deliveries waiting in the send queue, including retries',
+    registers: [register],
+    async collect() {
+      try {
+        this.set(await queueDepth());
+      } catch (error) {
+        logger.warn('Could not read newsletter queue depth', error);
+      }
+    }
+  });
+
+  const newsletterBounceEvents = new client.Counter({
+    name: 'newsletter_bounce_events_total',
+    help: 'Total number of bounce and complaint notifications received',
+    labelNames: ['provider', 'type', 'bounce_type'],
+    registers: [register]
+  });
+
+  const newsletterConfirmations = new client.Counter({
+    name: 'newsletter_confirmations_total',
+    help: 'Total number of newsletter confirmation link visits',
+    labelNames: ['result'],
+    registers: [register]
+  });
+
+  const feedbackSubmissions = new client.Counter({
+    name: 'feedback_submissions_total',
+    help: 'Total number of feedback submissions',
+    labelNames: ['rating'],
+    registers: [register]
+  });
+
+  const postsPublished = new client.Counter({
+    name: 'posts_published_total',
+    help: 'Total number of posts published',
+    labelNames: ['trigger'],
+    registers: [register]
+  });
+
+  const searchQueries = new client.Counter({
+    name: 'search_queries_total',
+    help: 'Total number of search queries',
+    labelNames: ['scope', 'cached'],
+    registers: [register]
+  });
+
+  const searchZeroResults = new client.Counter({
+    name: 'search_zero_results_total',
+    help: 'Total number of search queries that returned no results',
+    labelNames: ['scope'],
+    registers: [register]
+  });
+
+  const postCounterCorrections = new client.Counter({
+    name: 'post_counter_corrections_total',
+    help: 'Total number of drifted post like/reaction/comment counters fixed by the reconcile job',
+    labelNames: ['counter'],
+    registers: [register]
+  });
+
+  const feedRequests = new client.Counter({
+    name: 'feed_requests_total',
+    help: 'Total number of RSS, Atom and JSON feed requests',
+    labelNames: ['format', 'cached'],
+    registers: [register]
+  });
+
+  const validationFailures = new client.Counter({
+    name: 'request_validation_failures_total',
+    help: 'Total number of requests rejected by request validation',
+    labelNames: ['method', 'route'],
+    registers: [register]
+  });
+
+  const rateLimitHits = new client.Counter({
+    name: 'rate_limit_hits_total',
+    help: 'Total number of requests rejected by a rate limiter',
+    labelNames: ['limiter'],
+    registers: [register]
+  });
+
+  const legacyApiRequests = new client.Counter({
+    name: 'legacy_api_requests_total',
+    help: 'Total number of requests to the deprecated unversioned API paths, by the /api/v1 route they alias',
+    labelNames: ['method', 'route'],
+    registers: [register]
+  });
+
+  const pageViews = new client.Counter({
+    name: 'page_views_total',
+    help: 'Total number of page views',
+    labelNames: ['page_url', 'device_type'],
+    registers: [register]
+  });
+
+  const clicks = new client.Counter({
+    name: 'clicks_total',
+    help: 'Total number of clicks',
+    labelNames: ['element_type', 'element_id'],
+    registers: [register]
+  });
+
+  const userSessions = new client.Counter({
+    name: 'user_sessions_total',
+    help: 'Total number of user sessions',
+    labelNames: ['device_type', 'browser'],
+    registers: [register]
+  });
+
+  const bounceRate = new client.Gauge({
+    name: 'bounce_rate',
+    help: 'Bounce rate percentage',
+    registers: [register]
+  });
+
+  const averageSessionDuration = new client.Gauge({
+    name: 'average_session_duration_seconds',
+    help: 'Average session duration in seconds',
+    registers: [register]
+  });
+
+  const responseTime = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests in seconds',
+    labelNames: ['method', 'route'],
+    buckets: [0.1, 0.3, 0.5, 0.7, 1, 3, 5, 7, 10],
+    registers: [register]
+  });
+
+  const activeConnections = new client.Gauge({
+    name: 'active_connections',
+    help: 'Number of active connections',
+    registers: [register]
+  });
+
+  const openEventStreams = new client.Gauge({
+    name: 'sse_open_streams',
+    help: 'Number of open server-sent event streams',
+    registers: [register]
+  });
+
+  const commentSpamCheckScore = new client.Histogram({
+    name: 'comment_spam_check_score',
+    help: 'Weighted score each spam check gave a submitted comment',
+    labelNames: ['check'],
+    buckets: [0, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2],
+    registers: [register]
+  });
+
+  const commentSpamScore = new client.Histogram({
+    name: 'comment_spam_score',
+    help: 'Total spam score of submitted comments',
+    buckets: [0, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5],
+    registers: [register]
+  });
+
+  const commentsFlaggedSpam = new client.Counter({
+    name: 'comments_flagged_spam_total',
+    help: 'Total number of comments held for moderation because their spam score was over the threshold',
+    registers: [register]
+  });
+
+  const commentModerationActions = new client.Counter({
+    name: 'comment_moderation_actions_total',
+    help: 'Total number of comment moderation decisions',
+    labelNames: ['action'],
+    registers: [register]
+  });
+
+  const adminLoginAttempts = new client.Counter({
+    name: 'admin_login_attempts_total',
+    help: 'Total number of admin login attempts',
+    labelNames: ['result'],
+    registers: [register]
+  });
+
+  return {
+    register,
+    httpRequestsTotal,
+    httpErrors,
+    likesTotal,
+    reactionsTotal,
+    reactionRemovalsTotal,
+    commentsTotal,
+    unlikesTotal,
+    commentLikesTotal,
+    commentUnlikesTotal,
+    newsletterSubscriptions,
+    newsletterUnsubscriptions,
+    newsletterDeliveries,
+    newsletterOpens,
+    newsletterQueueDepth,
+    newsletterBounceEvents,
+    newsletterConfirmations,
+    feedbackSubmissions,
+    postsPublished,
+    searchQueries,
+    searchZeroResults,
+    postCounterCorrections,
+    feedRequests,
+    validationFailures,
+    rateLimitHits,
+    legacyApiRequests,
+    pageViews,
+    clicks,
+    userSessions,
+    bounceRate,
+    averageSessionDuration,
+    responseTime,
+    activeConnections,
+    openEventStreams,
+    commentSpamCheckScore,
+    commentSpamScore,
+    commentsFlaggedSpam,
+    commentModerationActions,
+    adminLoginAttempts
+  };
+}
+
+module.exports = {
+  createMetrics
+};
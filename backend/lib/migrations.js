@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Versioned SQL schema migrations.
+ *
+ * Migrations live in backend/migrations as pairs of files:
+ *
+ *   0003_admin-users.up.sql     - applied by up()
+ *   0003_admin-users.down.sql   - applied by down()
+ *
+ * Each migration runs in its own transaction and is recorded in schema_migrations.
+ * A session advisory lock, held on a connection of its own for the whole run, makes
+ * sure only one pod migrates at a time; the others wait for it to finish and then
+ * find nothing left to do. If the pod dies mid-run its connection closes and the
+ * lock goes with it. schema_migrations_lock only records who holds it, for the
+ * error of a pod that gives up waiting.
+ */
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const MIGRATION_LOCK = "hashtext('schema_migrations_run')";
+const LOCK_POLL_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+// Read and pair up the migration files in dir, ordered by version
+const loadMigrations = (dir) => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText);
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+function createMigrator({
+  pool,
+  logger,
+  dir = path.join(__dirname, '..', 'migrations'),
+  lockTimeoutMs = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS || '120') * 1000,
+  owner = `${os.hostname()}:${process.pid}`
+}) {
+  // Create the bookkeeping tables; the advisory lock stops two pods racing on CREATE TABLE
+  const ensureTables = async () => {
+    const dbClient = await pool.connect();
+    try {
+      await dbClient.query('BEGIN');
+      await dbClient.query("SELECT pg_advisory_xact_lock(hashtext('schema_migrations'))");
+      await dbClient.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum CHAR(64) NOT NULL,
+          execution_ms INTEGER NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      await dbClient.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations_lock (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          locked_by TEXT,
+          locked_at TIMESTAMPTZ
+        )
+      `);
+      await dbClient.query('INSERT INTO schema_migrations_lock (id) VALUES (1) ON CONFLICT (id) DO NOTHING');
+      await dbClient.query('COMMIT');
+    } catch (error) {
+      await dbClient.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      dbClient.release();
+    }
+  };
+
+  // Take the advisory lock on a connection that is kept until releaseLock; returns that connection
+  const acquireLock = async () => {
+    const deadline = Date.now() + lockTimeoutMs;
+    const lockClient = await pool.connect();
+
+    try {
+      for (;;) {
+        const result = await lockClient.query(`SELECT pg_try_advisory_lock(${MIGRATION_LOCK}) AS locked`);
+
+        if (result.rows[0].locked) {
+          await lockClient.query('UPDATE schema_migrations_lock SET locked_by = $1, locked_at = NOW() WHERE id = 1', [owner]);
+          return lockClient;
+        }
+
+        if (Date.now() > deadline) {
+          const holder = await lockClient.query('SELECT locked_by, locked_at FROM schema_migrations_lock WHERE id = 1');
+          const { locked_by: lockedBy, locked_at: lockedAt } = holder.rows[0] || {};
+          throw new Error(`Timed out waiting for the migration lock (held by ${lockedBy} since ${lockedAt})`);
+        }
+
+        logger.info('Waiting for another process to finish migrating');
+        await sleep(LOCK_POLL_MS);
+      }
+    } catch (error) {
+      lockClient.release();
+      throw error;
+    }
+  };
+
+  // A connection that can't unlock is dropped rather than returned to the pool, which ends its lock too
+  const releaseLock = async (lockClient) => {
+    let failed;
+    try {
+      await lockClient.query(
+        'UPDATE schema_migrations_lock SET locked_by = NULL, locked_at = NULL WHERE id = 1 AND locked_by = $1',
+        [owner]
+      );
+      await lockClient.query(`SELECT pg_advisory_unlock(${MIGRATION_LOCK})`);
+    } catch (error) {
+      failed = error;
+      throw error;
+    } finally {
+      lockClient.release(failed);
+    }
+  };
+
+  const withLock = async (fn) => {
+    await ensureTables();
+    const lockClient = await acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await releaseLock(lockClient).catch(error => logger.error('Error releasing migration lock', error));
+    }
+  };
+
+  const appliedMigrations = async () => {
+    const result = await pool.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  };
+
+  // Run one migration's SQL and update schema_migrations in the same transaction
+  const run = async (migration, direction) => {
+    const sql = migration[direction];
+    const started = Date.now();
+    const dbClient = await pool.connect();
+
+    try {
+      await dbClient.query('BEGIN');
+      await dbClient.query(sql);
+
+      if (direction === 'up') {
+        await dbClient.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - started]
+        );
+      } else {
+        await dbClient.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+
+      await dbClient.query('COMMIT');
+      logger.info(`Migration ${migration.version}_${migration.name} ${direction} applied in ${Date.now() - started}ms`);
+    } catch (error) {
+      await dbClient.query('ROLLBACK').catch(() => {});
+      error.message = `Migration ${migration.version}_${migration.name} ${direction} failed: ${error.message}`;
+      throw error;
+    } finally {
+      dbClient.release();
+    }
+  };
+
+  // Apply pending migrations in order, up to and including version `to` if given
+  const up = async ({ to = Infinity } = {}) => withLock(async () => {
+    const migrations = loadMigrations(dir);
+    const applied = new Map((await appliedMigrations()).map(row => [row.version, row]));
+
+    for (const migration of migrations) {
+      const row = applied.get(migration.version);
+      if (row && row.checksum.trim() !== migration.checksum) {
+        logger.warn(`Migration ${migration.version}_${migration.name} was edited after it was applied`);
+      }
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+    for (const migration of pending) {
+      await run(migration, 'up');
+    }
+
+    if (pending.length === 0) {
+      logger.info('Database schema is up to date');
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+
+  // Revert the latest `steps` applied migrations, or everything above version `to`
+  const down = async ({ steps = 1, to } = {}) => withLock(async () => {
+    const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+    const applied = (await appliedMigrations()).reverse();
+    const targets = to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter(row => row.version > to);
+
+    for (const row of targets) {
+      const migration = migrations.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file and can't be reverted`);
+      }
+      await run(migration, 'down');
+    }
+
+    return targets.map(({ version, name }) => ({ version, name }));
+  });
+
+  const status = async () => {
+    await ensureTables();
+    const migrations = loadMigrations(dir);
+    const applied = await appliedMigrations();
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name }))
+    };
+  };
+
+  // Highest applied version; 0 before the first migration has run
+  const currentVersion = async () => {
+    const result = await pool.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+    return parseInt(result.rows[0].version);
+  };
+
+  return {
+    up,
+    down,
+    status,
+    currentVersion
+  };
+}
+
+module.exports = {
+  createMigrator,
+  loadMigrations
+};
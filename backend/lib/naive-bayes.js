@@ -0,0 +1,64 @@
+// Multinomial naive-Bayes text classifier with Laplace smoothing, for spam vs. ham comments.
+
+const tokenize = (text) => (text.toLowerCase().match(/[a-z0-9']{2,}/g) || []);
+
+class NaiveBayesClassifier {
+  constructor({ minSamplesPerLabel = 20 } = {}) {
+    this.minSamplesPerLabel = minSamplesPerLabel;
+    this.reset();
+  }
+
+  reset() {
+    this.docCounts = { spam: 0, ham: 0 };
+    this.tokenTotals = { spam: 0, ham: 0 };
+    this.tokenCounts = { spam: new Map(), ham: new Map() };
+    this.vocabulary = new Set();
+  }
+
+  learn(text, label) {
+    if (label !== 'spam' && label !== 'ham') {
+      throw new Error(`Unknown label: ${label}`);
+    }
+
+    this.docCounts[label]++;
+    for (const token of tokenize(text)) {
+      const counts = this.tokenCounts[label];
+      counts.set(token, (counts.get(token) || 0) + 1);
+      this.tokenTotals[label]++;
+      this.vocabulary.add(token);
+    }
+  }
+
+  // Not enough moderated examples yet to say anything useful
+  get isTrained() {
+    return this.docCounts.spam >= this.minSamplesPerLabel && this.docCounts.ham >= this.minSamplesPerLabel;
+  }
+
+  // Probability (0-1) that the text is spam, or null while untrained
+  predict(text) {
+    if (!this.isTrained) return null;
+
+    const totalDocs = this.docCounts.spam + this.docCounts.ham;
+    const vocabularySize = this.vocabulary.size;
+    const logScores = {};
+
+    for (const label of ['spam', 'ham']) {
+      let logScore = Math.log(this.docCounts[label] / totalDocs);
+      const denominator = this.tokenTotals[label] + vocabularySize;
+      for (const token of tokenize(text)) {
+        // Tokens never seen in training carry no signal either way
+        if (!this.vocabulary.has(token)) continue;
+        logScore += Math.log(((this.tokenCounts[label].get(token) || 0) + 1) / denominator);
+      }
+      logScores[label] = logScore;
+    }
+
+    // Softmax over the two log scores, written to avoid overflow
+    return 1 / (1 + Math.exp(logScores.ham - logScores.spam));
+  }
+}
+
+module.exports = {
+  NaiveBayesClassifier,
+  tokenize
+};
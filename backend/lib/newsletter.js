@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { BLOG_URL, BLOG_TITLE, PUBLIC_API_URL } = require('./site');
+const { versioned } = require('./api-version');
+
+const CONFIRMATION_TTL_HOURS = parseInt(process.env.NEWSLETTER_CONFIRM_TTL_HOURS || '48');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A random confirmation token; only its hash is stored so a database leak can't confirm addresses
+const createConfirmationToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * HMAC signatures for one-click unsubscribe links. The signature is bound to the
+ * address, so knowing an email is no longer enough to unsubscribe it.
+ */
+function createUnsubscribeSigner(secret = process.env.NEWSLETTER_SIGNING_SECRET || process.env.JWT_SECRET) {
+  const sign = (email) => {
+    if (!secret) {
+      throw new Error('NEWSLETTER_SIGNING_SECRET (or JWT_SECRET) must be set to sign unsubscribe links');
+    }
+    return crypto.createHmac('sha256', secret).update(`unsubscribe:${email}`).digest('base64url');
+  };
+
+  const verify = (email, signature) => {
+    if (!secret || typeof signature !== 'string') return false;
+    const expected = Buffer.from(sign(email));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  };
+
+  const unsubscribeUrl = (email) =>
+    `${PUBLIC_API_URL}${versioned('/newsletter/unsubscribe')}?email=${encodeURIComponent(email)}&sig=${sign(email)}`;
+
+  // RFC 2369 / RFC 8058 headers so mail clients can offer a one-click unsubscribe button
+  const listUnsubscribeHeaders = (email) => ({
+    'List-Unsubscribe': `<${unsubscribeUrl(email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  });
+
+  return { sign, verify, unsubscribeUrl, listUnsubscribeHeaders };
+}
+
+const confirmationEmail = ({ email, token }) => {
+  const confirmUrl = `${PUBLIC_API_URL}${versioned('/newsletter/confirm')}?token=${encodeURIComponent(token)}`;
+  return {
+    to: email,
+    subject: 'Confirm your subscription',
+    text: [
+      'Thanks for subscribing to the newsletter!',
+      '',
+      'Please confirm your email address by opening this link:',
+      confirmUrl,
+      '',
+      `The link expires in ${CONFIRMATION_TTL_HOURS} hours. If you didn't subscribe, you can ignore this email.`
+    ].join('\n'),
+    html: `<p>Thanks for subscribing to the newsletter!</p>
+<p><a href="${confirmUrl}">Confirm your email address</a></p>
+<p>The link expires in ${CONFIRMATION_TTL_HOURS} hours. If you didn't subscribe, you can ignore this email.</p>`
+  };
+};
+
+const unsubscribeLinkEmail = ({ email, unsubscribeUrl }) => ({
+  to: email,
+  subject: 'Unsubscribe from the newsletter',
+  text: [
+    'We received a request to unsubscribe this address from the newsletter.',
+    '',
+    'To confirm, open this link:',
+    unsubscribeUrl,
+    '',
+    "If you didn't ask for this, you can ignore this email and you'll stay subscribed."
+  ].join('\n'),
+  html: `<p>We received a request to unsubscribe this address from the newsletter.</p>
+<p><a href="${unsubscribeUrl}">Unsubscribe</a></p>
+<p>If you didn't ask for this, you can ignore this email and you'll stay subscribed.</p>`
+});
+
+// Standalone page for links opened from an email; no scripts or inline styles, so the default CSP applies
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title} - ${escapeHtml(BLOG_TITLE)}</title>
+</head>
+<body>
+<h1>${title}</h1>
+${body}
+</body>
+</html>
+`;
+
+// Where the emailed unsubscribe link lands: a GET only shows this, and its button POSTs the signed address back
+const unsubscribePage = ({ email, sig }) => page('Unsubscribe', `<p>Stop sending the newsletter to <strong>${escapeHtml(email)}</strong>?</p>
+<form method="post">
+<input type="hidden" name="email" value="${escapeHtml(email)}">
+<input type="hidden" name="sig" value="${escapeHtml(sig)}">
+<button type="submit">Unsubscribe</button>
+</form>`);
+
+const unsubscribedPage = ({ email }) => page('Unsubscribed', `<p><strong>${escapeHtml(email)}</strong> won't receive the newsletter any more.</p>
+<p><a href="${escapeHtml(BLOG_URL)}">Back to the blog</a></p>`);
+
+module.exports = {
+  hashToken,
+  createConfirmationToken,
+  createUnsubscribeSigner,
+  confirmationEmail,
+  unsubscribeLinkEmail,
+  unsubscribePage,
+  unsubscribedPage
+};
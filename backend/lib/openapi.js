@@ -0,0 +1,262 @@
+const { version } = require('../package.json');
+const operations = require('./api-docs');
+
+/**
+ * OpenAPI 3.1 document for the app, generated from its route table.
+ *
+ * Every route's parameters and request body come from the joi schema its validate()
+ * middleware carries, and its security from the roles on its requireRole()
+ * middleware; the summary, tag and success response come from ./api-docs. Routes
+ * without an ./api-docs entry are left out, and the deprecated unversioned aliases
+ * are never listed.
+ */
+
+// Error responses share one body; see createErrorHandler in ./errors
+const ERROR_RESPONSES = {
+  400: ['InvalidRequest', 'The request failed validation; details lists every problem'],
+  401: ['Unauthenticated', 'Missing, invalid or revoked bearer token'],
+  403: ['Forbidden', 'The token\'s role doesn\'t allow this'],
+  404: ['NotFound', 'No such resource'],
+  409: ['Conflict', 'Clashes with the resource\'s current state'],
+  422: ['IdempotencyKeyReused', 'The Idempotency-Key was already used for a different request'],
+  429: ['RateLimited', 'Rate limit hit; Retry-After gives the wait in seconds'],
+  502: ['UpstreamError', 'A service we depend on failed']
+};
+
+const jsonType = (type, allow) => (allow.includes(null) ? [type, 'null'] : type);
+
+// JSON Schema patterns can't carry regex flags, so a flagged pattern is only described
+const patternRule = (regex) => {
+  const [, source, flags] = regex.match(/^\/(.*)\/(\w*)$/);
+  return flags ? { description: `Matches ${regex}` } : { pattern: source };
+};
+
+// JSON Schema (2020-12, as used by OpenAPI 3.1) for a joi schema description
+function toJsonSchema(description) {
+  const { type, flags = {}, rules = [], allow = [] } = description;
+  const rule = (name) => rules.find(candidate => candidate.name === name);
+  let schema;
+
+  switch (type) {
+    case 'string':
+      schema = { type: jsonType('string', allow) };
+      if (rule('min')) schema.minLength = rule('min').args.limit;
+      if (rule('max')) schema.maxLength = rule('max').args.limit;
+      if (rule('guid')) schema.format = 'uuid';
+      if (rule('email')) schema.format = 'email';
+      if (rule('pattern')) Object.assign(schema, patternRule(rule('pattern').args.regex));
+      break;
+    case 'number':
+      schema = { type: jsonType(rule('integer') ? 'integer' : 'number', allow) };
+      if (rule('min')) schema.minimum = rule('min').args.limit;
+      if (rule('max')) schema.maximum = rule('max').args.limit;
+      break;
+    case 'boolean':
+      schema = { type: jsonType('boolean', allow) };
+      break;
+    case 'date':
+      schema = { type: jsonType('string', allow), format: 'date-time' };
+      break;
+    case 'array':
+      schema = { type: jsonType('array', allow) };
+      if (description.items?.length === 1) schema.items = toJsonSchema(description.items[0]);
+      if (rule('min')) schema.minItems = rule('min').args.limit;
+      if (rule('max')) schema.maxItems = rule('max').args.limit;
+      break;
+    case 'object':
+      schema = objectSchema(description);
+      break;
+    case 'alternatives':
+      // Conditional alternatives (.conditional()) list a then/otherwise pair instead of a schema
+      schema = {
+        anyOf: description.matches
+          .flatMap(match => (match.schema ? [match.schema] : [match.then, match.otherwise].filter(Boolean)))
+          .map(toJsonSchema)
+      };
+      break;
+    default:
+      schema = {};
+  }
+
+  if (flags.only) {
+    schema = { ...schema, enum: allow };
+  }
+  if ('default' in flags) {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+  return schema;
+}
+
+function objectSchema({ flags = {}, keys, patterns, dependencies = [], allow = [] }) {
+  const schema = { type: jsonType('object', allow) };
+
+  if (keys) {
+    schema.properties = Object.fromEntries(Object.entries(keys).map(([name, key]) => [name, toJsonSchema(key)]));
+    const required = Object.keys(keys).filter(name => keys[name].flags?.presence === 'required');
+    if (required.length > 0) schema.required = required;
+  }
+  if (patterns) {
+    schema.patternProperties = Object.fromEntries(patterns.map(({ regex, rule }) => [regex.slice(1, -1), toJsonSchema(rule)]));
+  }
+  // Joi.object() takes any keys; Joi.object({...}) only the ones it lists, unless .unknown()
+  if ((keys || patterns) && !flags.unknown) {
+    schema.additionalProperties = false;
+  }
+  for (const { rel, peers } of dependencies) {
+    if (rel === 'or') {
+      schema.anyOf = peers.map(peer => ({ required: [peer] }));
+    }
+  }
+  return schema;
+}
+
+// Every route on an app, one entry per method and path, through any routers mounted on it.
+// Routers are expected to be mounted without a path prefix, as all of ours are.
+function listRoutes(app) {
+  const routes = [];
+  const walk = (stack) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+        const schema = handlers.find(handler => handler.schema)?.schema;
+        const roles = handlers.find(handler => handler.roles)?.roles;
+        for (const method of Object.keys(layer.route.methods).filter(method => method !== '_all')) {
+          for (const path of [].concat(layer.route.path)) {
+            routes.push({ method: method.toUpperCase(), path, schema, roles });
+          }
+        }
+      } else if (layer.handle?.stack) {
+        walk(layer.handle.stack);
+      }
+    }
+  };
+  walk(app._router.stack);
+  return routes;
+}
+
+// Express's /posts/:postId/likes is OpenAPI's /posts/{postId}/likes
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+function operationFor({ path, schema = {}, roles }, doc) {
+  const describe = (segment) => schema[segment]?.describe();
+  const params = describe('params');
+  const query = describe('query');
+  const body = describe('body');
+
+  const parameters = [
+    ...pathParamNames(path).map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: params?.keys?.[name] ? toJsonSchema(params.keys[name]) : { type: 'string' }
+    })),
+    ...Object.entries(query?.keys || {}).map(([name, key]) => ({
+      name,
+      in: 'query',
+      required: key.flags?.presence === 'required',
+      schema: toJsonSchema(key)
+    }))
+  ];
+
+  const operation = {
+    tags: [doc.tag],
+    summary: doc.summary
+  };
+  if (doc.description || roles) {
+    operation.description = [doc.description, roles && `Requires the \`${roles.join('` or `')}\` role.`].filter(Boolean).join('\n\n');
+  }
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  if (body) {
+    const bodySchema = toJsonSchema(body);
+    operation.requestBody = {
+      // Alternatives and or() dependencies come out as anyOf, which an absent body can't satisfy
+      required: Boolean(bodySchema.required || bodySchema.anyOf),
+      content: Object.fromEntries((doc.requestTypes || ['application/json']).map(type => [type, { schema: bodySchema }]))
+    };
+  }
+  if (roles) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+
+  const errors = new Set(doc.errors || []);
+  if (params || query || body) errors.add(400);
+  if (roles) {
+    errors.add(401);
+    errors.add(403);
+  }
+
+  operation.responses = {
+    [doc.status || 200]: {
+      description: doc.returns || 'OK',
+      content: { [doc.produces || 'application/json']: {} }
+    },
+    ...Object.fromEntries([...errors].sort((a, b) => a - b).map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` }]))
+  };
+  return operation;
+}
+
+// isLegacyAlias - from lib/api-version; aliases of documented routes aren't listed
+function buildOpenApiSpec(app, { isLegacyAlias = () => false } = {}) {
+  const paths = {};
+  const tags = [];
+
+  for (const route of listRoutes(app)) {
+    const doc = operations[`${route.method} ${route.path}`];
+    if (!doc || isLegacyAlias(route.path)) {
+      continue;
+    }
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: operationFor(route, doc) };
+    if (!tags.includes(doc.tag)) {
+      tags.push(doc.tag);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Blog API',
+      version,
+      description: 'Posts, comments, reactions, newsletter and analytics for the blog. Generated from the route table and its request schemas.\n\n' +
+        'Routes live under `/api/v1`. The unversioned paths they replaced (`/api/posts`, `/posts`) still answer with `Deprecation` and `Sunset` headers until they are switched off, and are not listed here.'
+    },
+    servers: [{ url: '/' }],
+    tags: tags.map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code', 'requestId'],
+          properties: {
+            error: { type: 'string' },
+            code: { type: 'string' },
+            requestId: { type: 'string' },
+            details: {}
+          }
+        }
+      },
+      responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [name, {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }]))
+    }
+  };
+}
+
+module.exports = {
+  toJsonSchema,
+  listRoutes,
+  toOpenApiPath,
+  buildOpenApiSpec
+};
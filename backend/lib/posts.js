@@ -0,0 +1,175 @@
+const POST_STATUSES = ['draft', 'scheduled', 'published'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Redis keys of data derived from the set of published posts, dropped whenever a post changes
+const TAG_COUNTS_CACHE_KEY = 'posts:tag-counts';
+const CATEGORY_COUNTS_CACHE_KEY = 'posts:category-counts';
+const FEED_VERSION_KEY = 'feeds:version';
+
+const MAX_TERMS_PER_POST = 20;
+const MAX_TERM_LENGTH = 60;
+
+// Line diffs above this size fall back to a plain replace so one huge post can't stall the API
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+const slugify = (title) => String(title)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 200)
+  .replace(/-+$/, '');
+
+// Validate a post's tag or category names; returns { error } or { terms: [{ slug, name }] } without duplicates
+const normalizeTerms = (value, label) => {
+  if (!Array.isArray(value)) {
+    return { error: `${label} must be an array of names` };
+  }
+  if (value.length > MAX_TERMS_PER_POST) {
+    return { error: `A post can have at most ${MAX_TERMS_PER_POST} ${label}` };
+  }
+
+  const terms = new Map();
+  for (const item of value) {
+    const name = typeof item === 'string' ? item.trim().replace(/\s+/g, ' ') : '';
+    const slug = slugify(name);
+    if (!slug || name.length > MAX_TERM_LENGTH) {
+      return { error: `Each of ${label} must be a non-empty name of at most ${MAX_TERM_LENGTH} characters` };
+    }
+    if (!terms.has(slug)) {
+      terms.set(slug, { slug: slug.slice(0, MAX_TERM_LENGTH), name });
+    }
+  }
+  return { terms: [...terms.values()] };
+};
+
+/**
+ * Line-based diff between two texts (longest common subsequence).
+ *
+ * Returns { added, removed, changes } where changes is a list of
+ * { type: 'equal' | 'added' | 'removed', lines } runs, in order.
+ */
+const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach(line => ops.push(['removed', line]));
+    b.forEach(line => ops.push(['added', line]));
+  } else {
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push(['equal', a[i]]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push(['removed', a[i++]]);
+      } else {
+        ops.push(['added', b[j++]]);
+      }
+    }
+    while (i < a.length) ops.push(['removed', a[i++]]);
+    while (j < b.length) ops.push(['added', b[j++]]);
+  }
+
+  // Group consecutive lines of the same kind into runs
+  const changes = [];
+  for (const [type, line] of ops) {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      changes.push({ type, lines: [line] });
+    }
+  }
+
+  return {
+    added: ops.filter(([type]) => type === 'added').length,
+    removed: ops.filter(([type]) => type === 'removed').length,
+    changes
+  };
+};
+
+// Whether postId is a published post. Reader-facing routes (likes, reactions, comments) answer
+// 404 for drafts and scheduled posts, so they can't be used to find them or run up their counters.
+const isPublishedPost = async (pool, postId) => {
+  const result = await pool.query("SELECT 1 FROM posts WHERE id = $1 AND status = 'published'", [postId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Publishes scheduled posts once their publish_at has passed.
+ *
+ * Every pod runs the scheduler; the UPDATE ... WHERE status = 'scheduled' is atomic,
+ * so each post is published (and reported through onPublish) exactly once.
+ */
+function createPostScheduler({
+  pool,
+  logger,
+  onPublish = async () => {},
+  intervalMs = parseInt(process.env.POST_SCHEDULER_INTERVAL_SECONDS || '30') * 1000
+}) {
+  let timer = null;
+
+  const publishDuePosts = async () => {
+    const result = await pool.query(`
+      UPDATE posts
+      SET status = 'published', published_at = publish_at, updated_at = NOW()
+      WHERE status = 'scheduled' AND publish_at <= NOW()
+      RETURNING id, slug, title, published_at
+    `);
+
+    for (const post of result.rows) {
+      logger.info(`Scheduled post published: ${post.slug}`);
+    }
+    if (result.rows.length > 0) {
+      await onPublish(result.rows);
+    }
+    return result.rows;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      publishDuePosts().catch(error => logger.error('Error publishing scheduled posts', error));
+    }, intervalMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    publishDuePosts,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  POST_STATUSES,
+  TAG_COUNTS_CACHE_KEY,
+  CATEGORY_COUNTS_CACHE_KEY,
+  FEED_VERSION_KEY,
+  SLUG_PATTERN,
+  slugify,
+  normalizeTerms,
+  diffLines,
+  isPublishedPost,
+  createPostScheduler
+};
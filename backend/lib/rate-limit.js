@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { RateLimitedError } = require('./errors');
+
+/**
+ * Redis-backed sliding-window rate limiting, shared by every replica.
+ *
+ * Each limiter keeps a sorted set per caller (ratelimit:<name>:<key>) holding one
+ * member per counted request, scored by its timestamp. Entries older than the window
+ * are trimmed on every request, so the count is always for the last windowMs.
+ *
+ * Responses carry the IETF RateLimit-* headers; blocked requests are passed on as a
+ * RateLimitedError, which adds Retry-After.
+ */
+
+const hashKey = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+// Key callers by a hash of their IP, so raw addresses never end up in Redis
+const byIp = () => (req) => `ip:${hashKey(clientIp(req))}`;
+
+// Key callers by an ID from the request (a client UUID, an email address), falling back to
+// their IP when it's missing. The caller chooses the ID, so this caps what happens to that ID -
+// mail sent to an address, say - rather than what one caller can do.
+const byClient = (getClientId) => (req) => {
+  const clientId = getClientId(req);
+  return typeof clientId === 'string' && clientId.trim() !== ''
+    ? `client:${hashKey(clientId.trim().toLowerCase())}`
+    : byIp()(req);
+};
+
+// Per-route limits, overridable with RATE_LIMIT_<NAME>_MAX / RATE_LIMIT_<NAME>_WINDOW_SECONDS
+const rateLimitSettings = (name, max, windowSeconds) => ({
+  name: name.toLowerCase(),
+  max: parseInt(process.env[`RATE_LIMIT_${name}_MAX`] || String(max)),
+  windowMs: parseInt(process.env[`RATE_LIMIT_${name}_WINDOW_SECONDS`] || String(windowSeconds)) * 1000
+});
+
+function createRateLimiter({ redisClient, logger, metrics = {}, prefix = 'ratelimit' }) {
+  // Count one request; returns { allowed, remaining, resetMs, member }
+  const consume = async (key, { windowMs, max }) => {
+    const now = Date.now();
+    const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const [, , count, oldest] = await redisClient.multi()
+      .zRemRangeByScore(key, 0, now - windowMs)
+      .zAdd(key, { score: now, value: member })
+      .zCard(key)
+      .zRangeWithScores(key, 0, 0)
+      .pExpire(key, windowMs)
+      .exec();
+
+    const allowed = count <= max;
+    if (!allowed) {
+      // Blocked requests don't count, or a client retrying too early would never get back in
+      await redisClient.zRem(key, member);
+    }
+
+    const oldestAt = oldest[0] ? Number(oldest[0].score) : now;
+    return {
+      allowed,
+      remaining: Math.max(0, max - Math.min(count, max)),
+      resetMs: Math.max(0, oldestAt + windowMs - now),
+      member
+    };
+  };
+
+  /**
+   * Build a middleware for one route (or group of routes).
+   *
+   * name      - limiter name, used in Redis keys and the metric label
+   * windowMs  - sliding window length
+   * max       - requests allowed per key per window
+   * keyBy     - (req) => key; defaults to the hashed client IP
+   * message   - error shown when blocked
+   * skip      - (req) => true to bypass the limiter
+   * skipSuccessfulRequests - only count requests that end in an error status (e.g. failed logins)
+   */
+  const limit = ({
+    name,
+    windowMs,
+    max,
+    keyBy = byIp(),
+    message = 'Too many requests, please try again later.',
+    skip = () => false,
+    skipSuccessfulRequests = false
+  }) => async (req, res, next) => {
+    if (skip(req)) return next();
+
+    const key = `${prefix}:${name}:${keyBy(req)}`;
+    let result;
+    try {
+      result = await consume(key, { windowMs, max });
+    } catch (error) {
+      // Redis trouble shouldn't take the API down with it - let the request through
+      logger.error(`Rate limiter ${name} unavailable`, error);
+      return next();
+    }
+
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+    res.set({
+      'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (!result.allowed) {
+      metrics.hits?.inc({ limiter: name });
+      logger.warn(`Rate limit ${name} exceeded for ${key}`);
+      return next(new RateLimitedError(message, { retryAfter: resetSeconds }));
+    }
+
+    if (skipSuccessfulRequests) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          redisClient.zRem(key, result.member).catch(error => logger.error(`Rate limiter ${name} cleanup failed`, error));
+        }
+      });
+    }
+
+    next();
+  };
+
+  return { limit, consume };
+}
+
+module.exports = {
+  createRateLimiter,
+  rateLimitSettings,
+  byIp,
+  byClient
+};
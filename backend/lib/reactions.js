@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * Configurable post reactions.
+ *
+ * REACTIONS lists the allowed types as comma-separated type:emoji pairs
+ * (default: like, love, party and thinking).
+ *
+ * `like` is always part of the set: the like/unlike routes are an alias for it and
+ * posts.like_count counts it.
+ */
+
+const DEFAULT_REACTION = 'like';
+
+const REACTION_TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+const DEFAULT_REACTIONS = 'like:\u{1F44D},love:\u2764\uFE0F,party:\u{1F389},thinking:\u{1F914}';
+
+// Parse a REACTIONS value into an ordered { type: emoji } map, `like` first
+const parseReactions = (value) => {
+  const reactions = { [DEFAULT_REACTION]: '\u{1F44D}' };
+
+  for (const entry of String(value || '').split(',')) {
+    const [type, ...emoji] = entry.trim().split(':');
+    if (!type) continue;
+    if (!REACTION_TYPE_PATTERN.test(type)) {
+      throw new Error(`Invalid reaction type "${type}": use lowercase letters, digits, - and _`);
+    }
+    reactions[type] = emoji.join(':').trim() || reactions[type] || type;
+  }
+
+  return reactions;
+};
+
+const REACTIONS = parseReactions(process.env.REACTIONS || DEFAULT_REACTIONS);
+
+const isReactionType = (type) => Object.prototype.hasOwnProperty.call(REACTIONS, type);
+
+// Per-type counts for every configured reaction, from a posts.reaction_counts value
+const reactionCounts = (stored) => Object.fromEntries(
+  Object.keys(REACTIONS).map(type => [type, parseInt((stored || {})[type]) || 0])
+);
+
+const hashIP = (ip) => crypto.createHash('sha256').update(ip).digest('hex');
+
+const generateClientId = () => crypto.randomUUID();
+
+// The caller of a like or reaction request: { clientId, ipHash }, either of which may be null
+const readReactionIdentity = ({ clientId, userIP } = {}) => ({
+  clientId: clientId || null,
+  ipHash: userIP ? hashIP(userIP) : null
+});
+
+// Callers without a client ID are recognised by their IP hash on an earlier like of the same post or comment,
+// when there is one; otherwise they get a new ID
+const resolveLikeClientId = async (pool, { table, column, id }, clientId, ipHash) => {
+  if (clientId) return clientId;
+
+  if (ipHash) {
+    const previous = await pool.query(
+      `SELECT client_id FROM ${table} WHERE ${column} = $1 AND ip_hash = $2 AND client_id IS NOT NULL LIMIT 1`,
+      [id, ipHash]
+    );
+    if (previous.rows.length > 0) return previous.rows[0].client_id;
+  }
+  return generateClientId();
+};
+
+module.exports = {
+  DEFAULT_REACTION,
+  REACTIONS,
+  parseReactions,
+  isReactionType,
+  reactionCounts,
+  hashIP,
+  generateClientId,
+  readReactionIdentity,
+  resolveLikeClientId
+};
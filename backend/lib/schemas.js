@@ -0,0 +1,361 @@
+const Joi = require('joi');
+const { ROLES } = require('./auth');
+const { REACTIONS } = require('./reactions');
+const { POST_STATUSES } = require('./posts');
+const { HONEYPOT_FIELDS } = require('./spam');
+
+/**
+ * Request schemas for every route, grouped by domain; applied with validate() from
+ * ./validation. Handlers still own the checks that need the database or the
+ * current state (e.g. merging a post edit, a campaign's status).
+ */
+
+// Shared fields
+const id = Joi.number().integer().min(1);
+const uuid = Joi.string().guid();
+const email = Joi.string().trim().max(255).email({ tlds: { allow: false } });
+const slug = Joi.string().max(200);
+const page = Joi.number().integer().min(1).default(1);
+const limit = (max, defaultLimit) => Joi.number().integer().min(1).max(max).default(defaultLimit);
+
+// Routes that take no input at all
+const noInput = {};
+
+// Crawlers, feed readers and mail clients append tracking parameters we don't control
+const anyQuery = Joi.object().unknown(true);
+
+// Who is liking or reacting: a client UUID, or an IP the client reports for callers without one
+const likeIdentity = Joi.object({
+  clientId: uuid,
+  userIP: Joi.string().max(100)
+});
+
+// Removing one needs either, to find the like to remove
+const unlikeIdentity = likeIdentity.or('clientId', 'userIP');
+
+const postIdParams = Joi.object({ postId: id.required() });
+
+const SEARCH_SCOPES = ['posts', 'all'];
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const MODERATION_ACTIONS = ['approve', 'reject', 'spam'];
+const MAX_BULK_MODERATION = 100;
+const FEEDBACK_STATUSES = ['all', 'pending', 'reviewed', 'archived'];
+const ANALYTICS_PERIODS = ['1d', '7d', '30d', '90d'];
+
+// Event types accepted by the analytics_events CHECK constraint
+const ANALYTICS_EVENT_TYPES = ['pageview', 'click', 'scroll', 'time_on_page', 'exit', 'custom'];
+
+// BlogAnalytics.flushEvents() sends its whole queue at once; cap it so one request can't insert unbounded rows
+const MAX_ANALYTICS_BATCH_SIZE = 100;
+
+// Optional analytics fields, capped at their analytics_events/user_sessions column lengths
+const nullableString = (max) => Joi.string().max(max).allow(null, '');
+const nullableInteger = Joi.number().integer().allow(null);
+
+const analyticsEvent = Joi.object({
+  uuid: uuid.required(),
+  session_id: uuid.required(),
+  event_type: Joi.string().valid(...ANALYTICS_EVENT_TYPES).required(),
+  event_name: nullableString(255),
+  page_url: Joi.string().allow(null, ''),
+  page_title: nullableString(500),
+  // BlogAnalytics sends document.referrer with pageviews
+  referrer: nullableString(2048),
+  element_id: nullableString(255),
+  element_class: nullableString(255),
+  element_text: nullableString(500),
+  element_type: nullableString(50),
+  click_x: nullableInteger,
+  click_y: nullableInteger,
+  viewport_width: nullableInteger,
+  viewport_height: nullableInteger,
+  scroll_depth: nullableInteger,
+  time_on_page: nullableInteger,
+  metadata: Joi.object().unknown(true).allow(null)
+});
+
+const postFields = {
+  title: Joi.string().max(300),
+  content: Joi.string().allow('', null),
+  slug,
+  status: Joi.string().valid(...POST_STATUSES),
+  publishAt: Joi.date().iso().allow(null),
+  tags: Joi.array().items(Joi.string()),
+  categories: Joi.array().items(Joi.string())
+};
+
+const campaignFields = {
+  subject: Joi.string().max(255),
+  postSlug: slug,
+  markdown: Joi.string()
+};
+
+module.exports = {
+  analyticsEvent,
+
+  system: {
+    health: noInput,
+    ready: noInput,
+    metrics: noInput,
+    openApi: noInput
+  },
+
+  posts: {
+    list: {
+      query: Joi.object({
+        page,
+        limit: limit(100, 10),
+        tag: slug,
+        category: slug,
+        sort: Joi.string().valid('recent', 'likes', 'comments').default('recent')
+      })
+    },
+    get: { params: Joi.object({ slug: slug.required() }) },
+    meta: { params: Joi.object({ slug: slug.required() }) },
+    tags: noInput,
+    categories: noInput,
+    search: {
+      query: Joi.object({
+        q: Joi.string().max(500).required(),
+        scope: Joi.string().valid(...SEARCH_SCOPES).default('posts'),
+        page,
+        limit: limit(50, 10)
+      })
+    }
+  },
+
+  feeds: {
+    feed: { params: Joi.object({ tag: slug }), query: anyQuery },
+    sitemap: { query: anyQuery },
+    sitemapPage: { params: Joi.object({ page: Joi.number().integer().min(1).required() }), query: anyQuery },
+    robots: { query: anyQuery }
+  },
+
+  reactions: {
+    likes: { params: postIdParams, query: Joi.object({ clientId: uuid }) },
+    like: { params: postIdParams, body: likeIdentity },
+    unlike: { params: postIdParams, body: unlikeIdentity },
+    list: { params: postIdParams, query: Joi.object({ clientId: uuid }) },
+    add: {
+      params: Joi.object({ postId: id.required(), type: Joi.string().valid(...Object.keys(REACTIONS)).required() }),
+      body: likeIdentity
+    },
+    remove: {
+      params: Joi.object({ postId: id.required(), type: Joi.string().valid(...Object.keys(REACTIONS)).required() }),
+      body: unlikeIdentity
+    },
+    // EventSource sends Last-Event-ID as a header; ?lastEventId is for clients that can't
+    events: { params: postIdParams, query: Joi.object({ lastEventId: Joi.number().integer().min(0) }) }
+  },
+
+  comments: {
+    list: {
+      params: postIdParams,
+      query: Joi.object({
+        page,
+        limit: limit(100, 10),
+        format: Joi.string().valid('flat', 'tree').default('flat'),
+        sort: Joi.string().valid('new', 'top').default('new')
+      })
+    },
+    create: {
+      params: postIdParams,
+      body: Joi.object({
+        content: Joi.string().required(),
+        displayName: Joi.string().allow(''),
+        clientId: uuid,
+        userIP: Joi.string().max(100),
+        parentId: id.allow(null),
+        // Spam signals: when the form was rendered (ms since epoch) and the honeypot fields
+        formRenderedAt: Joi.number(),
+        ...Object.fromEntries(HONEYPOT_FIELDS.map(field => [field, Joi.any()]))
+      })
+    },
+    like: { params: Joi.object({ postId: id.required(), commentId: id.required() }), body: likeIdentity },
+    unlike: { params: Joi.object({ postId: id.required(), commentId: id.required() }), body: unlikeIdentity }
+  },
+
+  analytics: {
+    summary: { query: Joi.object({ period: Joi.string().valid(...ANALYTICS_PERIODS).default('7d') }) },
+    // Each event in a batch is checked against analyticsEvent on its own, so one bad event doesn't drop the rest
+    track: {
+      body: Joi.alternatives().conditional('.events', {
+        is: Joi.exist(),
+        then: Joi.object({ events: Joi.array().items(Joi.any()).min(1).max(MAX_ANALYTICS_BATCH_SIZE).required() }),
+        otherwise: analyticsEvent
+      })
+    },
+    session: {
+      body: Joi.object({
+        session_id: uuid.required(),
+        uuid: uuid.required(),
+        entry_page: nullableString(500),
+        referrer: Joi.string().allow(null, ''),
+        device_type: nullableString(50),
+        browser: nullableString(100),
+        os: nullableString(100),
+        country: nullableString(100),
+        city: nullableString(100)
+      })
+    },
+    sessionEnd: {
+      body: Joi.object({
+        session_id: uuid.required(),
+        exit_page: nullableString(500),
+        total_time: nullableInteger,
+        page_views: nullableInteger,
+        clicks: nullableInteger,
+        scroll_depth: nullableInteger
+      })
+    },
+    dashboard: { query: Joi.object({ days: Joi.number().integer().min(1).max(365).default(7) }) },
+    prometheus: {
+      body: Joi.object({
+        metrics: Joi.array().items(Joi.object({
+          name: Joi.string().pattern(/^[a-zA-Z_:][a-zA-Z0-9_:]*$/).required(),
+          value: Joi.number().required(),
+          type: Joi.string().valid('counter', 'gauge', 'histogram', 'summary', 'untyped'),
+          help: Joi.string().allow(''),
+          labels: Joi.object().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/, Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean()))
+        })).required(),
+        job: Joi.string().max(100),
+        instance: Joi.string().max(100)
+      })
+    }
+  },
+
+  newsletter: {
+    subscribe: { body: Joi.object({ email: email.required() }) },
+    confirm: { query: Joi.object({ token: Joi.string().max(200).required() }) },
+    checkUnsubscribe: { query: Joi.object({ email: Joi.string(), sig: Joi.string() }) },
+    // RFC 8058 one-click unsubscribes POST List-Unsubscribe=One-Click to the signed link
+    unsubscribe: {
+      query: Joi.object({ email, sig: Joi.string() }),
+      body: Joi.object({ email, sig: Joi.string(), 'List-Unsubscribe': Joi.string() })
+    },
+    status: { query: Joi.object({ email: email.required() }) },
+    open: { params: Joi.object({ token: Joi.string().max(200).required() }), query: anyQuery },
+    // Provider payloads are verified and parsed by their bounce adapter
+    webhook: {
+      params: Joi.object({ provider: Joi.string().required() }),
+      body: Joi.alternatives(Joi.string().allow(''), Joi.object().unknown(true))
+    },
+    subscriberEvents: { params: Joi.object({ email: email.required() }) }
+  },
+
+  campaigns: {
+    list: noInput,
+    create: { body: Joi.object(campaignFields) },
+    get: { params: Joi.object({ id: id.required() }) },
+    update: { params: Joi.object({ id: id.required() }), body: Joi.object(campaignFields) },
+    preview: { params: Joi.object({ id: id.required() }), query: Joi.object({ format: Joi.string().valid('json', 'html') }) },
+    test: { params: Joi.object({ id: id.required() }), body: Joi.object({ email: email.required() }) },
+    send: { params: Joi.object({ id: id.required() }) },
+    cancel: { params: Joi.object({ id: id.required() }) }
+  },
+
+  feedback: {
+    submit: {
+      body: Joi.object({
+        uuid: uuid.required(),
+        name: Joi.string().max(255).allow(''),
+        email: email.allow(''),
+        rating: Joi.number().integer().min(1).max(5).required(),
+        feedback_text: Joi.string().trim().required()
+      })
+    },
+    stats: noInput,
+    recent: {
+      query: Joi.object({
+        limit: limit(100, 10),
+        status: Joi.string().valid(...FEEDBACK_STATUSES).default('all')
+      })
+    }
+  },
+
+  auth: {
+    login: { body: Joi.object({ username: Joi.string().required(), password: Joi.string().required() }) },
+    refresh: { body: Joi.object({ refreshToken: Joi.string().required() }) },
+    logout: { body: Joi.object({ refreshToken: Joi.string() }) },
+    me: noInput
+  },
+
+  adminPosts: {
+    list: {
+      query: Joi.object({
+        status: Joi.string().valid(...POST_STATUSES),
+        page,
+        limit: limit(100, 20)
+      })
+    },
+    get: { params: Joi.object({ id: id.required() }) },
+    create: { body: Joi.object({ ...postFields, title: postFields.title.required() }) },
+    update: { params: Joi.object({ id: id.required() }), body: Joi.object({ ...postFields, note: Joi.string() }) },
+    remove: { params: Joi.object({ id: id.required() }) },
+    revisions: { params: Joi.object({ id: id.required() }) },
+    revision: {
+      params: Joi.object({ id: id.required(), revision: id.required() }),
+      query: Joi.object({ against: Joi.number().integer().min(0) })
+    },
+    restore: { params: Joi.object({ id: id.required(), revision: id.required() }) }
+  },
+
+  moderation: {
+    list: {
+      query: Joi.object({
+        page,
+        limit: limit(100, 20),
+        status: Joi.string().valid(...COMMENT_STATUSES).default('pending'),
+        postId: id
+      })
+    },
+    bulk: {
+      body: Joi.object({
+        ids: Joi.array().items(id).min(1).max(MAX_BULK_MODERATION).required(),
+        action: Joi.string().valid(...MODERATION_ACTIONS).required(),
+        reason: Joi.string()
+      })
+    },
+    decide: {
+      params: Joi.object({ id: id.required(), action: Joi.string().valid(...MODERATION_ACTIONS).required() }),
+      body: Joi.object({ reason: Joi.string() })
+    },
+    edit: {
+      params: Joi.object({ id: id.required() }),
+      body: Joi.object({ content: Joi.string(), displayName: Joi.string(), reason: Joi.string() })
+    },
+    history: { params: Joi.object({ id: id.required() }) }
+  },
+
+  spam: {
+    keywords: noInput,
+    addKeyword: {
+      body: Joi.object({
+        keyword: Joi.string().trim().min(1).max(100).required(),
+        weight: Joi.number().min(0).max(10).default(1),
+        active: Joi.boolean().default(true)
+      })
+    },
+    removeKeyword: { params: Joi.object({ id: id.required() }) },
+    train: noInput
+  },
+
+  users: {
+    list: noInput,
+    create: {
+      body: Joi.object({
+        username: Joi.string().trim().pattern(/^[a-z0-9_.-]{3,50}$/i).required(),
+        password: Joi.string().min(12).required(),
+        role: Joi.string().valid(...ROLES).required()
+      })
+    },
+    update: {
+      params: Joi.object({ id: id.required() }),
+      body: Joi.object({
+        role: Joi.string().valid(...ROLES),
+        password: Joi.string().min(12),
+        active: Joi.boolean()
+      })
+    }
+  }
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+
+const SEARCH_CONFIG = 'english';
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 12;
+
+// Private-use characters mark highlights so the snippet can be HTML-escaped before <mark> goes in
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "`;
+
+const VERSION_KEY = 'search:version';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const highlight = (headline) => escapeHtml(headline || '')
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_STOP).join('</mark>');
+
+// Lexeme-safe words from a piece of user input ("node.js" -> ["node", "js"])
+const words = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+/**
+ * Turn a reader's query into a to_tsquery() expression.
+ *
+ *   kubernetes ingress   both words (stemmed)
+ *   "rolling update"     phrase - words next to each other, in order
+ *   deploy*              prefix match (deploy, deployment, deploying, ...)
+ *   redis OR postgres    either word
+ *   -helm                exclude posts containing the word
+ *
+ * Returns null when nothing searchable is left (e.g. only punctuation).
+ */
+const parseSearchQuery = (input) => {
+  const query = String(input || '').slice(0, MAX_QUERY_LENGTH);
+  const tokens = query.match(/-?"[^"]*"?|\S+/g) || [];
+
+  const parts = [];
+  let positiveTerms = 0;
+  let nextOperator = '&';
+
+  for (const token of tokens.slice(0, MAX_QUERY_TERMS)) {
+    if (token === 'OR') {
+      if (parts.length > 0) nextOperator = '|';
+      continue;
+    }
+
+    const negated = token.startsWith('-');
+    const body = negated ? token.slice(1) : token;
+    const isPhrase = body.startsWith('"');
+    const isPrefix = !isPhrase && body.endsWith('*');
+
+    const tokenWords = words(body);
+    if (tokenWords.length === 0) continue;
+    if (isPrefix) {
+      tokenWords[tokenWords.length - 1] += ':*';
+    }
+
+    // Multi-word tokens ("rolling update", node.js) must match as adjacent words
+    let clause = tokenWords.join(' <-> ');
+    if (tokenWords.length > 1) clause = `(${clause})`;
+    if (negated) {
+      clause = `!${clause}`;
+    } else {
+      positiveTerms++;
+    }
+
+    if (parts.length > 0) parts.push(nextOperator);
+    parts.push(clause);
+    nextOperator = '&';
+  }
+
+  // A query of only exclusions would match (and rank) nearly every row
+  return positiveTerms > 0 ? parts.join(' ') : null;
+};
+
+/**
+ * Full-text search over published posts and, optionally, approved comments.
+ *
+ * Results are cached in Redis per query/scope/page. The cache key includes a version
+ * counter that invalidate() bumps, so editing a post drops every cached result at once.
+ */
+function createSearch({ pool, redisClient, logger, cacheTtlSeconds = parseInt(process.env.SEARCH_CACHE_TTL_SECONDS || '300') }) {
+  const cacheKey = async (tsQuery, scope, page, limit) => {
+    const version = (await redisClient.get(VERSION_KEY)) || '0';
+    const hash = crypto.createHash('sha1').update(`${scope}:${page}:${limit}:${tsQuery}`).digest('hex');
+    return `search:v${version}:${hash}`;
+  };
+
+  const runQuery = async (tsQuery, { scope, page, limit }) => {
+    const commentMatches = scope === 'all'
+      ? `
+        UNION ALL
+        SELECT 'comment' AS type, c.id AS comment_id, p.id AS post_id, p.slug, p.title,
+          c.content AS body, c.created_at AS date, ts_rank_cd(c.search_vector, query.q) AS rank
+        FROM comments c
+        JOIN posts p ON p.id = c.post_id AND p.status = 'published'
+        CROSS JOIN query
+        WHERE c.status = 'approved' AND c.search_vector @@ query.q`
+      : '';
+
+    // Rank and page first; headlines are expensive so they're only built for the rows returned
+    const result = await pool.query(`
+      WITH query AS (SELECT to_tsquery('${SEARCH_CONFIG}', $1) AS q),
+      matches AS (
+        SELECT 'post' AS type, NULL::bigint AS comment_id, p.id AS post_id, p.slug, p.title,
+          p.content AS body, COALESCE(p.published_at, p.created_at) AS date, ts_rank_cd(p.search_vector, query.q) AS rank
+        FROM posts p
+        CROSS JOIN query
+        WHERE p.status = 'published' AND p.search_vector @@ query.q
+        ${commentMatches}
+      ),
+      page AS (
+        SELECT *, COUNT(*) OVER () AS total
+        FROM matches
+        ORDER BY rank DESC, date DESC
+        LIMIT $2 OFFSET $3
+      )
+      SELECT page.type, page.post_id, page.comment_id, page.slug, page.title, page.date, page.rank, page.total,
+        ts_headline('${SEARCH_CONFIG}', page.title, query.q, 'HighlightAll=true, StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}') AS title_headline,
+        ts_headline('${SEARCH_CONFIG}', COALESCE(page.body, ''), query.q, '${HEADLINE_OPTIONS}') AS headline
+      FROM page
+      CROSS JOIN query
+      ORDER BY page.rank DESC, page.date DESC
+    `, [tsQuery, limit, (page - 1) * limit]);
+
+    let total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+    // Past the last page the window count is gone; count separately so pagination stays right
+    if (result.rows.length === 0 && page > 1) {
+      const countResult = await pool.query(`
+        SELECT
+          (SELECT COUNT(*) FROM posts WHERE status = 'published' AND search_vector @@ to_tsquery('${SEARCH_CONFIG}', $1))
+          ${scope === 'all' ? `+ (SELECT COUNT(*) FROM comments c JOIN posts p ON p.id = c.post_id AND p.status = 'published'
+              WHERE c.status = 'approved' AND c.search_vector @@ to_tsquery('${SEARCH_CONFIG}', $1))` : ''} AS count
+      `, [tsQuery]);
+      total = parseInt(countResult.rows[0].count);
+    }
+
+    return {
+      results: result.rows.map(row => ({
+        type: row.type,
+        postId: row.post_id,
+        commentId: row.comment_id,
+        slug: row.slug,
+        title: row.title,
+        titleHighlight: highlight(row.title_headline),
+        snippet: highlight(row.headline),
+        date: row.date,
+        rank: Number(Number(row.rank).toFixed(6))
+      })),
+      total
+    };
+  };
+
+  // Returns { results, total, cached }; tsQuery comes from parseSearchQuery
+  const search = async (tsQuery, { scope = 'posts', page = 1, limit = 10 } = {}) => {
+    let key = null;
+    try {
+      key = await cacheKey(tsQuery, scope, page, limit);
+      const cached = await redisClient.get(key);
+      if (cached) {
+        return { ...JSON.parse(cached), cached: true };
+      }
+    } catch (error) {
+      logger.error('Error reading search cache', error);
+    }
+
+    const found = await runQuery(tsQuery, { scope, page, limit });
+
+    if (key) {
+      await redisClient.setEx(key, cacheTtlSeconds, JSON.stringify(found))
+        .catch(error => logger.error('Error writing search cache', error));
+    }
+    return { ...found, cached: false };
+  };
+
+  const invalidate = async () => {
+    await redisClient.incr(VERSION_KEY);
+  };
+
+  return { search, invalidate };
+}
+
+module.exports = {
+  parseSearchQuery,
+  createSearch
+};
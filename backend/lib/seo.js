@@ -0,0 +1,123 @@
+const { marked } = require('marked');
+const { BLOG_URL, PUBLIC_API_URL, BLOG_TITLE, BLOG_AUTHOR, postUrl } = require('./site');
+const { escapeXml, summarize } = require('./feeds');
+
+// The sitemap protocol allows at most 50,000 URLs per file
+const SITEMAP_URL_LIMIT = Math.min(50000, parseInt(process.env.SITEMAP_URL_LIMIT || '50000'));
+
+const EXCERPT_LENGTH = 200;
+
+const TWITTER_SITE = process.env.TWITTER_SITE || '';
+const ROBOTS_DISALLOW = (process.env.ROBOTS_DISALLOW || '/api/').split(',').map(path => path.trim()).filter(Boolean);
+
+const sitemapPageUrl = (page) => `${PUBLIC_API_URL}/sitemap-${page}.xml`;
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// <urlset> for up to SITEMAP_URL_LIMIT entries of { loc, lastmod }
+const renderUrlset = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${escapeXml(url.loc)}</loc>
+${url.lastmod ? `    <lastmod>${isoDate(url.lastmod)}</lastmod>\n` : ''}  </url>
+`).join('')}</urlset>
+`;
+
+// <sitemapindex> pointing at /sitemap-1.xml, /sitemap-2.xml, ... one per chunk of urls
+const renderSitemapIndex = (chunks) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${chunks.map((chunk, index) => {
+    const lastmod = chunk.reduce((latest, url) => (url.lastmod && url.lastmod > latest ? url.lastmod : latest), null);
+    return `  <sitemap>
+    <loc>${escapeXml(sitemapPageUrl(index + 1))}</loc>
+${lastmod ? `    <lastmod>${isoDate(lastmod)}</lastmod>\n` : ''}  </sitemap>
+`;
+  }).join('')}</sitemapindex>
+`;
+
+const chunkUrls = (urls, size = SITEMAP_URL_LIMIT) => {
+  const chunks = [];
+  for (let i = 0; i < urls.length; i += size) {
+    chunks.push(urls.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const renderRobots = () => `User-agent: *
+${ROBOTS_DISALLOW.map(path => `Disallow: ${path}`).join('\n')}
+
+Sitemap: ${PUBLIC_API_URL}/sitemap.xml
+`;
+
+/**
+ * Link preview metadata for a published post row (slug, title, content, created_at,
+ * published_at, updated_at, tags, like_count, comment_count).
+ *
+ * Returns the OpenGraph and Twitter card tags as { property: content } maps and a
+ * schema.org BlogPosting object for a <script type="application/ld+json"> block.
+ */
+const buildPostMeta = (post) => {
+  const url = postUrl(post.slug);
+  const description = summarize(marked.parse(post.content || ''), EXCERPT_LENGTH);
+  const publishedAt = isoDate(post.published_at || post.created_at);
+  const modifiedAt = isoDate(post.updated_at || post.published_at || post.created_at);
+  const tags = (post.tags || []).map(tag => tag.name);
+  const likeCount = parseInt(post.like_count) || 0;
+  const commentCount = parseInt(post.comment_count) || 0;
+
+  return {
+    slug: post.slug,
+    title: post.title,
+    description,
+    url,
+    publishedAt,
+    modifiedAt,
+    tags,
+    likeCount,
+    commentCount,
+    openGraph: {
+      'og:type': 'article',
+      'og:site_name': BLOG_TITLE,
+      'og:title': post.title,
+      'og:description': description,
+      'og:url': url,
+      'article:published_time': publishedAt,
+      'article:modified_time': modifiedAt,
+      'article:author': BLOG_AUTHOR,
+      'article:tag': tags
+    },
+    twitter: {
+      'twitter:card': 'summary',
+      'twitter:title': post.title,
+      'twitter:description': description,
+      ...(TWITTER_SITE ? { 'twitter:site': TWITTER_SITE } : {})
+    },
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: post.title,
+      description,
+      url,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      datePublished: publishedAt,
+      dateModified: modifiedAt,
+      author: { '@type': 'Person', name: BLOG_AUTHOR },
+      publisher: { '@type': 'Organization', name: BLOG_TITLE, url: BLOG_URL },
+      keywords: tags.join(', '),
+      commentCount,
+      interactionStatistic: [
+        { '@type': 'InteractionCounter', interactionType: 'https://schema.org/LikeAction', userInteractionCount: likeCount },
+        { '@type': 'InteractionCounter', interactionType: 'https://schema.org/CommentAction', userInteractionCount: commentCount }
+      ]
+    }
+  };
+};
+
+module.exports = {
+  SITEMAP_URL_LIMIT,
+  renderUrlset,
+  renderSitemapIndex,
+  chunkUrls,
+  renderRobots,
+  buildPostMeta
+};
@@ -0,0 +1,27 @@
+// Public URLs of the blog and its API, for links that leave the backend (emails, feeds, sitemaps)
+
+const trimSlash = (url) => url.replace(/\/$/, '');
+
+const BLOG_URL = trimSlash(process.env.BLOG_URL || 'https://blog.sudharsana.dev');
+const PUBLIC_API_URL = trimSlash(process.env.PUBLIC_API_URL || BLOG_URL);
+
+const BLOG_TITLE = process.env.BLOG_TITLE || 'Sudharsana Blog';
+const BLOG_DESCRIPTION = process.env.BLOG_DESCRIPTION || 'Notes on software, infrastructure and self-hosting';
+const BLOG_AUTHOR = process.env.BLOG_AUTHOR || 'Sudharsana';
+
+// Path prefixes the blog frontend serves posts and tag pages under
+const BLOG_POST_PATH = process.env.BLOG_POST_PATH || '/blog/';
+const BLOG_TAG_PATH = process.env.BLOG_TAG_PATH || '/tags/';
+
+const postUrl = (slug) => `${BLOG_URL}${BLOG_POST_PATH}${encodeURIComponent(slug)}`;
+const tagUrl = (slug) => `${BLOG_URL}${BLOG_TAG_PATH}${encodeURIComponent(slug)}`;
+
+module.exports = {
+  BLOG_URL,
+  PUBLIC_API_URL,
+  BLOG_TITLE,
+  BLOG_DESCRIPTION,
+  BLOG_AUTHOR,
+  postUrl,
+  tagUrl
+};
@@ -0,0 +1,228 @@
+const { NaiveBayesClassifier } = require('./naive-bayes');
+
+const KEYWORD_CACHE_TTL_MS = 60 * 1000;
+const CLASSIFIER_TRAINING_LIMIT = 5000;
+
+// Hidden form fields that only bots fill in
+const HONEYPOT_FIELDS = (process.env.SPAM_HONEYPOT_FIELDS || 'website,homepage').split(',').map(field => field.trim()).filter(Boolean);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A check looks at one comment and returns { score: 0..1, details } - weights are applied by the pipeline
+
+const keywordCheck = (getKeywords) => ({
+  name: 'keywords',
+  run: async ({ content }) => {
+    const keywords = await getKeywords();
+    const matched = keywords.filter(({ pattern }) => pattern.test(content));
+    return {
+      score: Math.min(1, matched.reduce((sum, { weight }) => sum + weight, 0)),
+      details: { matched: matched.map(({ keyword }) => keyword) }
+    };
+  }
+});
+
+const linkDensityCheck = ({ maxLinks = 4 } = {}) => ({
+  name: 'links',
+  run: async ({ content }) => {
+    const links = content.match(/(https?:\/\/|www\.)\S+/gi) || [];
+    const words = content.split(/\s+/).filter(Boolean).length || 1;
+    const density = links.length / words;
+    return {
+      score: Math.min(1, Math.max(links.length / maxLinks, density * 5)),
+      details: { links: links.length, density: Number(density.toFixed(3)) }
+    };
+  }
+});
+
+const repetitionCheck = () => ({
+  name: 'repetition',
+  run: async ({ content }) => {
+    const words = content.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length < 5) return { score: 0, details: {} };
+
+    const wordCount = {};
+    words.forEach(word => {
+      wordCount[word] = (wordCount[word] || 0) + 1;
+    });
+    const ratio = Math.max(...Object.values(wordCount)) / words.length;
+
+    // Anything above 30% of the comment being one word starts to look like spam
+    return {
+      score: Math.min(1, Math.max(0, (ratio - 0.3) / 0.4)),
+      details: { maxRepetitionRatio: Number(ratio.toFixed(3)) }
+    };
+  }
+});
+
+const classifierCheck = (classifier) => ({
+  name: 'classifier',
+  run: async ({ content }) => {
+    const probability = classifier.predict(content);
+    if (probability === null) {
+      return { score: 0, details: { trained: false } };
+    }
+    // Only lean towards spam once the model is more sure than a coin flip
+    return {
+      score: Math.max(0, (probability - 0.5) * 2),
+      details: { trained: true, spamProbability: Number(probability.toFixed(3)) }
+    };
+  }
+});
+
+const honeypotCheck = ({ fields }) => ({
+  name: 'honeypot',
+  run: async ({ body }) => {
+    const filled = fields.filter(field => typeof body[field] === 'string' && body[field].trim() !== '');
+    return { score: filled.length > 0 ? 1 : 0, details: { filled } };
+  }
+});
+
+// Humans take a few seconds between the form rendering and submitting it
+const submitTimingCheck = ({ minSeconds, clock = Date.now }) => ({
+  name: 'timing',
+  run: async ({ body }) => {
+    const renderedAt = Number(body.formRenderedAt);
+    if (!Number.isFinite(renderedAt) || renderedAt <= 0) {
+      return { score: 0, details: { reported: false } };
+    }
+
+    const elapsedSeconds = (clock() - renderedAt) / 1000;
+    return {
+      score: elapsedSeconds < minSeconds ? 1 : 0,
+      details: { reported: true, elapsedSeconds: Number(elapsedSeconds.toFixed(1)) }
+    };
+  }
+});
+
+/**
+ * Build the comment spam filter: a weighted pipeline of pluggable checks.
+ *
+ * Keywords live in the spam_keywords table and are reloaded at most once a minute
+ * (or immediately via reloadKeywords). The classifier is retrained from moderated
+ * comments - approved ones are ham, ones marked spam are spam.
+ */
+function createSpamFilter({
+  pool,
+  logger,
+  threshold = parseFloat(process.env.SPAM_SCORE_THRESHOLD || '1'),
+  weights = {},
+  honeypotFields = HONEYPOT_FIELDS,
+  minSubmitSeconds = parseFloat(process.env.SPAM_MIN_SUBMIT_SECONDS || '3'),
+  clock = Date.now
+}) {
+  const checkWeights = {
+    keywords: 1,
+    links: 0.6,
+    repetition: 0.5,
+    classifier: 1,
+    honeypot: 2,
+    timing: 0.8,
+    ...weights
+  };
+
+  const classifier = new NaiveBayesClassifier();
+  let keywords = [];
+  let keywordsLoadedAt = 0;
+
+  const reloadKeywords = async () => {
+    const result = await pool.query('SELECT keyword, weight FROM spam_keywords WHERE active = true');
+    keywords = result.rows.map(row => ({
+      keyword: row.keyword,
+      weight: parseFloat(row.weight),
+      // Match whole words/phrases so "loan" doesn't flag "loaned" discussions by accident
+      pattern: new RegExp(`\\b${escapeRegExp(row.keyword)}\\b`, 'i')
+    }));
+    keywordsLoadedAt = clock();
+    return keywords.length;
+  };
+
+  const getKeywords = async () => {
+    if (clock() - keywordsLoadedAt > KEYWORD_CACHE_TTL_MS) {
+      try {
+        await reloadKeywords();
+      } catch (error) {
+        // Keep scoring with the last good list rather than failing comment submission
+        logger.error('Error loading spam keywords', error);
+        keywordsLoadedAt = clock();
+      }
+    }
+    return keywords;
+  };
+
+  const trainClassifier = async () => {
+    const result = await pool.query(`
+      SELECT content, status FROM comments
+      WHERE status IN ('approved', 'spam')
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [CLASSIFIER_TRAINING_LIMIT]);
+
+    classifier.reset();
+    for (const row of result.rows) {
+      classifier.learn(row.content, row.status === 'spam' ? 'spam' : 'ham');
+    }
+
+    const summary = { ...classifier.docCounts, trained: classifier.isTrained };
+    logger.info('Spam classifier trained', summary);
+    return summary;
+  };
+
+  const checks = [
+    keywordCheck(getKeywords),
+    linkDensityCheck(),
+    repetitionCheck(),
+    classifierCheck(classifier),
+    honeypotCheck({ fields: honeypotFields }),
+    submitTimingCheck({ minSeconds: minSubmitSeconds, clock })
+  ];
+
+  // Extra checks can be plugged in with their own weight
+  const addCheck = (check, weight = 1) => {
+    checks.push(check);
+    checkWeights[check.name] = weight;
+  };
+
+  // Score a comment: content is the cleaned text, body the raw request body (for honeypot/timing fields)
+  const score = async ({ content, body = {} }) => {
+    const results = [];
+    for (const check of checks) {
+      const weight = checkWeights[check.name] ?? 1;
+      if (weight === 0) continue;
+
+      try {
+        const { score: checkScore, details } = await check.run({ content, body });
+        results.push({ name: check.name, score: checkScore, weighted: checkScore * weight, details });
+      } catch (error) {
+        logger.error(`Spam check ${check.name} failed`, error);
+      }
+    }
+
+    const total = results.reduce((sum, result) => sum + result.weighted, 0);
+    return {
+      score: Number(total.toFixed(3)),
+      threshold,
+      isSpam: total >= threshold,
+      checks: results
+    };
+  };
+
+  return {
+    score,
+    addCheck,
+    reloadKeywords,
+    trainClassifier,
+    threshold
+  };
+}
+
+module.exports = {
+  HONEYPOT_FIELDS,
+  createSpamFilter,
+  keywordCheck,
+  linkDensityCheck,
+  repetitionCheck,
+  classifierCheck,
+  honeypotCheck,
+  submitTimingCheck
+};
@@ -0,0 +1,71 @@
+const Joi = require('joi');
+const { ValidationError } = require('./errors');
+
+/**
+ * Request validation against per-route joi schemas (see ./schemas).
+ *
+ * A route schema is { params, query, body }, each a joi object schema. A segment the
+ * schema leaves out must be empty, and fields a schema doesn't list are rejected.
+ * Validated values - numbers parsed from query strings, defaults filled in - replace
+ * the originals on req, so handlers use them as they are.
+ *
+ * Failures are passed on as a ValidationError listing every problem in its details:
+ *   [{ "code": "number.base", "path": "query.page", "message": "page must be a number" }]
+ */
+
+const SEGMENTS = ['params', 'query', 'body'];
+
+const EMPTY = Joi.object({});
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  errors: { wrap: { label: false } }
+};
+
+// A joi error's details in the shape above, with paths under `prefix` (e.g. body, or body.events.2)
+const errorDetails = (error, prefix) => error.details.map(detail => ({
+  code: detail.type,
+  path: [prefix, ...detail.path].join('.'),
+  message: detail.message
+}));
+
+// Routes registered under several paths are reported by the first one (the /api/v1/... path)
+const routeLabel = (req) => [].concat(req.route?.path ?? req.path)[0];
+
+function createValidator({ metrics = {} } = {}) {
+  const validate = (schema) => {
+    const middleware = (req, res, next) => {
+      const details = [];
+      const values = {};
+
+      for (const segment of SEGMENTS) {
+        const { error, value } = (schema[segment] || EMPTY).validate(req[segment] ?? {}, JOI_OPTIONS);
+        if (error) {
+          details.push(...errorDetails(error, segment));
+        } else {
+          values[segment] = value;
+        }
+      }
+
+      if (details.length > 0) {
+        metrics.failures?.inc({ method: req.method, route: routeLabel(req) });
+        return next(new ValidationError('Invalid request', { details }));
+      }
+
+      Object.assign(req, values);
+      next();
+    };
+
+    // lib/openapi.js documents the route from the schema it finds here
+    middleware.schema = schema;
+    return middleware;
+  };
+
+  return { validate };
+}
+
+module.exports = {
+  JOI_OPTIONS,
+  errorDetails,
+  createValidator
+};
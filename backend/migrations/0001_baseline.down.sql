@@ -0,0 +1,10 @@
+-- Drops the whole blog schema. Only useful on a scratch database.
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS analytics_events;
+DROP TABLE IF EXISTS feedback;
+DROP TABLE IF EXISTS newsletter_subscriptions;
+DROP TABLE IF EXISTS comment_summaries;
+DROP TABLE IF EXISTS likes;
+DROP TABLE IF EXISTS comments;
+DROP TABLE IF EXISTS posts;
+DROP TYPE IF EXISTS comment_status;
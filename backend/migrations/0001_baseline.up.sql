@@ -0,0 +1,146 @@
+-- Blog schema as it existed before migrations were introduced.
+-- Everything is IF NOT EXISTS so this is a no-op on databases that already have it.
+DO $$ BEGIN
+  CREATE TYPE comment_status AS ENUM ('approved', 'pending', 'rejected');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS posts (
+    id          BIGSERIAL PRIMARY KEY,
+    slug        TEXT UNIQUE NOT NULL,
+    title       TEXT NOT NULL,
+    content     TEXT,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Anonymous comments: display_name is user-supplied or app-generated
+CREATE TABLE IF NOT EXISTS comments (
+    id            BIGSERIAL PRIMARY KEY,
+    post_id       BIGINT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    display_name  TEXT NOT NULL,
+    content       TEXT NOT NULL,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    client_id     UUID,
+    ip_hash       CHAR(64),
+    status        comment_status NOT NULL DEFAULT 'approved',
+    approved      BOOLEAN DEFAULT TRUE,
+    moderation_reason TEXT,
+    CONSTRAINT comments_len CHECK (char_length(content) BETWEEN 1 AND 2000)
+);
+
+-- Anonymous likes: one per client_id, falling back to one per IP hash per day
+CREATE TABLE IF NOT EXISTS likes (
+    id          BIGSERIAL PRIMARY KEY,
+    post_id     BIGINT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    client_id   UUID,
+    ip_hash     CHAR(64),
+    like_day    DATE GENERATED ALWAYS AS ((created_at AT TIME ZONE 'UTC')::date) STORED,
+    CONSTRAINT likes_identity_present CHECK (client_id IS NOT NULL OR ip_hash IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS comment_summaries (
+    id SERIAL PRIMARY KEY,
+    post_id VARCHAR(255) UNIQUE NOT NULL,
+    summary_text TEXT NOT NULL,
+    comment_count INTEGER DEFAULT 0,
+    last_comment_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'unsubscribed', 'bounced')),
+    subscribed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    unsubscribed_at TIMESTAMP NULL,
+    bounce_count INTEGER DEFAULT 0,
+    last_bounce_at TIMESTAMP NULL,
+    verification_token VARCHAR(255) NULL,
+    verified BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS feedback (
+    id SERIAL PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL,
+    name VARCHAR(255),
+    email VARCHAR(255),
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    feedback_text TEXT NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reviewed', 'archived'))
+);
+
+CREATE TABLE IF NOT EXISTS analytics_events (
+    id SERIAL PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL,
+    session_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(50) NOT NULL CHECK (event_type IN ('pageview', 'click', 'scroll', 'time_on_page', 'exit', 'custom')),
+    event_name VARCHAR(255),
+    page_url TEXT,
+    page_title VARCHAR(500),
+    element_id VARCHAR(255),
+    element_class VARCHAR(255),
+    element_text VARCHAR(500),
+    element_type VARCHAR(50),
+    click_x INTEGER,
+    click_y INTEGER,
+    viewport_width INTEGER,
+    viewport_height INTEGER,
+    scroll_depth INTEGER,
+    time_on_page INTEGER,
+    referrer TEXT,
+    user_agent TEXT,
+    ip_address INET,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL UNIQUE,
+    uuid VARCHAR(36) NOT NULL,
+    start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    end_time TIMESTAMP NULL,
+    page_views INTEGER DEFAULT 0,
+    total_clicks INTEGER DEFAULT 0,
+    total_scroll_depth INTEGER DEFAULT 0,
+    total_time_on_site INTEGER DEFAULT 0,
+    entry_page VARCHAR(500),
+    exit_page VARCHAR(500),
+    referrer TEXT,
+    user_agent TEXT,
+    ip_address INET,
+    device_type VARCHAR(50),
+    browser VARCHAR(100),
+    os VARCHAR(100),
+    country VARCHAR(100),
+    city VARCHAR(100),
+    is_bounce BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_posts_created ON posts(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_comments_post_created ON comments(post_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_likes_post ON likes(post_id);
+CREATE INDEX IF NOT EXISTS idx_comment_summaries_post_id ON comment_summaries(post_id);
+CREATE INDEX IF NOT EXISTS idx_newsletter_email ON newsletter_subscriptions(email);
+CREATE INDEX IF NOT EXISTS idx_newsletter_status ON newsletter_subscriptions(status);
+CREATE INDEX IF NOT EXISTS idx_newsletter_created_at ON newsletter_subscriptions(created_at);
+CREATE INDEX IF NOT EXISTS idx_feedback_uuid_created ON feedback(uuid, created_at);
+CREATE INDEX IF NOT EXISTS idx_feedback_rating ON feedback(rating);
+CREATE INDEX IF NOT EXISTS idx_feedback_status ON feedback(status);
+CREATE INDEX IF NOT EXISTS idx_feedback_created_at ON feedback(created_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_uuid_session ON analytics_events(uuid, session_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_event_type ON analytics_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_analytics_created_at ON analytics_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_page_url ON analytics_events(page_url);
+CREATE INDEX IF NOT EXISTS idx_sessions_uuid ON user_sessions(uuid);
+CREATE INDEX IF NOT EXISTS idx_sessions_start_time ON user_sessions(start_time);
+CREATE INDEX IF NOT EXISTS idx_sessions_device ON user_sessions(device_type);
@@ -0,0 +1,5 @@
+-- Only the CHECK constraint is reverted: the column fixes are what server.js needs,
+-- and undoing them would throw away data. NOT VALID keeps existing prometheus_metric rows.
+ALTER TABLE analytics_events DROP CONSTRAINT IF EXISTS analytics_events_event_type_check;
+ALTER TABLE analytics_events ADD CONSTRAINT analytics_events_event_type_check
+  CHECK (event_type IN ('pageview', 'click', 'scroll', 'time_on_page', 'exit', 'custom')) NOT VALID;
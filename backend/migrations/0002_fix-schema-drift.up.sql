@@ -0,0 +1,73 @@
+-- Databases created from the old postgres-init-scripts 01-init.sql have
+-- likes.user_id/user_ip and comments.author_name, no comments.status, and a
+-- VARCHAR post_id holding the post's slug. Bring them in line with the columns
+-- server.js queries.
+
+-- post_id: slug -> posts.id. A value is matched against slugs first, then ids. Rows
+-- whose post doesn't exist can't be kept under the foreign key; they are moved to
+-- legacy_orphaned_likes / legacy_orphaned_comments rather than deleted outright.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'likes' AND column_name = 'post_id' AND data_type = 'character varying') THEN
+    UPDATE likes l SET post_id = p.id::text FROM posts p WHERE p.slug = l.post_id;
+    CREATE TABLE IF NOT EXISTS legacy_orphaned_likes AS SELECT * FROM likes WITH NO DATA;
+    INSERT INTO legacy_orphaned_likes
+      SELECT * FROM likes l WHERE NOT EXISTS (SELECT 1 FROM posts p WHERE p.id::text = l.post_id);
+    DELETE FROM likes l WHERE NOT EXISTS (SELECT 1 FROM posts p WHERE p.id::text = l.post_id);
+    ALTER TABLE likes ALTER COLUMN post_id TYPE BIGINT USING post_id::bigint;
+    ALTER TABLE likes ADD CONSTRAINT likes_post_id_fkey FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'comments' AND column_name = 'post_id' AND data_type = 'character varying') THEN
+    UPDATE comments c SET post_id = p.id::text FROM posts p WHERE p.slug = c.post_id;
+    CREATE TABLE IF NOT EXISTS legacy_orphaned_comments AS SELECT * FROM comments WITH NO DATA;
+    INSERT INTO legacy_orphaned_comments
+      SELECT * FROM comments c WHERE NOT EXISTS (SELECT 1 FROM posts p WHERE p.id::text = c.post_id);
+    DELETE FROM comments c WHERE NOT EXISTS (SELECT 1 FROM posts p WHERE p.id::text = c.post_id);
+    ALTER TABLE comments ALTER COLUMN post_id TYPE BIGINT USING post_id::bigint;
+    ALTER TABLE comments ADD CONSTRAINT comments_post_id_fkey FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+
+-- likes: client_id UUID + ip_hash CHAR(64)
+ALTER TABLE likes ADD COLUMN IF NOT EXISTS client_id UUID;
+ALTER TABLE likes ADD COLUMN IF NOT EXISTS ip_hash CHAR(64);
+
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'likes' AND column_name = 'user_id') THEN
+    UPDATE likes SET client_id = user_id::uuid
+    WHERE client_id IS NULL AND user_id ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+    ALTER TABLE likes ALTER COLUMN user_id DROP NOT NULL;
+  END IF;
+
+  -- Same hash as hashIP() in server.js: SHA-256 hex of the address text
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'likes' AND column_name = 'user_ip') THEN
+    UPDATE likes SET ip_hash = encode(sha256(convert_to(host(user_ip), 'UTF8')), 'hex')
+    WHERE ip_hash IS NULL AND user_ip IS NOT NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_likes_post_client ON likes(post_id, client_id);
+
+-- comments: display_name, client_id, ip_hash, status
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS client_id UUID;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS ip_hash CHAR(64);
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS status comment_status NOT NULL DEFAULT 'approved';
+
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'comments' AND column_name = 'author_name')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'comments' AND column_name = 'display_name') THEN
+    ALTER TABLE comments RENAME COLUMN author_name TO display_name;
+  END IF;
+
+  -- The 03-blog-moderation boolean predates the status column
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'comments' AND column_name = 'approved') THEN
+    UPDATE comments SET status = 'rejected' WHERE approved = FALSE AND status = 'approved';
+  END IF;
+END $$;
+
+-- analytics_events: /api/metrics/prometheus stores its backup rows as 'prometheus_metric'
+ALTER TABLE analytics_events DROP CONSTRAINT IF EXISTS analytics_events_event_type_check;
+ALTER TABLE analytics_events ADD CONSTRAINT analytics_events_event_type_check
+  CHECK (event_type IN ('pageview', 'click', 'scroll', 'time_on_page', 'exit', 'custom', 'prometheus_metric'));
@@ -0,0 +1,6 @@
+-- Postgres can't drop enum values; 'spam' stays in comment_status
+DROP TABLE IF EXISTS comment_moderation_log;
+DROP INDEX IF EXISTS idx_comments_status_created;
+
+ALTER TABLE comments DROP COLUMN IF EXISTS moderated_at;
+ALTER TABLE comments DROP COLUMN IF EXISTS moderated_by;
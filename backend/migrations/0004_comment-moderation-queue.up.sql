@@ -0,0 +1,23 @@
+-- Moderation workflow: pending -> approved / rejected / spam
+ALTER TYPE comment_status ADD VALUE IF NOT EXISTS 'pending';
+ALTER TYPE comment_status ADD VALUE IF NOT EXISTS 'rejected';
+ALTER TYPE comment_status ADD VALUE IF NOT EXISTS 'spam';
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS moderated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ;
+
+-- Audit trail of every moderation decision
+CREATE TABLE IF NOT EXISTS comment_moderation_log (
+    id BIGSERIAL PRIMARY KEY,
+    comment_id BIGINT NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    moderator_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('approve', 'reject', 'spam', 'edit')),
+    previous_status TEXT,
+    new_status TEXT,
+    previous_content TEXT,
+    reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comments_status_created ON comments(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_comment_moderation_log_comment ON comment_moderation_log(comment_id, created_at DESC);
@@ -0,0 +1,6 @@
+-- Threaded replies: depth is 0 for top-level comments and parent.depth + 1 for replies
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS parent_id BIGINT REFERENCES comments(id) ON DELETE CASCADE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS depth SMALLINT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id) WHERE parent_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_comments_post_threads ON comments(post_id, created_at DESC) WHERE parent_id IS NULL;
@@ -0,0 +1,4 @@
+ALTER TABLE comments DROP COLUMN IF EXISTS spam_checks;
+ALTER TABLE comments DROP COLUMN IF EXISTS spam_score;
+
+DROP TABLE IF EXISTS spam_keywords;
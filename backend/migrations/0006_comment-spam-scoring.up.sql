@@ -0,0 +1,29 @@
+-- Runtime-editable keyword list for the spam scoring pipeline
+CREATE TABLE IF NOT EXISTS spam_keywords (
+    id SERIAL PRIMARY KEY,
+    keyword VARCHAR(100) UNIQUE NOT NULL,
+    weight NUMERIC(4, 2) NOT NULL DEFAULT 1 CHECK (weight >= 0 AND weight <= 10),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The old hard-coded list, minus "loan" and "credit" which blocked real finance discussion
+INSERT INTO spam_keywords (keyword, weight) VALUES
+('buy now', 0.6),
+('click here', 0.6),
+('free money', 1),
+('make money fast', 1),
+('viagra', 1),
+('casino', 0.6),
+('debt consolidation', 0.6),
+('work from home', 0.5),
+('get rich', 0.8),
+('win money', 0.8),
+('lottery', 0.5)
+ON CONFLICT (keyword) DO NOTHING;
+
+-- Per-comment score breakdown, shown in the moderation queue
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS spam_score NUMERIC(6, 3);
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS spam_checks JSONB;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_newsletter_verification_token;
+
+ALTER TABLE newsletter_subscriptions DROP COLUMN IF EXISTS verified_at;
+ALTER TABLE newsletter_subscriptions DROP COLUMN IF EXISTS verification_expires_at;
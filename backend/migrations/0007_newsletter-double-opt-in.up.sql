@@ -0,0 +1,6 @@
+-- Double opt-in: verification_token holds the SHA-256 hash of the emailed confirmation token
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS verification_expires_at TIMESTAMPTZ;
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_verification_token ON newsletter_subscriptions(verification_token)
+    WHERE verification_token IS NOT NULL;
@@ -0,0 +1,37 @@
+-- Newsletter campaigns: draft -> sending -> sent (or cancelled)
+CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+    id SERIAL PRIMARY KEY,
+    subject VARCHAR(255) NOT NULL,
+    post_slug TEXT,
+    markdown TEXT NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sending', 'sent', 'cancelled')),
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    queued_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+);
+
+-- One row per recipient per campaign; the Redis send queue only holds these IDs
+CREATE TABLE IF NOT EXISTS newsletter_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+    subscription_id INTEGER NOT NULL REFERENCES newsletter_subscriptions(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'delivered', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    message_id VARCHAR(255),
+    open_token VARCHAR(64) UNIQUE,
+    open_count INTEGER NOT NULL DEFAULT 0,
+    opened_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (campaign_id, subscription_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_deliveries_campaign_status ON newsletter_deliveries(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_newsletter_deliveries_sending ON newsletter_deliveries(updated_at) WHERE status = 'sending';
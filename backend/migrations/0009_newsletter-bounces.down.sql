@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS newsletter_bounce_events;
+
+ALTER TABLE newsletter_subscriptions DROP COLUMN IF EXISTS hard_bounce_count;
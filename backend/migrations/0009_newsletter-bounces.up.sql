@@ -0,0 +1,21 @@
+-- Hard bounces are counted separately: only those mark an address bounced
+ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS hard_bounce_count INTEGER NOT NULL DEFAULT 0;
+
+-- Every bounce/complaint notification received, per address
+CREATE TABLE IF NOT EXISTS newsletter_bounce_events (
+    id BIGSERIAL PRIMARY KEY,
+    subscription_id INTEGER REFERENCES newsletter_subscriptions(id) ON DELETE SET NULL,
+    email VARCHAR(255) NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('bounce', 'complaint')),
+    bounce_type VARCHAR(10) CHECK (bounce_type IN ('hard', 'soft')),
+    provider_event_id VARCHAR(255),
+    provider_message_id VARCHAR(255),
+    reason TEXT,
+    occurred_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Providers retry webhooks; the same event must only count once
+    UNIQUE (provider, provider_event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_bounce_events_email ON newsletter_bounce_events(email, occurred_at DESC);
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS post_revisions;
+
+DROP INDEX IF EXISTS idx_posts_scheduled;
+DROP INDEX IF EXISTS idx_posts_published;
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_scheduled_has_publish_at;
+ALTER TABLE posts DROP COLUMN IF EXISTS created_by;
+ALTER TABLE posts DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE posts DROP COLUMN IF EXISTS published_at;
+ALTER TABLE posts DROP COLUMN IF EXISTS publish_at;
+ALTER TABLE posts DROP COLUMN IF EXISTS status;
@@ -0,0 +1,38 @@
+-- Post lifecycle: draft -> scheduled -> published. The default stays 'published' so rows
+-- inserted directly with SQL (as before this API existed) still go live; the API always sets it.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'scheduled', 'published'));
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+
+UPDATE posts SET published_at = created_at WHERE published_at IS NULL;
+
+-- A scheduled post must say when
+ALTER TABLE posts ADD CONSTRAINT posts_scheduled_has_publish_at
+    CHECK (status <> 'scheduled' OR publish_at IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_posts_published ON posts(COALESCE(published_at, created_at) DESC) WHERE status = 'published';
+CREATE INDEX IF NOT EXISTS idx_posts_scheduled ON posts(publish_at) WHERE status = 'scheduled';
+
+-- Snapshot of a post after every save; revision numbers count up per post
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    post_id BIGINT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    slug TEXT NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT,
+    status VARCHAR(20) NOT NULL,
+    publish_at TIMESTAMPTZ,
+    edited_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (post_id, revision)
+);
+
+-- Every existing post starts its history at revision 1
+INSERT INTO post_revisions (post_id, revision, slug, title, content, status, publish_at, note, created_at)
+SELECT id, 1, slug, title, content, status, publish_at, 'Initial revision', created_at FROM posts
+ON CONFLICT (post_id, revision) DO NOTHING;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_likes_post_ip_hash;
+ALTER TABLE likes DROP CONSTRAINT IF EXISTS likes_post_client_unique;
@@ -0,0 +1,15 @@
+-- One like per client per post, so likes can be written with INSERT ... ON CONFLICT
+DELETE FROM likes l
+USING likes earlier
+WHERE l.post_id = earlier.post_id
+  AND l.client_id = earlier.client_id
+  AND l.id > earlier.id;
+
+UPDATE posts p
+SET like_count = (SELECT COUNT(*) FROM likes l WHERE l.post_id = p.id)
+WHERE like_count <> (SELECT COUNT(*) FROM likes l WHERE l.post_id = p.id);
+
+ALTER TABLE likes ADD CONSTRAINT likes_post_client_unique UNIQUE (post_id, client_id);
+
+-- Unlikes by IP hash when the caller has no client ID
+CREATE INDEX IF NOT EXISTS idx_likes_post_ip_hash ON likes(post_id, ip_hash) WHERE ip_hash IS NOT NULL;
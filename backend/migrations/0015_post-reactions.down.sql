@@ -0,0 +1,6 @@
+ALTER TABLE posts DROP COLUMN IF EXISTS reaction_counts;
+
+DELETE FROM likes WHERE reaction <> 'like';
+ALTER TABLE likes DROP CONSTRAINT IF EXISTS likes_post_client_reaction_unique;
+ALTER TABLE likes ADD CONSTRAINT likes_post_client_unique UNIQUE (post_id, client_id);
+ALTER TABLE likes DROP COLUMN IF EXISTS reaction;
@@ -0,0 +1,17 @@
+-- Likes become one reaction type among several; each client can add each type once
+ALTER TABLE likes ADD COLUMN IF NOT EXISTS reaction VARCHAR(32) NOT NULL DEFAULT 'like';
+
+ALTER TABLE likes DROP CONSTRAINT IF EXISTS likes_post_client_unique;
+ALTER TABLE likes ADD CONSTRAINT likes_post_client_reaction_unique UNIQUE (post_id, client_id, reaction);
+
+-- Per-type counts, e.g. {"like": 12, "party": 3}; like_count stays the count of 'like'
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS reaction_counts JSONB NOT NULL DEFAULT '{}';
+
+UPDATE posts p
+SET reaction_counts = counts.reaction_counts
+FROM (
+    SELECT post_id, jsonb_object_agg(reaction, count) AS reaction_counts
+    FROM (SELECT post_id, reaction, COUNT(*) AS count FROM likes GROUP BY post_id, reaction) per_type
+    GROUP BY post_id
+) counts
+WHERE p.id = counts.post_id;
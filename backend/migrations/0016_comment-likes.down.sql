@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_comments_post_top;
+ALTER TABLE comments DROP COLUMN IF EXISTS like_count;
+DROP TABLE IF EXISTS comment_likes;
@@ -0,0 +1,17 @@
+-- Likes on individual comments, deduplicated per client like post likes
+CREATE TABLE IF NOT EXISTS comment_likes (
+    id BIGSERIAL PRIMARY KEY,
+    comment_id BIGINT NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    client_id UUID NOT NULL,
+    ip_hash CHAR(64),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT comment_likes_comment_client_unique UNIQUE (comment_id, client_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_likes_comment_ip_hash ON comment_likes(comment_id, ip_hash) WHERE ip_hash IS NOT NULL;
+
+-- Denormalized like count, kept in step by the like/unlike writes and the reconcile job
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS like_count INTEGER NOT NULL DEFAULT 0;
+
+-- ?sort=top on a post's approved comments
+CREATE INDEX IF NOT EXISTS idx_comments_post_top ON comments(post_id, like_count DESC, created_at DESC) WHERE status = 'approved';
@@ -0,0 +1,403 @@
+const express = require('express');
+const fetch = require('node-fetch');
+const schemas = require('../lib/schemas');
+const { ValidationError } = require('../lib/errors');
+const { JOI_OPTIONS, errorDetails } = require('../lib/validation');
+
+/**
+ * Analytics routes: the like/comment summary, page and click event tracking,
+ * visitor sessions, the admin dashboard, and forwarding of frontend metrics to
+ * the Prometheus Pushgateway.
+ */
+
+// Validate the index'th event of a batch, returning its converted value, or its first
+// error message plus every problem in the shape validate() reports them
+function validateAnalyticsEvent(event, index) {
+  const { error, value } = schemas.analyticsEvent.validate(event, JOI_OPTIONS);
+  return error ? { error: error.details[0].message, details: errorDetails(error, `body.events.${index}`) } : { value };
+}
+
+function createAnalyticsRouter({ pool, logger, clock, metrics, validate, api, auth }) {
+  const router = express.Router();
+  const { pageViews, clicks, userSessions } = metrics;
+
+  // Analytics
+  router.get(api.paths('/analytics'), validate(schemas.analytics.summary), async (req, res, next) => {
+    try {
+      // period is one of 1d, 7d, 30d, 90d, so it can go straight into the INTERVAL
+      const { period } = req.query;
+
+      // Get total likes
+      const likesResult = await pool.query('SELECT COUNT(*) as count FROM likes');
+
+      // Get total comments
+      const commentsResult = await pool.query('SELECT COUNT(*) as count FROM comments WHERE status = $1', ['approved']);
+
+      // Get likes by day
+      const likesByDay = await pool.query(`
+        SELECT DATE(created_at) as date, COUNT(*) as count 
+        FROM likes 
+        WHERE created_at >= NOW() - INTERVAL '${period}'
+        GROUP BY DATE(created_at) 
+        ORDER BY date
+      `);
+
+      // Get comments by day
+      const commentsByDay = await pool.query(`
+        SELECT DATE(created_at) as date, COUNT(*) as count 
+        FROM comments 
+        WHERE created_at >= NOW() - INTERVAL '${period}' AND status = 'approved'
+        GROUP BY DATE(created_at) 
+        ORDER BY date
+      `);
+
+      res.json({
+        totalLikes: parseInt(likesResult.rows[0].count),
+        totalComments: parseInt(commentsResult.rows[0].count),
+        likesByDay: likesByDay.rows,
+        commentsByDay: commentsByDay.rows,
+        period: period
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Track analytics events - accepts a single flat event or a batch of { events: [...] }
+  router.post(api.paths('/analytics/track'), validate(schemas.analytics.track), async (req, res, next) => {
+    const isBatch = Array.isArray(req.body.events);
+    const events = isBatch ? req.body.events : [req.body];
+
+    const userIP = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+    // Events carry the page's document.referrer; the Referer header (the page itself) is the fallback
+    const referrer = req.get('Referer');
+
+    // A single event was validated with the request; batched ones are validated one by one
+    // so one bad event doesn't drop the rest of the batch
+    const validEvents = [];
+    const rejected = [];
+    const rejectedDetails = [];
+    events.forEach((event, index) => {
+      const { error, details, value } = isBatch ? validateAnalyticsEvent(event, index) : { value: event };
+      if (error) {
+        rejected.push({ index, error });
+        rejectedDetails.push(...details);
+      } else {
+        validEvents.push({ index, event: value });
+      }
+    });
+
+    if (validEvents.length === 0) {
+      return next(new ValidationError('Every event in the batch was rejected', { details: rejectedDetails }));
+    }
+
+    let dbClient;
+    try {
+      dbClient = await pool.connect();
+      await dbClient.query('BEGIN');
+
+      // RETURNING doesn't promise input order and one client's events share a uuid, so take
+      // the ids from the sequence first and insert each event under its own
+      const ids = await dbClient.query(
+        "SELECT nextval(pg_get_serial_sequence('analytics_events', 'id')) AS id FROM generate_series(1, $1)",
+        [validEvents.length]
+      );
+
+      // Build one multi-row insert for all valid events
+      const columnsPerRow = 21;
+      const values = [];
+      const rowPlaceholders = validEvents.map(({ event }, rowIndex) => {
+        values.push(
+          ids.rows[rowIndex].id, event.uuid, event.session_id, event.event_type, event.event_name, event.page_url, event.page_title,
+          event.element_id, event.element_class, event.element_text, event.element_type,
+          event.click_x, event.click_y, event.viewport_width, event.viewport_height,
+          event.scroll_depth, event.time_on_page, event.referrer || referrer, userAgent, userIP,
+          event.metadata ? JSON.stringify(event.metadata) : null
+        );
+        const offset = rowIndex * columnsPerRow;
+        const placeholders = Array.from({ length: columnsPerRow }, (_, i) => `$${offset + i + 1}`);
+        return `(${placeholders.join(', ')})`;
+      });
+
+      const result = await dbClient.query(`
+        INSERT INTO analytics_events (
+          id, uuid, session_id, event_type, event_name, page_url, page_title,
+          element_id, element_class, element_text, element_type,
+          click_x, click_y, viewport_width, viewport_height,
+          scroll_depth, time_on_page, referrer, user_agent, ip_address, metadata
+        ) VALUES ${rowPlaceholders.join(', ')}
+        RETURNING id, created_at
+      `, values);
+      await dbClient.query('COMMIT');
+
+      const rowsById = new Map(result.rows.map(row => [String(row.id), row]));
+      const accepted = validEvents.map(({ index }, rowIndex) => {
+        const row = rowsById.get(String(ids.rows[rowIndex].id));
+        return { index, eventId: row.id, timestamp: row.created_at };
+      });
+
+      // Update Prometheus metrics
+      for (const { event } of validEvents) {
+        if (event.event_type === 'pageview') {
+          pageViews.inc({ page_url: event.page_url || 'unknown', device_type: 'unknown' });
+        } else if (event.event_type === 'click') {
+          clicks.inc({ element_type: event.element_type || 'unknown', element_id: event.element_id || 'unknown' });
+        }
+      }
+
+      if (rejected.length > 0) {
+        logger.warn(`Analytics batch rejected ${rejected.length} of ${events.length} events`, { rejected });
+      }
+      logger.info(`Analytics events tracked: ${accepted.length} accepted, ${rejected.length} rejected`);
+
+      if (!isBatch) {
+        return res.json({
+          success: true,
+          eventId: accepted[0].eventId,
+          timestamp: accepted[0].timestamp
+        });
+      }
+
+      res.json({
+        success: true,
+        accepted,
+        rejected
+      });
+
+    } catch (error) {
+      if (dbClient) {
+        await dbClient.query('ROLLBACK').catch(() => {});
+      }
+      next(error);
+    } finally {
+      if (dbClient) {
+        dbClient.release();
+      }
+    }
+  });
+
+  // Start or update user session
+  router.post(api.paths('/analytics/session'), validate(schemas.analytics.session), async (req, res, next) => {
+    try {
+      const {
+        session_id,
+        uuid,
+        entry_page,
+        referrer,
+        device_type,
+        browser,
+        os,
+        country,
+        city
+      } = req.body;
+
+      const userIP = req.ip || req.connection.remoteAddress;
+      const userAgent = req.get('User-Agent');
+
+      // Check if session exists
+      const existingSession = await pool.query(
+        'SELECT id FROM user_sessions WHERE session_id = $1',
+        [session_id]
+      );
+
+      if (existingSession.rows.length === 0) {
+        // Create new session
+        await pool.query(`
+          INSERT INTO user_sessions (
+            session_id, uuid, entry_page, referrer, user_agent, ip_address,
+            device_type, browser, os, country, city
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [session_id, uuid, entry_page, referrer, userAgent, userIP, device_type, browser, os, country, city]);
+
+        userSessions.inc({ device_type: device_type || 'unknown', browser: browser || 'unknown' });
+        logger.info(`New session started: ${session_id} for UUID ${uuid}`);
+      } else {
+        // Update existing session
+        await pool.query(
+          'UPDATE user_sessions SET updated_at = NOW() WHERE session_id = $1',
+          [session_id]
+        );
+      }
+
+      res.json({ success: true });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // End user session
+  router.post(api.paths('/analytics/session/end'), validate(schemas.analytics.sessionEnd), async (req, res, next) => {
+    try {
+      const { session_id, exit_page, total_time, page_views, clicks, scroll_depth } = req.body;
+
+      await pool.query(`
+        UPDATE user_sessions 
+        SET 
+          end_time = NOW(),
+          exit_page = $2,
+          total_time_on_site = $3,
+          page_views = $4,
+          total_clicks = $5,
+          total_scroll_depth = $6,
+          is_bounce = CASE WHEN $4 <= 1 AND $3 < 30 THEN true ELSE false END,
+          updated_at = NOW()
+        WHERE session_id = $1
+      `, [session_id, exit_page, total_time, page_views, clicks, scroll_depth]);
+
+      logger.info(`Session ended: ${session_id}`);
+      res.json({ success: true });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get analytics dashboard data (admin endpoint)
+  router.get(api.paths('/analytics/dashboard'), auth.requireRole('moderator'), validate(schemas.analytics.dashboard), async (req, res, next) => {
+    try {
+      const { days: daysNum } = req.query;
+
+      // Get page views
+      const pageViewsResult = await pool.query(`
+        SELECT page_url, COUNT(*) as views
+        FROM analytics_events 
+        WHERE event_type = 'pageview' 
+          AND created_at >= NOW() - INTERVAL '${daysNum} days'
+        GROUP BY page_url
+        ORDER BY views DESC
+        LIMIT 10
+      `);
+
+      // Get top clicked elements
+      const clicksResult = await pool.query(`
+        SELECT element_type, element_id, COUNT(*) as clicks
+        FROM analytics_events 
+        WHERE event_type = 'click' 
+          AND created_at >= NOW() - INTERVAL '${daysNum} days'
+        GROUP BY element_type, element_id
+        ORDER BY clicks DESC
+        LIMIT 10
+      `);
+
+      // Get session statistics
+      const sessionStats = await pool.query(`
+        SELECT 
+          COUNT(*) as total_sessions,
+          AVG(total_time_on_site) as avg_session_duration,
+          COUNT(CASE WHEN is_bounce THEN 1 END) * 100.0 / COUNT(*) as bounce_rate,
+          COUNT(CASE WHEN device_type = 'mobile' THEN 1 END) as mobile_sessions,
+          COUNT(CASE WHEN device_type = 'desktop' THEN 1 END) as desktop_sessions
+        FROM user_sessions 
+        WHERE created_at >= NOW() - INTERVAL '${daysNum} days'
+      `);
+
+      // Get hourly page views
+      const hourlyViews = await pool.query(`
+        SELECT 
+          EXTRACT(HOUR FROM created_at) as hour,
+          COUNT(*) as views
+        FROM analytics_events 
+        WHERE event_type = 'pageview' 
+          AND created_at >= NOW() - INTERVAL '${daysNum} days'
+        GROUP BY EXTRACT(HOUR FROM created_at)
+        ORDER BY hour
+      `);
+
+      res.json({
+        period: `${daysNum} days`,
+        pageViews: pageViewsResult.rows,
+        topClicks: clicksResult.rows,
+        sessionStats: sessionStats.rows[0],
+        hourlyViews: hourlyViews.rows
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Prometheus metrics endpoint - receive metrics from frontend and forward to Prometheus
+  router.post(api.paths('/analytics/prometheus'), validate(schemas.analytics.prometheus), async (req, res, next) => {
+    try {
+      const { metrics, job = 'blog-frontend', instance = 'default' } = req.body;
+
+      // Format metrics for Prometheus Pushgateway
+      const prometheusMetrics = metrics.map(metric => {
+        const { name, value, labels = {}, help = '' } = metric;
+
+        // Build metric line for Prometheus format
+        let metricLine = `# HELP ${name} ${help}\n# TYPE ${name} ${metric.type || 'counter'}\n`;
+
+        // Build labels string
+        const labelPairs = Object.entries({ instance, ...labels })
+          .map(([key, val]) => `${key}="${val}"`)
+          .join(',');
+
+        // Add metric value
+        metricLine += `${name}{${labelPairs}} ${value}`;
+
+        return metricLine;
+      }).join('\n');
+
+      // Forward to Prometheus Pushgateway
+      const pushgatewayUrl = process.env.PROMETHEUS_PUSHGATEWAY_URL || 'http://prometheus-service:9091';
+      const targetUrl = `${pushgatewayUrl}/metrics/job/${job}/instance/${instance}`;
+
+      try {
+        const response = await fetch(targetUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Content-Encoding': 'identity'
+          },
+          body: prometheusMetrics
+        });
+
+        if (!response.ok) {
+          logger.warn(`Prometheus push failed: ${response.status} ${response.statusText}`);
+          // Don't fail the request if Prometheus is down
+        } else {
+          logger.info(`Successfully pushed ${metrics.length} metrics to Prometheus`);
+        }
+      } catch (prometheusError) {
+        logger.error('Error pushing to Prometheus:', prometheusError);
+        // Don't fail the request if Prometheus is unreachable
+      }
+
+      // Store metrics in database for backup
+      for (const metric of metrics) {
+        try {
+          await pool.query(`
+            INSERT INTO analytics_events (uuid, session_id, event_type, page_url, metadata, created_at)
+            VALUES ($1, $2, 'prometheus_metric', $3, $4, NOW())
+          `, [
+            metric.uuid || 'unknown',
+            metric.session_id || 'unknown',
+            metric.page_url || '/',
+            JSON.stringify(metric)
+          ]);
+        } catch (dbError) {
+          logger.error('Error storing metric in database:', dbError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `Processed ${metrics.length} metrics`,
+        prometheusStatus: 'forwarded',
+        timestamp: new Date(clock()).toISOString()
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAnalyticsRouter
+};
@@ -0,0 +1,163 @@
+const express = require('express');
+const schemas = require('../lib/schemas');
+const { ValidationError, AuthenticationError, NotFoundError, ConflictError } = require('../lib/errors');
+const { rateLimitSettings } = require('../lib/rate-limit');
+const { hashPassword } = require('../lib/auth');
+
+/**
+ * Admin authentication routes (login, token refresh, logout) and admin user management.
+ */
+
+function createAuthRouter({ pool, logger, metrics, validate, api, auth, rateLimiter }) {
+  const router = express.Router();
+  const { adminLoginAttempts } = metrics;
+
+  // Stricter limit on login attempts to slow down password guessing
+  const loginLimiter = rateLimiter.limit({
+    ...rateLimitSettings('LOGIN', 10, 15 * 60),
+    message: 'Too many login attempts, please try again later.',
+    skipSuccessfulRequests: true
+  });
+
+  // Log in and receive an access/refresh token pair
+  router.post(api.paths('/auth/login'), loginLimiter, validate(schemas.auth.login), async (req, res, next) => {
+    try {
+      const { username, password } = req.body;
+
+      const result = await auth.login(username, password);
+
+      if (!result) {
+        adminLoginAttempts.inc({ result: 'failure' });
+        logger.warn(`Failed admin login for username: ${username}`);
+        return next(new AuthenticationError('Invalid username or password'));
+      }
+
+      adminLoginAttempts.inc({ result: 'success' });
+      logger.info(`Admin login: ${result.user.username} (${result.user.role})`);
+
+      res.json({ success: true, user: result.user, ...result.tokens });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rotate a refresh token into a new access/refresh token pair
+  router.post(api.paths('/auth/refresh'), validate(schemas.auth.refresh), async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await auth.refresh(refreshToken);
+
+      if (!result) {
+        return next(new AuthenticationError('Invalid or expired refresh token'));
+      }
+
+      res.json({ success: true, user: result.user, ...result.tokens });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Log out - revokes the current access token and the given refresh token
+  router.post(api.paths('/auth/logout'), auth.requireRole('moderator'), validate(schemas.auth.logout), async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      await auth.revoke({ accessTokenPayload: req.admin.token, refreshToken });
+
+      logger.info(`Admin logout: ${req.admin.username}`);
+      res.json({ success: true, message: 'Logged out successfully' });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the currently authenticated admin user
+  router.get(api.paths('/auth/me'), auth.requireRole('moderator'), validate(schemas.auth.me), (req, res) => {
+    const { id, username, role } = req.admin;
+    res.json({ user: { id, username, role } });
+  });
+
+  // Admin user management endpoints
+
+  // List admin users
+  router.get(api.paths('/admin/users'), auth.requireRole('admin'), validate(schemas.users.list), async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        'SELECT id, username, role, active, last_login_at, created_at FROM admin_users ORDER BY created_at'
+      );
+      res.json({ users: result.rows });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create an admin user
+  router.post(api.paths('/admin/users'), auth.requireRole('admin'), validate(schemas.users.create), async (req, res, next) => {
+    try {
+      const { username, password, role } = req.body;
+      const normalizedUsername = username.toLowerCase();
+      const result = await pool.query(
+        'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3) ON CONFLICT (username) DO NOTHING RETURNING id, username, role, active, created_at',
+        [normalizedUsername, await hashPassword(password), role]
+      );
+
+      if (result.rows.length === 0) {
+        return next(new ConflictError('Username already exists'));
+      }
+
+      logger.info(`Admin user created: ${normalizedUsername} (${role}) by ${req.admin.username}`);
+      res.status(201).json({ success: true, user: result.rows[0] });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update an admin user's role, password or active flag
+  router.put(api.paths('/admin/users/:id'), auth.requireRole('admin'), validate(schemas.users.update), async (req, res, next) => {
+    try {
+      const userId = req.params.id;
+      const { role, password, active } = req.body;
+
+      if (userId === req.admin.id && (active === false || (role !== undefined && role !== 'admin'))) {
+        return next(new ValidationError('You cannot deactivate or demote your own account'));
+      }
+
+      const result = await pool.query(`
+        UPDATE admin_users
+        SET
+          role = COALESCE($2, role),
+          password_hash = COALESCE($3, password_hash),
+          active = COALESCE($4, active),
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING id, username, role, active, updated_at
+      `, [userId, role || null, password ? await hashPassword(password) : null, active === undefined ? null : active]);
+
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Admin user not found'));
+      }
+
+      // Existing tokens carry the old role, so make the user log in again
+      if (role !== undefined || password !== undefined || active === false) {
+        await auth.revokeAllForUser(userId);
+      }
+
+      logger.info(`Admin user ${result.rows[0].username} updated by ${req.admin.username}`);
+      res.json({ success: true, user: result.rows[0] });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter
+};
@@ -0,0 +1,745 @@
+const express = require('express');
+const schemas = require('../lib/schemas');
+const { ValidationError, NotFoundError } = require('../lib/errors');
+const { rateLimitSettings, byIp } = require('../lib/rate-limit');
+const { commentCountCacheKey } = require('../lib/counters');
+const { isPublishedPost } = require('../lib/posts');
+const { hashIP, generateClientId, readReactionIdentity, resolveLikeClientId } = require('../lib/reactions');
+
+/**
+ * Comment routes: threaded comments and comment likes on posts, the moderation
+ * queue, and spam filter management.
+ *
+ * New comments are scored by the spam filter. Those that score as spam, or every one
+ * when approval is turned on, wait as `pending` until a moderator approves them. Only
+ * approved comments are counted on the post and pushed to its event stream.
+ */
+
+// With COMMENTS_REQUIRE_APPROVAL=true every new comment waits in the moderation queue; by
+// default only those that score as spam do, and the rest go up straight away as they always have
+const COMMENTS_REQUIRE_APPROVAL = process.env.COMMENTS_REQUIRE_APPROVAL === 'true';
+
+// Replies nest at most this many levels below a top-level comment
+const COMMENT_MAX_REPLY_DEPTH = Math.max(0, parseInt(process.env.COMMENT_MAX_REPLY_DEPTH || '3'));
+
+// Nest a flat list of thread rows (ordered so parents come before their replies) under their roots
+const buildCommentTree = (roots, replies) => {
+  const byId = new Map();
+  const toNode = (row) => {
+    const node = { ...row, replies: [], replyCount: 0 };
+    byId.set(String(row.id), node);
+    return node;
+  };
+
+  const tree = roots.map(toNode);
+  for (const reply of replies) {
+    const parent = byId.get(String(reply.parent_id));
+    // Replies under a parent that is no longer approved are dropped along with it
+    if (parent) {
+      parent.replies.push(toNode(reply));
+    }
+  }
+
+  const countReplies = (node) => {
+    node.replyCount = node.replies.reduce((sum, child) => sum + 1 + countReplies(child), 0);
+    return node.replyCount;
+  };
+  tree.forEach(countReplies);
+
+  return tree;
+};
+
+const COMMENT_SORTS = {
+  new: 'created_at DESC',
+  top: 'like_count DESC, created_at DESC'
+};
+
+// Enhanced comment validation (required fields, length and HTML stripping)
+const validateComment = (content, displayName) => {
+  // 1. Required fields
+  if (!content || !displayName) {
+    throw new ValidationError('Content and display name are required');
+  }
+
+  // 2. Length validation
+  if (content.length < 10 || content.length > 2000) {
+    throw new ValidationError('Comment must be between 10 and 2000 characters');
+  }
+
+  if (displayName.length > 50) {
+    throw new ValidationError('Display name must be less than 50 characters');
+  }
+
+  // 3. HTML/Script filtering - remove potentially dangerous tags
+  const cleanContent = content
+    .replace(/<script[^>]*>.*?<\/script>/gi, '') // Remove script tags
+    .replace(/<[^>]*>/g, '') // Remove all HTML tags
+    .replace(/javascript:/gi, '') // Remove javascript: URLs
+    .replace(/on\w+\s*=/gi, ''); // Remove event handlers
+
+  // 4. Spam is scored afterwards by spamFilter, which holds suspicious comments for moderation
+
+  return cleanContent;
+};
+
+// Moderation actions and the comment status each one sets
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam'
+};
+
+function createCommentsRouter({ pool, redisClient, logger, metrics, validate, api, auth, rateLimiter, idempotency, counterCache, postEvents, spamFilter }) {
+  const router = express.Router();
+  const {
+    commentsTotal,
+    commentLikesTotal,
+    commentUnlikesTotal,
+    commentSpamCheckScore,
+    commentSpamScore,
+    commentsFlaggedSpam,
+    commentModerationActions
+  } = metrics;
+
+  // Drop cached comment counts for a post after its approved comments change
+  const invalidateCommentCache = async (postId) => {
+    try {
+      await redisClient.del([commentCountCacheKey(postId, 'all'), commentCountCacheKey(postId, 'threads')]);
+    } catch (error) {
+      logger.warn(`Failed to invalidate comment cache for post ${postId}`, error);
+    }
+  };
+
+  // Approved comment count for a post; new approved comments adjust the cached count, moderation decisions bust it
+  const getApprovedCommentCount = async (postId, scope) => {
+    const { count } = await counterCache.get(commentCountCacheKey(postId, scope), async () => {
+      // Every approved comment is counted on the post row; top-level ones still need a COUNT
+      if (scope === 'all') {
+        const result = await pool.query('SELECT comment_count FROM posts WHERE id = $1', [postId]);
+        return result.rows.length > 0 ? result.rows[0].comment_count : 0;
+      }
+
+      const countResult = await pool.query(
+        'SELECT COUNT(*) as count FROM comments WHERE post_id = $1 AND status = $2 AND parent_id IS NULL',
+        [postId, 'approved']
+      );
+      return parseInt(countResult.rows[0].count);
+    });
+    return count;
+  };
+
+  // Get post comments
+  // ?format=tree returns nested threads, paginated by top-level comment; ?sort=top puts the most liked first
+  router.get(api.paths('/posts/:postId/comments'), validate(schemas.comments.list), async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      const { page: pageNum, limit: limitNum, format, sort } = req.query;
+      const offsetNum = (pageNum - 1) * limitNum;
+
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      if (format === 'flat') {
+        const result = await pool.query(
+          `SELECT id, parent_id, display_name, content, like_count, created_at FROM comments WHERE post_id = $1 AND status = $2 ORDER BY ${COMMENT_SORTS[sort]} LIMIT $3 OFFSET $4`,
+          [postId, 'approved', limitNum, offsetNum]
+        );
+
+        const total = await getApprovedCommentCount(postId, 'all');
+
+        return res.json({
+          postId,
+          sort,
+          comments: result.rows,
+          pagination: {
+            page: pageNum,
+            limit: limitNum,
+            total,
+            pages: Math.ceil(total / limitNum)
+          }
+        });
+      }
+
+      // Sorting applies to top-level comments; replies stay in conversation order
+      const rootsResult = await pool.query(
+        `SELECT id, parent_id, display_name, content, like_count, created_at FROM comments WHERE post_id = $1 AND status = $2 AND parent_id IS NULL ORDER BY ${COMMENT_SORTS[sort]} LIMIT $3 OFFSET $4`,
+        [postId, 'approved', limitNum, offsetNum]
+      );
+
+      let replies = [];
+      if (rootsResult.rows.length > 0) {
+        const repliesResult = await pool.query(`
+          WITH RECURSIVE thread AS (
+            SELECT id, parent_id, display_name, content, like_count, created_at, depth
+            FROM comments
+            WHERE parent_id = ANY($1::bigint[]) AND status = 'approved'
+            UNION ALL
+            SELECT c.id, c.parent_id, c.display_name, c.content, c.like_count, c.created_at, c.depth
+            FROM comments c
+            JOIN thread t ON c.parent_id = t.id
+            WHERE c.status = 'approved'
+          )
+          SELECT id, parent_id, display_name, content, like_count, created_at
+          FROM thread
+          ORDER BY depth, created_at ASC
+        `, [rootsResult.rows.map(row => row.id)]);
+        replies = repliesResult.rows;
+      }
+
+      const total = await getApprovedCommentCount(postId, 'threads');
+
+      res.json({
+        postId,
+        format: 'tree',
+        sort,
+        comments: buildCommentTree(rootsResult.rows, replies),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Like a comment
+  // Approved comments only; one like per client, like post likes
+  router.post(api.paths('/posts/:postId/comments/:commentId/like'), validate(schemas.comments.like), idempotency.middleware('comment-like'), async (req, res, next) => {
+    try {
+      const { postId, commentId } = req.params;
+      const identity = readReactionIdentity(req.body);
+      const clientId = await resolveLikeClientId(pool, { table: 'comment_likes', column: 'comment_id', id: commentId }, identity.clientId, identity.ipHash);
+
+      // Add the like unless this client already has one, bumping the comment's counter in the same statement
+      const result = await pool.query(`
+        WITH target AS (
+          SELECT c.id FROM comments c JOIN posts p ON p.id = c.post_id AND p.status = 'published'
+          WHERE c.id = $1 AND c.post_id = $2 AND c.status = 'approved'
+        ),
+        inserted AS (
+          INSERT INTO comment_likes (comment_id, client_id, ip_hash)
+          SELECT id, $3, $4 FROM target
+          ON CONFLICT (comment_id, client_id) DO NOTHING
+          RETURNING comment_id
+        ),
+        counted AS (
+          UPDATE comments SET like_count = like_count + 1
+          WHERE id = (SELECT comment_id FROM inserted)
+          RETURNING like_count
+        )
+        SELECT COALESCE((SELECT like_count FROM counted), c.like_count) AS like_count,
+          EXISTS (SELECT 1 FROM inserted) AS inserted
+        FROM comments c
+        JOIN target ON target.id = c.id
+      `, [commentId, postId, clientId, identity.ipHash]);
+
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Comment not found'));
+      }
+      const { like_count: count, inserted } = result.rows[0];
+
+      if (inserted) {
+        commentLikesTotal.inc({ post_id: postId });
+        logger.info(`Comment ${commentId} liked by ${clientId}`);
+      }
+
+      res.json({ success: true, commentId, liked: true, likes: count, clientId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Unlike a comment
+  router.delete(api.paths('/posts/:postId/comments/:commentId/unlike'), validate(schemas.comments.unlike), idempotency.middleware('comment-unlike'), async (req, res, next) => {
+    try {
+      const { postId, commentId } = req.params;
+      const identity = readReactionIdentity(req.body);
+      const match = identity.clientId ? 'client_id = $3' : 'ip_hash = $3';
+
+      // Remove the like and lower the comment's counter in the same statement
+      const result = await pool.query(`
+        WITH target AS (
+          SELECT c.id FROM comments c JOIN posts p ON p.id = c.post_id AND p.status = 'published'
+          WHERE c.id = $1 AND c.post_id = $2 AND c.status = 'approved'
+        ),
+        deleted AS (
+          DELETE FROM comment_likes WHERE comment_id = (SELECT id FROM target) AND ${match} RETURNING id
+        ),
+        counted AS (
+          UPDATE comments SET like_count = GREATEST(like_count - (SELECT COUNT(*) FROM deleted)::int, 0)
+          WHERE id = (SELECT id FROM target) AND EXISTS (SELECT 1 FROM deleted)
+          RETURNING like_count
+        )
+        SELECT COALESCE((SELECT like_count FROM counted), c.like_count) AS like_count,
+          (SELECT COUNT(*) FROM deleted)::int AS removed
+        FROM comments c
+        JOIN target ON target.id = c.id
+      `, [commentId, postId, identity.clientId || identity.ipHash]);
+
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Comment not found'));
+      }
+      const { like_count: count, removed } = result.rows[0];
+
+      if (removed > 0) {
+        commentUnlikesTotal.inc({ post_id: postId });
+        logger.info(`Comment ${commentId} unliked by ${identity.clientId || identity.ipHash}`);
+      }
+
+      res.json({ success: true, commentId, liked: false, likes: count, clientId: identity.clientId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Comment rate limiting per IP (5 per minute)
+  const commentLimiter = rateLimiter.limit({
+    ...rateLimitSettings('COMMENTS', 5, 60),
+    keyBy: byIp(),
+    message: 'Too many comments. Please wait before posting again.'
+  });
+
+  // Log and export the per-check breakdown of a comment's spam score
+  const recordSpamScore = (postId, spamResult) => {
+    for (const check of spamResult.checks) {
+      commentSpamCheckScore.observe({ check: check.name }, check.weighted);
+    }
+    commentSpamScore.observe(spamResult.score);
+
+    if (spamResult.isSpam) {
+      commentsFlaggedSpam.inc();
+    }
+
+    logger.info(`Spam score for comment on post ${postId}: ${spamResult.score} (threshold ${spamResult.threshold})`, {
+      spamChecks: spamResult.checks.map(({ name, weighted, details }) => ({ name, score: weighted, details }))
+    });
+  };
+
+  // Add comment
+  router.post(api.paths('/posts/:postId/comments'), commentLimiter, validate(schemas.comments.create), async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      const { content, displayName, clientId, userIP, parentId } = req.body;
+
+      // Client IP, hashed below when the client did not send one
+      const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || 'unknown';
+
+      // Validate and clean input
+      const cleanContent = validateComment(content, displayName);
+
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      // Check for duplicate comments (same content in last hour)
+      const duplicateCheck = await pool.query(
+        'SELECT id FROM comments WHERE content = $1 AND post_id = $2 AND created_at > NOW() - INTERVAL \'1 hour\'',
+        [cleanContent, postId]
+      );
+
+      if (duplicateCheck.rows.length > 0) {
+        return next(new ValidationError('Duplicate comment detected. Please wait before posting similar content.'));
+      }
+
+      // Replies must target an approved comment on the same post, within the depth cap
+      let finalParentId = null;
+      let depth = 0;
+      if (parentId !== undefined && parentId !== null) {
+        finalParentId = parentId;
+        const parentResult = await pool.query(
+          'SELECT id, depth FROM comments WHERE id = $1 AND post_id = $2 AND status = $3',
+          [finalParentId, postId, 'approved']
+        );
+
+        if (parentResult.rows.length === 0) {
+          return next(new NotFoundError('Parent comment not found'));
+        }
+
+        depth = parentResult.rows[0].depth + 1;
+        if (depth > COMMENT_MAX_REPLY_DEPTH) {
+          return next(new ValidationError(`Replies can be nested at most ${COMMENT_MAX_REPLY_DEPTH} levels deep`));
+        }
+      }
+
+      // Generate display name if not provided
+      const finalDisplayName = displayName || 'Anonymous';
+      const finalClientId = clientId || generateClientId();
+      const ipHash = userIP ? hashIP(userIP) : hashIP(clientIP);
+
+      // Comments that score as spam go to the moderation queue instead of being rejected outright
+      const spamResult = await spamFilter.score({ content: cleanContent, body: req.body });
+      recordSpamScore(postId, spamResult);
+
+      const status = COMMENTS_REQUIRE_APPROVAL || spamResult.isSpam ? 'pending' : 'approved';
+
+      // Approved comments bump the post's counter in the same statement
+      const result = await pool.query(`
+        WITH inserted AS (
+          INSERT INTO comments (post_id, parent_id, depth, display_name, content, client_id, ip_hash, status, spam_score, spam_checks, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+          RETURNING id, post_id, parent_id, status, created_at
+        ),
+        counted AS (
+          UPDATE posts SET comment_count = comment_count + 1
+          WHERE id = (SELECT post_id FROM inserted WHERE status = 'approved')
+        )
+        SELECT id, parent_id, status, created_at FROM inserted
+      `, [postId, finalParentId, depth, finalDisplayName, cleanContent, finalClientId, ipHash, status, spamResult.score, JSON.stringify(spamResult.checks)]);
+
+      // Update metrics
+      commentsTotal.inc({ post_id: postId });
+
+      if (status === 'approved') {
+        await counterCache.adjust(commentCountCacheKey(postId, 'all'), 1);
+        if (!finalParentId) {
+          await counterCache.adjust(commentCountCacheKey(postId, 'threads'), 1);
+        }
+        const { id, parent_id, created_at } = result.rows[0];
+        postEvents.publish(postId, 'comment', {
+          id, parent_id, display_name: finalDisplayName, content: cleanContent, like_count: 0, created_at
+        });
+      }
+
+      logger.info(`${finalParentId ? `Reply to comment ${finalParentId}` : 'Comment'} added to post ${postId} by ${finalDisplayName} (${status})`);
+      res.status(201).json({
+        success: true,
+        comment: result.rows[0],
+        clientId: finalClientId,
+        message: status === 'pending' ? 'Comment submitted and awaiting moderation' : 'Comment posted'
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Comment moderation endpoints
+
+  // Push comments that just became visible to the live streams of their posts
+  const publishApprovedComments = async (commentIds) => {
+    try {
+      const result = await pool.query(
+        'SELECT id, post_id, parent_id, display_name, content, like_count, created_at FROM comments WHERE id = ANY($1::bigint[]) AND status = $2',
+        [commentIds, 'approved']
+      );
+      for (const { post_id: postId, ...comment } of result.rows) {
+        postEvents.publish(String(postId), 'comment', comment);
+      }
+    } catch (error) {
+      logger.warn('Failed to publish approved comments', error);
+    }
+  };
+
+  // Apply one moderation decision to a set of comments and record it in the audit log, in one transaction
+  const applyModerationDecision = async ({ commentIds, action, moderatorId, reason }) => {
+    const newStatus = MODERATION_ACTIONS[action];
+    const dbClient = await pool.connect();
+
+    try {
+      await dbClient.query('BEGIN');
+
+      // Comments, then posts, each in id order - the order the counter reconciler locks them in
+      const result = await dbClient.query(`
+        WITH previous AS (
+          SELECT id, status FROM comments WHERE id = ANY($1::bigint[]) ORDER BY id FOR UPDATE
+        )
+        UPDATE comments c
+        SET status = $2, moderated_by = $3, moderated_at = NOW()
+        FROM previous
+        WHERE c.id = previous.id
+        RETURNING c.id, c.post_id, previous.status AS previous_status, c.status
+      `, [commentIds, newStatus, moderatorId]);
+
+      if (result.rows.length > 0) {
+        await dbClient.query(`
+          INSERT INTO comment_moderation_log (comment_id, moderator_id, action, previous_status, new_status, reason)
+          SELECT unnest($1::bigint[]), $2, $3, unnest($4::text[]), $5, $6
+        `, [
+          result.rows.map(row => row.id),
+          moderatorId,
+          action,
+          result.rows.map(row => row.previous_status),
+          newStatus,
+          reason || null
+        ]);
+      }
+
+      // Keep posts.comment_count in step with comments moving in or out of 'approved'
+      const countDeltas = new Map();
+      for (const row of result.rows) {
+        const delta = (row.status === 'approved' ? 1 : 0) - (row.previous_status === 'approved' ? 1 : 0);
+        if (delta !== 0) {
+          countDeltas.set(String(row.post_id), (countDeltas.get(String(row.post_id)) || 0) + delta);
+        }
+      }
+      if (countDeltas.size > 0) {
+        await dbClient.query('SELECT id FROM posts WHERE id = ANY($1::bigint[]) ORDER BY id FOR UPDATE', [[...countDeltas.keys()]]);
+        await dbClient.query(`
+          UPDATE posts p
+          SET comment_count = GREATEST(p.comment_count + d.delta, 0)
+          FROM unnest($1::bigint[], $2::int[]) AS d(post_id, delta)
+          WHERE p.id = d.post_id
+        `, [[...countDeltas.keys()], [...countDeltas.values()]]);
+      }
+
+      await dbClient.query('COMMIT');
+
+      // Any change in or out of 'approved' changes the public count
+      const postIds = [...new Set(result.rows.map(row => String(row.post_id)))];
+      await Promise.all(postIds.map(invalidateCommentCache));
+
+      commentModerationActions.inc({ action }, result.rows.length);
+
+      const newlyApproved = result.rows.filter(row => row.status === 'approved' && row.previous_status !== 'approved');
+      if (newlyApproved.length > 0) {
+        await publishApprovedComments(newlyApproved.map(row => row.id));
+      }
+      return result.rows;
+    } catch (error) {
+      await dbClient.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      dbClient.release();
+    }
+  };
+
+  // List comments in the moderation queue (pending by default)
+  router.get(api.paths('/admin/comments'), auth.requireRole('moderator'), validate(schemas.moderation.list), async (req, res, next) => {
+    try {
+      const { page: pageNum, limit: limitNum, status, postId } = req.query;
+      const offsetNum = (pageNum - 1) * limitNum;
+
+      const params = [status];
+      let where = 'c.status = $1';
+      if (postId) {
+        params.push(postId);
+        where += ` AND c.post_id = $${params.length}`;
+      }
+
+      const result = await pool.query(`
+        SELECT
+          c.id, c.post_id, p.slug AS post_slug, p.title AS post_title,
+          c.display_name, c.content, c.status, c.spam_score, c.spam_checks, c.created_at, c.moderated_at,
+          a.username AS moderated_by
+        FROM comments c
+        LEFT JOIN posts p ON p.id = c.post_id
+        LEFT JOIN admin_users a ON a.id = c.moderated_by
+        WHERE ${where}
+        ORDER BY c.created_at ASC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limitNum, offsetNum]);
+
+      const countResult = await pool.query(`SELECT COUNT(*) as count FROM comments c WHERE ${where}`, params);
+      const total = parseInt(countResult.rows[0].count);
+
+      res.json({
+        comments: result.rows,
+        status,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Approve, reject or mark many comments as spam at once
+  router.post(api.paths('/admin/comments/bulk'), auth.requireRole('moderator'), validate(schemas.moderation.bulk), async (req, res, next) => {
+    try {
+      const { ids, action, reason } = req.body;
+      const commentIds = [...new Set(ids)];
+
+      const updated = await applyModerationDecision({ commentIds, action, moderatorId: req.admin.id, reason });
+      const updatedIds = new Set(updated.map(row => Number(row.id)));
+
+      logger.info(`Comments ${action}: ${updated.length} of ${commentIds.length} by ${req.admin.username}`);
+      res.json({
+        success: true,
+        action,
+        updated,
+        notFound: commentIds.filter(id => !updatedIds.has(id))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Approve, reject or mark a single comment as spam
+  router.post(api.paths('/admin/comments/:id/:action'), auth.requireRole('moderator'), validate(schemas.moderation.decide), async (req, res, next) => {
+    try {
+      const { id: commentId, action } = req.params;
+      const { reason } = req.body;
+
+      const updated = await applyModerationDecision({ commentIds: [commentId], action, moderatorId: req.admin.id, reason });
+
+      if (updated.length === 0) {
+        return next(new NotFoundError('Comment not found'));
+      }
+
+      logger.info(`Comment ${commentId} ${action} by ${req.admin.username}`);
+      res.json({ success: true, action, comment: updated[0] });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Edit a comment's content or display name
+  router.put(api.paths('/admin/comments/:id'), auth.requireRole('moderator'), validate(schemas.moderation.edit), async (req, res, next) => {
+    const commentId = req.params.id;
+
+    let dbClient;
+    try {
+      dbClient = await pool.connect();
+      await dbClient.query('BEGIN');
+
+      const existing = await dbClient.query(
+        'SELECT id, post_id, display_name, content, status FROM comments WHERE id = $1 FOR UPDATE',
+        [commentId]
+      );
+
+      if (existing.rows.length === 0) {
+        await dbClient.query('ROLLBACK');
+        return next(new NotFoundError('Comment not found'));
+      }
+
+      const comment = existing.rows[0];
+      const { content = comment.content, displayName = comment.display_name, reason } = req.body;
+
+      // Throws a ValidationError, rolled back below like any other failure
+      const cleanContent = validateComment(content, displayName);
+
+      const result = await dbClient.query(`
+        UPDATE comments
+        SET content = $2, display_name = $3, moderated_by = $4, moderated_at = NOW()
+        WHERE id = $1
+        RETURNING id, post_id, display_name, content, status, created_at, moderated_at
+      `, [commentId, cleanContent, displayName, req.admin.id]);
+
+      await dbClient.query(`
+        INSERT INTO comment_moderation_log (comment_id, moderator_id, action, previous_status, new_status, previous_content, reason)
+        VALUES ($1, $2, 'edit', $3, $3, $4, $5)
+      `, [commentId, req.admin.id, comment.status, comment.content, reason || null]);
+
+      await dbClient.query('COMMIT');
+
+      commentModerationActions.inc({ action: 'edit' });
+      logger.info(`Comment ${commentId} edited by ${req.admin.username}`);
+      res.json({ success: true, comment: result.rows[0] });
+
+    } catch (error) {
+      if (dbClient) {
+        await dbClient.query('ROLLBACK').catch(() => {});
+      }
+      next(error);
+    } finally {
+      if (dbClient) {
+        dbClient.release();
+      }
+    }
+  });
+
+  // Get the moderation history of a comment
+  router.get(api.paths('/admin/comments/:id/history'), auth.requireRole('moderator'), validate(schemas.moderation.history), async (req, res, next) => {
+    try {
+      const commentId = req.params.id;
+
+      const result = await pool.query(`
+        SELECT l.id, l.action, l.previous_status, l.new_status, l.previous_content, l.reason, l.created_at,
+          a.username AS moderator
+        FROM comment_moderation_log l
+        LEFT JOIN admin_users a ON a.id = l.moderator_id
+        WHERE l.comment_id = $1
+        ORDER BY l.created_at DESC
+      `, [commentId]);
+
+      res.json({ commentId, history: result.rows });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Spam filter management endpoints
+
+  // List spam keywords
+  router.get(api.paths('/admin/spam/keywords'), auth.requireRole('moderator'), validate(schemas.spam.keywords), async (req, res, next) => {
+    try {
+      const result = await pool.query(
+        'SELECT id, keyword, weight, active, created_at, updated_at FROM spam_keywords ORDER BY keyword'
+      );
+      res.json({ keywords: result.rows, threshold: spamFilter.threshold });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Add or update a spam keyword
+  router.post(api.paths('/admin/spam/keywords'), auth.requireRole('moderator'), validate(schemas.spam.addKeyword), async (req, res, next) => {
+    try {
+      const { keyword, weight, active } = req.body;
+
+      const result = await pool.query(`
+        INSERT INTO spam_keywords (keyword, weight, active, created_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (keyword) DO UPDATE
+          SET weight = EXCLUDED.weight, active = EXCLUDED.active, updated_at = NOW()
+        RETURNING id, keyword, weight, active, created_at, updated_at
+      `, [keyword.toLowerCase(), weight, active, req.admin.id]);
+
+      await spamFilter.reloadKeywords();
+
+      logger.info(`Spam keyword "${result.rows[0].keyword}" saved by ${req.admin.username}`);
+      res.json({ success: true, keyword: result.rows[0] });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Remove a spam keyword
+  router.delete(api.paths('/admin/spam/keywords/:id'), auth.requireRole('moderator'), validate(schemas.spam.removeKeyword), async (req, res, next) => {
+    try {
+      const keywordId = req.params.id;
+
+      const result = await pool.query('DELETE FROM spam_keywords WHERE id = $1 RETURNING keyword', [keywordId]);
+
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Keyword not found'));
+      }
+
+      await spamFilter.reloadKeywords();
+
+      logger.info(`Spam keyword "${result.rows[0].keyword}" removed by ${req.admin.username}`);
+      res.json({ success: true, message: 'Keyword removed' });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Retrain the spam classifier from moderated comments now instead of waiting for the next scheduled run
+  router.post(api.paths('/admin/spam/classifier/train'), auth.requireRole('admin'), validate(schemas.spam.train), async (req, res, next) => {
+    try {
+      const summary = await spamFilter.trainClassifier();
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCommentsRouter
+};
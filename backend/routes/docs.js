@@ -0,0 +1,35 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const schemas = require('../lib/schemas');
+
+/**
+ * API documentation: the OpenAPI document generated from the route table
+ * (lib/openapi.js) and a Swagger UI page for it at /api/docs, served from our own
+ * swagger-ui-dist copy so it works under the default CSP.
+ */
+
+const SPEC_PATH = '/api/openapi.json';
+
+// openApiSpec - () => the OpenAPI document; built by app.js once every router is mounted
+function createDocsRouter({ validate, openApiSpec }) {
+  const router = express.Router();
+
+  router.get(SPEC_PATH, validate(schemas.system.openApi), (req, res) => {
+    res.json(openApiSpec());
+  });
+
+  const uiOptions = { swaggerUrl: SPEC_PATH, customSiteTitle: 'Blog API' };
+  router.use(
+    '/api/docs',
+    // The page loads its assets relative to itself, so it needs the trailing slash
+    (req, res, next) => (req.originalUrl.startsWith('/api/docs/') ? next() : res.redirect(301, '/api/docs/')),
+    swaggerUi.serveFiles(null, uiOptions),
+    swaggerUi.setup(null, uiOptions)
+  );
+
+  return router;
+}
+
+module.exports = {
+  createDocsRouter
+};
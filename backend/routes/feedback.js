@@ -0,0 +1,135 @@
+const express = require('express');
+const schemas = require('../lib/schemas');
+const { rateLimitSettings } = require('../lib/rate-limit');
+
+/**
+ * Feedback routes: reader feedback submissions and the moderator/admin views of them.
+ */
+
+// Generate random name for anonymous feedback
+function generateRandomName() {
+  const adjectives = ['Happy', 'Curious', 'Creative', 'Bright', 'Kind', 'Wise', 'Brave', 'Gentle', 'Smart', 'Cheerful'];
+  const nouns = ['Reader', 'Visitor', 'Explorer', 'Learner', 'Friend', 'Guest', 'Fan', 'Supporter', 'Enthusiast', 'Admirer'];
+  const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
+  const noun = nouns[Math.floor(Math.random() * nouns.length)];
+  return `${adjective} ${noun}`;
+}
+
+function createFeedbackRouter({ pool, logger, metrics, validate, api, auth, rateLimiter }) {
+  const router = express.Router();
+  const { feedbackSubmissions } = metrics;
+
+  // Rate limiting for feedback (10 per minute per IP; the body's uuid is the caller's to change)
+  const feedbackLimiter = rateLimiter.limit({
+    ...rateLimitSettings('FEEDBACK', 10, 60),
+    message: 'Rate limit exceeded. Maximum 10 feedback submissions per minute per IP.'
+  });
+
+  // Submit feedback
+  router.post(api.paths('/feedback'), feedbackLimiter, validate(schemas.feedback.submit), async (req, res, next) => {
+    try {
+      const { uuid, name, email, rating, feedback_text } = req.body;
+      const userIP = req.ip || req.connection.remoteAddress;
+      const userAgent = req.get('User-Agent');
+
+      // Generate name if not provided
+      const finalName = name && name.trim() ? name.trim() : generateRandomName();
+      const finalEmail = email ? email.toLowerCase() : null;
+
+      // Insert feedback
+      const result = await pool.query(
+        'INSERT INTO feedback (uuid, name, email, rating, feedback_text, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, created_at',
+        [uuid, finalName, finalEmail, rating, feedback_text, userIP, userAgent]
+      );
+
+      feedbackSubmissions.inc({ rating: rating.toString() });
+      logger.info(`Feedback submitted: UUID=${uuid}, Rating=${rating}, Name=${finalName}`);
+
+      res.json({
+        success: true,
+        message: 'Feedback submitted successfully',
+        feedbackId: result.rows[0].id,
+        submittedAt: result.rows[0].created_at,
+        name: finalName
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get feedback statistics (admin endpoint)
+  router.get(api.paths('/feedback/stats'), auth.requireRole('moderator'), validate(schemas.feedback.stats), async (req, res, next) => {
+    try {
+      const result = await pool.query(`
+        SELECT 
+          COUNT(*) as total_feedback,
+          AVG(rating) as average_rating,
+          COUNT(CASE WHEN rating = 5 THEN 1 END) as five_star,
+          COUNT(CASE WHEN rating = 4 THEN 1 END) as four_star,
+          COUNT(CASE WHEN rating = 3 THEN 1 END) as three_star,
+          COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
+          COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star,
+          COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+          COUNT(CASE WHEN status = 'reviewed' THEN 1 END) as reviewed
+        FROM feedback
+      `);
+
+      const stats = result.rows[0];
+      res.json({
+        totalFeedback: parseInt(stats.total_feedback),
+        averageRating: parseFloat(stats.average_rating).toFixed(2),
+        ratingDistribution: {
+          fiveStar: parseInt(stats.five_star),
+          fourStar: parseInt(stats.four_star),
+          threeStar: parseInt(stats.three_star),
+          twoStar: parseInt(stats.two_star),
+          oneStar: parseInt(stats.one_star)
+        },
+        statusDistribution: {
+          pending: parseInt(stats.pending),
+          reviewed: parseInt(stats.reviewed)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get recent feedback (admin endpoint - includes submitter emails)
+  router.get(api.paths('/feedback/recent'), auth.requireRole('admin'), validate(schemas.feedback.recent), async (req, res, next) => {
+    try {
+      const { limit: limitNum, status } = req.query;
+
+      let query = 'SELECT id, uuid, name, email, rating, feedback_text, created_at, status FROM feedback';
+      let params = [];
+
+      if (status !== 'all') {
+        query += ' WHERE status = $1';
+        params.push(status);
+      }
+
+      query += ' ORDER BY created_at DESC LIMIT $' + (params.length + 1);
+      params.push(limitNum);
+
+      const result = await pool.query(query, params);
+
+      res.json({
+        feedback: result.rows,
+        count: result.rows.length,
+        limit: limitNum,
+        status: status
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createFeedbackRouter
+};
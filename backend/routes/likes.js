@@ -0,0 +1,295 @@
+const express = require('express');
+const schemas = require('../lib/schemas');
+const { NotFoundError, RateLimitedError } = require('../lib/errors');
+const { likeCountCacheKey } = require('../lib/counters');
+const { isPublishedPost } = require('../lib/posts');
+const {
+  DEFAULT_REACTION,
+  REACTIONS,
+  isReactionType,
+  reactionCounts,
+  readReactionIdentity,
+  resolveLikeClientId
+} = require('../lib/reactions');
+
+/**
+ * Like and reaction routes for posts, plus the post's live event stream.
+ *
+ * Likes are the default reaction: the like/unlike routes and the reaction routes
+ * write the same likes rows and posts counters. Every change is published to the
+ * post's event stream.
+ */
+
+function createLikesRouter({ pool, logger, metrics, validate, api, idempotency, counterCache, postEvents }) {
+  const router = express.Router();
+  const { likesTotal, unlikesTotal, reactionsTotal, reactionRemovalsTotal, rateLimitHits } = metrics;
+
+  // Add a reaction unless this client already has one of that type, bumping the post's counters in the same statement
+  // Returns { inserted, likeCount, counts }, or null when the post doesn't exist
+  const addReaction = async ({ postId, reaction, clientId, ipHash }) => {
+    let result;
+    try {
+      result = await pool.query(`
+        WITH inserted AS (
+          INSERT INTO likes (post_id, client_id, ip_hash, reaction, created_at) VALUES ($1, $2, $3, $4::text, NOW())
+          ON CONFLICT (post_id, client_id, reaction) DO NOTHING
+          RETURNING post_id
+        ),
+        counted AS (
+          UPDATE posts
+          SET reaction_counts = jsonb_set(reaction_counts, ARRAY[$4::text], to_jsonb(COALESCE((reaction_counts->>$4::text)::int, 0) + 1)),
+            like_count = like_count + CASE WHEN $4::text = '${DEFAULT_REACTION}' THEN 1 ELSE 0 END
+          WHERE id = (SELECT post_id FROM inserted)
+          RETURNING like_count, reaction_counts
+        )
+        SELECT COALESCE((SELECT like_count FROM counted), p.like_count) AS like_count,
+          COALESCE((SELECT reaction_counts FROM counted), p.reaction_counts) AS reaction_counts,
+          EXISTS (SELECT 1 FROM inserted) AS inserted
+        FROM posts p
+        WHERE p.id = $1
+      `, [postId, clientId, ipHash, reaction]);
+    } catch (error) {
+      if (error.code === '23503') return null;
+      throw error;
+    }
+
+    const { like_count: likeCount, reaction_counts: counts, inserted } = result.rows[0];
+    if (inserted) {
+      reactionsTotal.inc({ post_id: postId, reaction });
+      if (reaction === DEFAULT_REACTION) {
+        likesTotal.inc({ post_id: postId });
+        await counterCache.adjust(likeCountCacheKey(postId), 1);
+      }
+      logger.info(`Post ${postId} got a ${reaction} reaction from ${clientId}`);
+      postEvents.publish(postId, 'likes', { postId, likes: likeCount, reactions: reactionCounts(counts) });
+    }
+    return { inserted, likeCount, counts: reactionCounts(counts) };
+  };
+
+  // Remove a client's reaction of one type (matched by client ID, or by IP hash for callers without one)
+  // Returns { removed, likeCount, counts }, or null when the post doesn't exist
+  const removeReaction = async ({ postId, reaction, clientId, ipHash }) => {
+    const match = clientId ? 'client_id = $3' : 'ip_hash = $3';
+
+    // Types that drop to zero are removed from reaction_counts, as a recount wouldn't list them either
+    const result = await pool.query(`
+      WITH deleted AS (
+        DELETE FROM likes WHERE post_id = $1 AND reaction = $2::text AND ${match} RETURNING id
+      ),
+      remaining AS (
+        SELECT GREATEST(COALESCE((p.reaction_counts->>$2::text)::int, 0) - (SELECT COUNT(*) FROM deleted)::int, 0) AS count
+        FROM posts p WHERE p.id = $1
+      ),
+      counted AS (
+        UPDATE posts
+        SET reaction_counts = CASE
+            WHEN (SELECT count FROM remaining) = 0 THEN reaction_counts - $2::text
+            ELSE jsonb_set(reaction_counts, ARRAY[$2::text], to_jsonb((SELECT count FROM remaining)))
+          END,
+          like_count = CASE
+            WHEN $2::text = '${DEFAULT_REACTION}' THEN GREATEST(like_count - (SELECT COUNT(*) FROM deleted)::int, 0)
+            ELSE like_count
+          END
+        WHERE id = $1 AND EXISTS (SELECT 1 FROM deleted)
+        RETURNING like_count, reaction_counts
+      )
+      SELECT COALESCE((SELECT like_count FROM counted), p.like_count) AS like_count,
+        COALESCE((SELECT reaction_counts FROM counted), p.reaction_counts) AS reaction_counts,
+        (SELECT COUNT(*) FROM deleted)::int AS removed
+      FROM posts p
+      WHERE p.id = $1
+    `, [postId, reaction, clientId || ipHash]);
+
+    if (result.rows.length === 0) return null;
+
+    const { like_count: likeCount, reaction_counts: counts, removed } = result.rows[0];
+    if (removed > 0) {
+      reactionRemovalsTotal.inc({ post_id: postId, reaction }, removed);
+      if (reaction === DEFAULT_REACTION) {
+        unlikesTotal.inc({ post_id: postId });
+        await counterCache.adjust(likeCountCacheKey(postId), -removed);
+      }
+      logger.info(`Post ${postId} lost a ${reaction} reaction from ${clientId || ipHash}`);
+      postEvents.publish(postId, 'likes', { postId, likes: likeCount, reactions: reactionCounts(counts) });
+    }
+    return { removed, likeCount, counts: reactionCounts(counts) };
+  };
+
+  // Get post likes
+  // With ?clientId=<uuid> the response also says whether that client has liked the post
+  router.get(api.paths('/posts/:postId/likes'), validate(schemas.reactions.likes), async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      const { clientId } = req.query;
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      // Redis first, then the counter on the post row
+      const { count, cached } = await counterCache.get(likeCountCacheKey(postId), async () => {
+        const result = await pool.query('SELECT like_count FROM posts WHERE id = $1', [postId]);
+        return result.rows.length > 0 ? result.rows[0].like_count : 0;
+      });
+
+      let liked;
+      if (clientId) {
+        const result = await pool.query(
+          'SELECT 1 FROM likes WHERE post_id = $1 AND client_id = $2 AND reaction = $3',
+          [postId, clientId, DEFAULT_REACTION]
+        );
+        liked = result.rows.length > 0;
+      }
+
+      res.json({ postId, likes: count, ...(clientId ? { liked } : {}), cached });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Like a post
+  // Alias for the default reaction; liking twice is a no-op and retries can send an Idempotency-Key header
+  router.post(api.paths('/posts/:postId/like'), validate(schemas.reactions.like), idempotency.middleware('like'), async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+      const identity = readReactionIdentity(req.body);
+      const clientId = await resolveLikeClientId(pool, { table: 'likes', column: 'post_id', id: postId }, identity.clientId, identity.ipHash);
+      const result = await addReaction({ postId, reaction: DEFAULT_REACTION, clientId, ipHash: identity.ipHash });
+      if (!result) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      res.json({ success: true, liked: true, likes: result.likeCount, clientId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Unlike a post
+  // Alias for removing the default reaction; unliking a post that isn't liked is a no-op
+  router.delete(api.paths('/posts/:postId/unlike'), validate(schemas.reactions.unlike), idempotency.middleware('unlike'), async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+      const identity = readReactionIdentity(req.body);
+
+      const result = await removeReaction({ postId, reaction: DEFAULT_REACTION, ...identity });
+      if (!result) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      res.json({ success: true, liked: false, likes: result.likeCount, clientId: identity.clientId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Reaction counts for a post
+  // With ?clientId=<uuid> the response also lists that client's reactions
+  router.get(api.paths('/posts/:postId/reactions'), validate(schemas.reactions.list), async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      const { clientId } = req.query;
+
+      const result = await pool.query("SELECT reaction_counts FROM posts WHERE id = $1 AND status = 'published'", [postId]);
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      let clientReactions;
+      if (clientId) {
+        const mine = await pool.query(
+          'SELECT reaction FROM likes WHERE post_id = $1 AND client_id = $2 ORDER BY reaction',
+          [postId, clientId]
+        );
+        clientReactions = mine.rows.map(row => row.reaction).filter(isReactionType);
+      }
+
+      res.json({
+        postId,
+        reactions: reactionCounts(result.rows[0].reaction_counts),
+        available: REACTIONS,
+        ...(clientId ? { clientReactions } : {})
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Add a reaction
+  // One reaction of each type per client; repeating it is a no-op
+  router.post(api.paths('/posts/:postId/reactions/:type'), validate(schemas.reactions.add), idempotency.middleware('reaction'), async (req, res, next) => {
+    try {
+      const { postId, type } = req.params;
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+      const identity = readReactionIdentity(req.body);
+      const clientId = await resolveLikeClientId(pool, { table: 'likes', column: 'post_id', id: postId }, identity.clientId, identity.ipHash);
+      const result = await addReaction({ postId, reaction: type, clientId, ipHash: identity.ipHash });
+      if (!result) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      res.json({ success: true, reaction: type, reacted: true, count: result.counts[type], reactions: result.counts, clientId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Remove a reaction
+  router.delete(api.paths('/posts/:postId/reactions/:type'), validate(schemas.reactions.remove), idempotency.middleware('unreaction'), async (req, res, next) => {
+    try {
+      const { postId, type } = req.params;
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+      const identity = readReactionIdentity(req.body);
+
+      const result = await removeReaction({ postId, reaction: type, ...identity });
+      if (!result) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      res.json({ success: true, reaction: type, reacted: false, count: result.counts[type], reactions: result.counts, clientId: identity.clientId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Live updates for a published post
+  // Server-sent events: `likes` when the like or reaction counts change, `comment` when a comment is approved
+  // Reconnects resume after Last-Event-ID (or ?lastEventId= for clients that can't set headers)
+  router.get(api.paths('/posts/:postId/events'), validate(schemas.reactions.events), async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      if (!(await isPublishedPost(pool, postId))) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      const opened = await postEvents.open({
+        req,
+        res,
+        postId,
+        ip: req.ip || req.socket.remoteAddress || 'unknown',
+        lastEventId: req.get('Last-Event-ID') ?? req.query.lastEventId
+      });
+      if (!opened) {
+        rateLimitHits.inc({ limiter: 'events' });
+        return next(new RateLimitedError('Too many open event streams from this IP'));
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createLikesRouter
+};
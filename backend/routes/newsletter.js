@@ -0,0 +1,804 @@
+const express = require('express');
+const schemas = require('../lib/schemas');
+const {
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UpstreamError
+} = require('../lib/errors');
+const { rateLimitSettings, byClient } = require('../lib/rate-limit');
+const { renderCampaign, personalize } = require('../lib/campaigns');
+const { postUrl } = require('../lib/site');
+const {
+  WebhookSignatureError,
+  createGenericAdapter,
+  createSesAdapter,
+  validateBounceEvent
+} = require('../lib/bounces');
+const {
+  hashToken,
+  createConfirmationToken,
+  confirmationEmail,
+  unsubscribeLinkEmail,
+  unsubscribePage,
+  unsubscribedPage
+} = require('../lib/newsletter');
+
+/**
+ * Newsletter routes: double opt-in subscriptions and signed unsubscribe links,
+ * admin campaigns and their send queue, open tracking, and bounce/complaint webhooks.
+ */
+
+// Email validation function
+function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+}
+
+// 1x1 transparent GIF for open tracking
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Hard bounces after which an address is marked bounced and no longer mailed
+const NEWSLETTER_HARD_BOUNCE_LIMIT = Math.max(1, parseInt(process.env.NEWSLETTER_HARD_BOUNCE_LIMIT || '1'));
+
+function createNewsletterRouter({ pool, logger, clock, metrics, validate, api, auth, rateLimiter, mailer, unsubscribeSigner, deliveryQueue }) {
+  const router = express.Router();
+  const {
+    newsletterSubscriptions,
+    newsletterUnsubscriptions,
+    newsletterConfirmations,
+    newsletterOpens,
+    newsletterBounceEvents
+  } = metrics;
+
+  // Mail sent while answering a request; a provider failure is a 502, and its details are only logged
+  const sendMail = (message) => mailer.send(message).catch((error) => {
+    throw new UpstreamError('The email could not be sent, please try again later', { cause: error });
+  });
+
+  // Store a fresh confirmation token for an address and email the confirmation link
+  const sendConfirmationEmail = async (email) => {
+    const { token, tokenHash, expiresAt } = createConfirmationToken();
+
+    await pool.query(
+      'UPDATE newsletter_subscriptions SET verification_token = $1, verification_expires_at = $2, updated_at = NOW() WHERE email = $3',
+      [tokenHash, expiresAt, email]
+    );
+
+    await sendMail({
+      ...confirmationEmail({ email, token }),
+      headers: unsubscribeSigner.listUnsubscribeHeaders(email)
+    });
+  };
+
+  // Subscribe to newsletter (double opt-in: the address only counts once confirmed)
+  // Every subscribe call for an unconfirmed address mails it a link, so cap them per address
+  // (3 an hour), not just per IP, or the endpoint could fill a stranger's inbox
+  const subscribeLimiter = rateLimiter.limit({
+    ...rateLimitSettings('NEWSLETTER_SUBSCRIBE', 3, 3600),
+    keyBy: byClient(req => req.body?.email),
+    message: 'Too many subscription requests for this address. Please try again later.'
+  });
+
+  router.post(api.paths('/newsletter/subscribe'), subscribeLimiter, validate(schemas.newsletter.subscribe), async (req, res, next) => {
+    try {
+      const { email } = req.body;
+      const normalizedEmail = email.toLowerCase().trim();
+
+      // Check if already subscribed
+      const existingSubscription = await pool.query(
+        'SELECT id, status, bounce_count, verified FROM newsletter_subscriptions WHERE email = $1',
+        [normalizedEmail]
+      );
+
+      if (existingSubscription.rows.length > 0) {
+        const subscription = existingSubscription.rows[0];
+
+        // If already active and confirmed, return success
+        if (subscription.status === 'active' && subscription.verified) {
+          return res.json({
+            success: true,
+            message: 'Email is already subscribed to newsletter',
+            alreadySubscribed: true
+          });
+        }
+
+        // If bounced, don't allow subscription
+        if (subscription.status === 'bounced') {
+          return next(new ValidationError('This email address has been blocked due to previous bounces', {
+            details: { bounceCount: subscription.bounce_count }
+          }));
+        }
+
+        // Unconfirmed or unsubscribed: (re)send the confirmation link. Reactivation waits for
+        // confirmation too, so nobody can resubscribe someone else's address.
+        await sendConfirmationEmail(normalizedEmail);
+
+        newsletterSubscriptions.inc({ status: subscription.status === 'unsubscribed' ? 'reactivation_pending' : 'confirmation_resent' });
+        logger.info(`Newsletter confirmation sent: ${normalizedEmail} (was ${subscription.status})`);
+
+        return res.json({
+          success: true,
+          message: 'Please check your email to confirm your subscription',
+          confirmationRequired: true
+        });
+      }
+
+      // Create new, unconfirmed subscription
+      await pool.query(
+        'INSERT INTO newsletter_subscriptions (email, status, subscribed_at, verified) VALUES ($1, $2, NOW(), $3)',
+        [normalizedEmail, 'active', false]
+      );
+      await sendConfirmationEmail(normalizedEmail);
+
+      newsletterSubscriptions.inc({ status: 'pending_confirmation' });
+      logger.info(`New newsletter subscription pending confirmation: ${normalizedEmail}`);
+
+      res.json({
+        success: true,
+        message: 'Please check your email to confirm your subscription',
+        email: normalizedEmail,
+        confirmationRequired: true
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Confirm a subscription from the emailed link
+  router.get(api.paths('/newsletter/confirm'), validate(schemas.newsletter.confirm), async (req, res, next) => {
+    try {
+      const { token } = req.query;
+
+      const result = await pool.query(`
+        UPDATE newsletter_subscriptions
+        SET
+          status = 'active',
+          verified = true,
+          verified_at = NOW(),
+          subscribed_at = CASE WHEN status = 'unsubscribed' THEN NOW() ELSE subscribed_at END,
+          unsubscribed_at = NULL,
+          verification_token = NULL,
+          verification_expires_at = NULL,
+          updated_at = NOW()
+        WHERE verification_token = $1
+          AND verification_expires_at > NOW()
+          AND status <> 'bounced'
+        RETURNING email
+      `, [hashToken(token)]);
+
+      if (result.rows.length === 0) {
+        newsletterConfirmations.inc({ result: 'invalid' });
+        return next(new ValidationError('Confirmation link is invalid or has expired'));
+      }
+
+      newsletterConfirmations.inc({ result: 'confirmed' });
+      newsletterSubscriptions.inc({ status: 'confirmed' });
+      logger.info(`Newsletter subscription confirmed: ${result.rows[0].email}`);
+
+      res.json({
+        success: true,
+        message: 'Your subscription is confirmed',
+        email: result.rows[0].email
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Check a signed unsubscribe link without acting on it - link scanners and prefetchers
+  // issue GETs, so only POST unsubscribes (RFC 8058). A browser following the emailed
+  // link gets a page whose button makes that POST.
+  router.get(api.paths('/newsletter/unsubscribe'), validate(schemas.newsletter.checkUnsubscribe), (req, res, next) => {
+    const { email, sig } = req.query;
+
+    if (!email || !isValidEmail(email) || !unsubscribeSigner.verify(email.toLowerCase().trim(), sig)) {
+      return next(new ForbiddenError('Invalid unsubscribe link'));
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    res.format({
+      json: () => res.json({
+        valid: true,
+        email: normalizedEmail,
+        message: 'POST to this URL to unsubscribe'
+      }),
+      html: () => res.send(unsubscribePage({ email: normalizedEmail, sig }))
+    });
+  });
+
+  // Unsubscribe from newsletter
+  // With a valid signature (link or RFC 8058 one-click POST) this unsubscribes immediately;
+  // without one it emails a signed link to the address instead. The unsubscribe page's
+  // form asks for HTML back, and gets a page rather than JSON.
+  router.post(api.paths('/newsletter/unsubscribe'), validate(schemas.newsletter.unsubscribe), async (req, res, next) => {
+    try {
+      const email = req.query.email || req.body.email;
+      const sig = req.query.sig || req.body.sig;
+
+      // The address can come from the signed link's query string or the body
+      if (!email) {
+        return next(new ValidationError('Email is required'));
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      if (!sig) {
+        const existing = await pool.query(
+          'SELECT status FROM newsletter_subscriptions WHERE email = $1',
+          [normalizedEmail]
+        );
+
+        if (existing.rows.length > 0 && existing.rows[0].status === 'active') {
+          await sendMail(unsubscribeLinkEmail({
+            email: normalizedEmail,
+            unsubscribeUrl: unsubscribeSigner.unsubscribeUrl(normalizedEmail)
+          }));
+          logger.info(`Newsletter unsubscribe link sent: ${normalizedEmail}`);
+        }
+
+        // Same response whether or not the address is subscribed, so this can't be used to probe the list
+        return res.status(202).json({
+          success: true,
+          message: 'If this address is subscribed, we have emailed it a link to confirm unsubscribing',
+          confirmationRequired: true
+        });
+      }
+
+      if (!unsubscribeSigner.verify(normalizedEmail, sig)) {
+        return next(new ForbiddenError('Invalid unsubscribe link'));
+      }
+
+      // Check if subscribed
+      const existingSubscription = await pool.query(
+        'SELECT id, status FROM newsletter_subscriptions WHERE email = $1',
+        [normalizedEmail]
+      );
+
+      if (existingSubscription.rows.length === 0) {
+        return next(new NotFoundError('Email not found in newsletter subscriptions'));
+      }
+
+      const subscription = existingSubscription.rows[0];
+
+      if (subscription.status === 'unsubscribed') {
+        return res.format({
+          json: () => res.json({
+            success: true,
+            message: 'Email is already unsubscribed',
+            alreadyUnsubscribed: true
+          }),
+          html: () => res.send(unsubscribedPage({ email: normalizedEmail }))
+        });
+      }
+
+      // Unsubscribe
+      await pool.query(
+        'UPDATE newsletter_subscriptions SET status = $1, unsubscribed_at = NOW(), verification_token = NULL, verification_expires_at = NULL, updated_at = NOW() WHERE email = $2',
+        ['unsubscribed', normalizedEmail]
+      );
+
+      newsletterUnsubscriptions.inc();
+      logger.info(`Newsletter unsubscription: ${normalizedEmail}${req.body['List-Unsubscribe'] === 'One-Click' ? ' (one-click)' : ''}`);
+
+      res.format({
+        json: () => res.json({
+          success: true,
+          message: 'Successfully unsubscribed from newsletter',
+          email: normalizedEmail
+        }),
+        html: () => res.send(unsubscribedPage({ email: normalizedEmail }))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get subscription status
+  router.get(api.paths('/newsletter/status'), validate(schemas.newsletter.status), async (req, res, next) => {
+    try {
+      const { email } = req.query;
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const result = await pool.query(
+        'SELECT email, status, subscribed_at, unsubscribed_at, bounce_count, verified FROM newsletter_subscriptions WHERE email = $1',
+        [normalizedEmail]
+      );
+
+      if (result.rows.length === 0) {
+        return res.json({
+          subscribed: false,
+          status: 'not_found',
+          message: 'Email not found in newsletter subscriptions'
+        });
+      }
+
+      const subscription = result.rows[0];
+      res.json({
+        subscribed: subscription.status === 'active' && subscription.verified,
+        status: subscription.status,
+        subscribedAt: subscription.subscribed_at,
+        unsubscribedAt: subscription.unsubscribed_at,
+        bounceCount: subscription.bounce_count,
+        verified: subscription.verified
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Newsletter campaign endpoints
+
+  // Resolve a campaign's subject and markdown from either a post slug or raw markdown;
+  // throws a NotFoundError or ValidationError when neither gives a usable campaign
+  const buildCampaignContent = async ({ subject, postSlug, markdown }) => {
+    if (postSlug) {
+      const postResult = await pool.query('SELECT slug, title, content FROM posts WHERE slug = $1', [postSlug]);
+      if (postResult.rows.length === 0) {
+        throw new NotFoundError('Post not found');
+      }
+      const post = postResult.rows[0];
+      const finalSubject = subject || post.title;
+      const finalMarkdown = `${post.content || ''}\n\n[Read it on the blog](${postUrl(post.slug)})`;
+      return { subject: finalSubject, markdown: finalMarkdown, postSlug: post.slug };
+    }
+
+    if (!markdown || typeof markdown !== 'string') {
+      throw new ValidationError('Either postSlug or markdown is required');
+    }
+    if (!subject) {
+      throw new ValidationError('Subject is required when composing from markdown');
+    }
+    return { subject, markdown, postSlug: null };
+  };
+
+  const getCampaignStats = async (campaignId) => {
+    const result = await pool.query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(CASE WHEN status = 'queued' THEN 1 END) AS queued,
+        COUNT(CASE WHEN status = 'sending' THEN 1 END) AS sending,
+        COUNT(CASE WHEN status = 'delivered' THEN 1 END) AS delivered,
+        COUNT(CASE WHEN status = 'failed' THEN 1 END) AS failed,
+        COUNT(CASE WHEN status = 'skipped' THEN 1 END) AS skipped,
+        COUNT(opened_at) AS opened
+      FROM newsletter_deliveries
+      WHERE campaign_id = $1
+    `, [campaignId]);
+
+    return Object.fromEntries(Object.entries(result.rows[0]).map(([key, value]) => [key, parseInt(value)]));
+  };
+
+  // List campaigns
+  router.get(api.paths('/admin/campaigns'), auth.requireRole('admin'), validate(schemas.campaigns.list), async (req, res, next) => {
+    try {
+      const result = await pool.query(`
+        SELECT
+          c.id, c.subject, c.post_slug, c.status, c.created_at, c.queued_at, c.completed_at,
+          COUNT(d.id) AS recipients,
+          COUNT(CASE WHEN d.status = 'delivered' THEN 1 END) AS delivered,
+          COUNT(CASE WHEN d.status = 'failed' THEN 1 END) AS failed,
+          COUNT(d.opened_at) AS opened
+        FROM newsletter_campaigns c
+        LEFT JOIN newsletter_deliveries d ON d.campaign_id = c.id
+        GROUP BY c.id
+        ORDER BY c.created_at DESC
+      `);
+      res.json({ campaigns: result.rows });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create a draft campaign from a post slug or from markdown
+  router.post(api.paths('/admin/campaigns'), auth.requireRole('admin'), validate(schemas.campaigns.create), async (req, res, next) => {
+    try {
+      const content = await buildCampaignContent(req.body);
+      if (content.subject.length > 255) {
+        return next(new ValidationError('Subject must be at most 255 characters'));
+      }
+
+      const { html, text } = renderCampaign(content);
+      const result = await pool.query(`
+        INSERT INTO newsletter_campaigns (subject, post_slug, markdown, html, text, status, created_by)
+        VALUES ($1, $2, $3, $4, $5, 'draft', $6)
+        RETURNING id, subject, post_slug, status, created_at
+      `, [content.subject, content.postSlug, content.markdown, html, text, req.admin.id]);
+
+      logger.info(`Newsletter campaign ${result.rows[0].id} drafted by ${req.admin.username}`);
+      res.status(201).json({ success: true, campaign: result.rows[0] });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get a campaign with its delivery stats
+  router.get(api.paths('/admin/campaigns/:id'), auth.requireRole('admin'), validate(schemas.campaigns.get), async (req, res, next) => {
+    try {
+      const campaignId = req.params.id;
+
+      const result = await pool.query(
+        'SELECT id, subject, post_slug, markdown, status, created_at, updated_at, queued_at, completed_at FROM newsletter_campaigns WHERE id = $1',
+        [campaignId]
+      );
+
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Campaign not found'));
+      }
+
+      res.json({ campaign: result.rows[0], stats: await getCampaignStats(campaignId) });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Edit a draft campaign
+  router.put(api.paths('/admin/campaigns/:id'), auth.requireRole('admin'), validate(schemas.campaigns.update), async (req, res, next) => {
+    try {
+      const campaignId = req.params.id;
+
+      const existing = await pool.query('SELECT subject, markdown, status FROM newsletter_campaigns WHERE id = $1', [campaignId]);
+      if (existing.rows.length === 0) {
+        return next(new NotFoundError('Campaign not found'));
+      }
+      if (existing.rows[0].status !== 'draft') {
+        return next(new ConflictError('Only draft campaigns can be edited'));
+      }
+
+      const content = await buildCampaignContent({
+        subject: req.body.subject || existing.rows[0].subject,
+        postSlug: req.body.postSlug,
+        markdown: req.body.markdown || existing.rows[0].markdown
+      });
+
+      const { html, text } = renderCampaign(content);
+      const result = await pool.query(`
+        UPDATE newsletter_campaigns
+        SET subject = $2, post_slug = COALESCE($3, post_slug), markdown = $4, html = $5, text = $6, updated_at = NOW()
+        WHERE id = $1 AND status = 'draft'
+        RETURNING id, subject, post_slug, status, updated_at
+      `, [campaignId, content.subject, content.postSlug, content.markdown, html, text]);
+
+      res.json({ success: true, campaign: result.rows[0] });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Preview the rendered email; ?format=html returns the HTML body itself
+  router.get(api.paths('/admin/campaigns/:id/preview'), auth.requireRole('admin'), validate(schemas.campaigns.preview), async (req, res, next) => {
+    try {
+      const campaignId = req.params.id;
+
+      const result = await pool.query('SELECT subject, html, text FROM newsletter_campaigns WHERE id = $1', [campaignId]);
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Campaign not found'));
+      }
+
+      const preview = personalize(result.rows[0], {
+        email: 'preview@example.com',
+        openToken: null,
+        unsubscribeUrl: '#unsubscribe'
+      });
+
+      if (req.query.format === 'html') {
+        return res.type('html').send(preview.html);
+      }
+      res.json({ subject: preview.subject, html: preview.html, text: preview.text });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send a test of the campaign to one address, outside the queue
+  router.post(api.paths('/admin/campaigns/:id/test'), auth.requireRole('admin'), validate(schemas.campaigns.test), async (req, res, next) => {
+    try {
+      const campaignId = req.params.id;
+      const { email } = req.body;
+
+      const result = await pool.query('SELECT subject, html, text FROM newsletter_campaigns WHERE id = $1', [campaignId]);
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Campaign not found'));
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+      const message = personalize(result.rows[0], {
+        email: normalizedEmail,
+        openToken: null,
+        unsubscribeUrl: unsubscribeSigner.unsubscribeUrl(normalizedEmail)
+      });
+      const { messageId } = await sendMail({ ...message, subject: `[TEST] ${message.subject}` });
+
+      logger.info(`Test of campaign ${campaignId} sent to ${normalizedEmail} by ${req.admin.username}`);
+      res.json({ success: true, messageId });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send a campaign: one queued delivery per active, verified subscriber
+  router.post(api.paths('/admin/campaigns/:id/send'), auth.requireRole('admin'), validate(schemas.campaigns.send), async (req, res, next) => {
+    const campaignId = req.params.id;
+
+    let dbClient;
+    try {
+      dbClient = await pool.connect();
+      await dbClient.query('BEGIN');
+
+      // Moving out of 'draft' in the same transaction makes a double send impossible
+      const campaign = await dbClient.query(`
+        UPDATE newsletter_campaigns
+        SET status = 'sending', queued_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'draft'
+        RETURNING id
+      `, [campaignId]);
+
+      if (campaign.rows.length === 0) {
+        await dbClient.query('ROLLBACK');
+        const exists = await pool.query('SELECT status FROM newsletter_campaigns WHERE id = $1', [campaignId]);
+        return next(exists.rows.length === 0
+          ? new NotFoundError('Campaign not found')
+          : new ConflictError(`Campaign is already ${exists.rows[0].status}`));
+      }
+
+      const deliveries = await dbClient.query(`
+        INSERT INTO newsletter_deliveries (campaign_id, subscription_id, email, status, open_token)
+        SELECT $1, id, email, 'queued', replace(gen_random_uuid()::text, '-', '')
+        FROM newsletter_subscriptions
+        WHERE status = 'active' AND verified = true
+        RETURNING id
+      `, [campaignId]);
+
+      if (deliveries.rows.length === 0) {
+        await dbClient.query("UPDATE newsletter_campaigns SET status = 'sent', completed_at = NOW() WHERE id = $1", [campaignId]);
+      }
+
+      await dbClient.query('COMMIT');
+
+      await deliveryQueue.enqueue(deliveries.rows.map(row => row.id));
+
+      logger.info(`Newsletter campaign ${campaignId} queued for ${deliveries.rows.length} recipients by ${req.admin.username}`);
+      res.status(202).json({ success: true, campaignId, recipients: deliveries.rows.length });
+
+    } catch (error) {
+      if (dbClient) {
+        await dbClient.query('ROLLBACK').catch(() => {});
+      }
+      next(error);
+    } finally {
+      if (dbClient) {
+        dbClient.release();
+      }
+    }
+  });
+
+  // Cancel a campaign that is still sending; deliveries not yet sent are skipped
+  router.post(api.paths('/admin/campaigns/:id/cancel'), auth.requireRole('admin'), validate(schemas.campaigns.cancel), async (req, res, next) => {
+    try {
+      const campaignId = req.params.id;
+
+      const result = await pool.query(`
+        UPDATE newsletter_campaigns
+        SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status IN ('draft', 'sending')
+        RETURNING id
+      `, [campaignId]);
+
+      if (result.rows.length === 0) {
+        return next(new ConflictError('Only draft or sending campaigns can be cancelled'));
+      }
+
+      await pool.query(
+        "UPDATE newsletter_deliveries SET status = 'skipped', updated_at = NOW() WHERE campaign_id = $1 AND status = 'queued'",
+        [campaignId]
+      );
+
+      logger.info(`Newsletter campaign ${campaignId} cancelled by ${req.admin.username}`);
+      res.json({ success: true, stats: await getCampaignStats(campaignId) });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Open-tracking pixel embedded in campaign emails
+  router.get(api.paths('/newsletter/open/:token.gif'), validate(schemas.newsletter.open), async (req, res) => {
+    try {
+      const result = await pool.query(`
+        UPDATE newsletter_deliveries
+        SET opened_at = COALESCE(opened_at, NOW()), open_count = open_count + 1
+        WHERE open_token = $1
+        RETURNING open_count
+      `, [req.params.token]);
+
+      if (result.rows.length > 0 && result.rows[0].open_count === 1) {
+        newsletterOpens.inc();
+      }
+    } catch (error) {
+      // Never break the image in the reader's mail client
+      logger.error('Error recording newsletter open', error);
+    }
+
+    res.set({
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+    });
+    res.end(TRACKING_PIXEL);
+  });
+
+  // Newsletter bounce and complaint webhooks
+
+  const bounceAdapters = {
+    generic: createGenericAdapter({ clock }),
+    ses: createSesAdapter({ logger })
+  };
+
+  // Store one bounce/complaint event and apply it to the subscription, in one transaction.
+  // Returns false if the provider already delivered this event.
+  const recordBounceEvent = async (provider, event) => {
+    const dbClient = await pool.connect();
+
+    try {
+      await dbClient.query('BEGIN');
+
+      const inserted = await dbClient.query(`
+        INSERT INTO newsletter_bounce_events (
+          subscription_id, email, provider, event_type, bounce_type,
+          provider_event_id, provider_message_id, reason, occurred_at
+        )
+        SELECT (SELECT id FROM newsletter_subscriptions WHERE email = $1), $1, $2, $3, $4, $5, $6, $7, $8
+        ON CONFLICT (provider, provider_event_id) DO NOTHING
+        RETURNING id
+      `, [
+        event.email, provider, event.type, event.bounceType,
+        event.providerEventId, event.providerMessageId, event.reason, event.occurredAt
+      ]);
+
+      if (inserted.rows.length === 0) {
+        await dbClient.query('ROLLBACK');
+        return false;
+      }
+
+      if (event.type === 'bounce') {
+        const isHard = event.bounceType === 'hard' ? 1 : 0;
+        const result = await dbClient.query(`
+          UPDATE newsletter_subscriptions
+          SET
+            bounce_count = COALESCE(bounce_count, 0) + 1,
+            hard_bounce_count = hard_bounce_count + $2,
+            last_bounce_at = GREATEST(COALESCE(last_bounce_at, $3), $3),
+            status = CASE WHEN hard_bounce_count + $2 >= $4 THEN 'bounced' ELSE status END,
+            updated_at = NOW()
+          WHERE email = $1
+          RETURNING status
+        `, [event.email, isHard, event.occurredAt, NEWSLETTER_HARD_BOUNCE_LIMIT]);
+
+        if (result.rows[0]?.status === 'bounced') {
+          logger.warn(`Newsletter address marked bounced: ${event.email}`);
+        }
+      } else {
+        // A spam complaint means the reader doesn't want the mail - stop sending immediately
+        const result = await dbClient.query(`
+          UPDATE newsletter_subscriptions
+          SET status = 'unsubscribed', unsubscribed_at = NOW(), updated_at = NOW()
+          WHERE email = $1 AND status = 'active'
+          RETURNING id
+        `, [event.email]);
+
+        if (result.rows.length > 0) {
+          newsletterUnsubscriptions.inc();
+          logger.warn(`Newsletter address unsubscribed after complaint: ${event.email}`);
+        }
+      }
+
+      await dbClient.query('COMMIT');
+      return true;
+    } catch (error) {
+      await dbClient.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      dbClient.release();
+    }
+  };
+
+  // Receive bounce/complaint notifications (SES via SNS posts text/plain JSON)
+  router.post(
+    api.paths('/newsletter/webhooks/:provider'),
+    express.text({ type: 'text/plain', limit: '1mb' }),
+    validate(schemas.newsletter.webhook),
+    async (req, res, next) => {
+      const { provider } = req.params;
+      const adapter = bounceAdapters[provider];
+
+      if (!adapter) {
+        return next(new NotFoundError(`Unknown webhook provider. Use: ${Object.keys(bounceAdapters).join(', ')}`));
+      }
+
+      try {
+        await adapter.verify(req);
+      } catch (error) {
+        if (error instanceof WebhookSignatureError || error instanceof SyntaxError) {
+          logger.warn(`Rejected ${provider} webhook: ${error.message}`);
+          return next(new AuthenticationError('Webhook verification failed'));
+        }
+        return next(error);
+      }
+
+      try {
+        const parsed = await adapter.parse(req.body, req);
+        if (parsed.handled) {
+          return res.json({ success: true });
+        }
+
+        let processed = 0;
+        let duplicates = 0;
+        const rejected = [];
+
+        for (const [index, event] of parsed.events.entries()) {
+          const validationError = validateBounceEvent(event);
+          if (validationError) {
+            rejected.push({ index, error: validationError });
+            continue;
+          }
+
+          if (await recordBounceEvent(provider, event)) {
+            processed++;
+            newsletterBounceEvents.inc({ provider, type: event.type, bounce_type: event.bounceType || 'none' });
+          } else {
+            duplicates++;
+          }
+        }
+
+        logger.info(`Processed ${provider} webhook: ${processed} events, ${duplicates} duplicates, ${rejected.length} rejected`);
+        res.json({ success: true, processed, duplicates, rejected });
+
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Bounce and complaint history for one address
+  router.get(api.paths('/admin/newsletter/subscribers/:email/events'), auth.requireRole('admin'), validate(schemas.newsletter.subscriberEvents), async (req, res, next) => {
+    try {
+      const normalizedEmail = req.params.email.toLowerCase();
+
+      const subscription = await pool.query(
+        'SELECT email, status, bounce_count, hard_bounce_count, last_bounce_at FROM newsletter_subscriptions WHERE email = $1',
+        [normalizedEmail]
+      );
+
+      const events = await pool.query(`
+        SELECT id, provider, event_type, bounce_type, provider_message_id, reason, occurred_at, created_at
+        FROM newsletter_bounce_events
+        WHERE email = $1
+        ORDER BY occurred_at DESC
+      `, [normalizedEmail]);
+
+      res.json({
+        subscription: subscription.rows[0] || null,
+        events: events.rows
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createNewsletterRouter
+};
@@ -0,0 +1,756 @@
+const express = require('express');
+const crypto = require('crypto');
+const schemas = require('../lib/schemas');
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors');
+const { reactionCounts } = require('../lib/reactions');
+const {
+  POST_STATUSES,
+  SLUG_PATTERN,
+  TAG_COUNTS_CACHE_KEY,
+  CATEGORY_COUNTS_CACHE_KEY,
+  FEED_VERSION_KEY,
+  slugify,
+  normalizeTerms,
+  diffLines
+} = require('../lib/posts');
+const { parseSearchQuery } = require('../lib/search');
+const { FEED_FORMATS, renderFeed } = require('../lib/feeds');
+const { renderUrlset, renderSitemapIndex, chunkUrls, renderRobots, buildPostMeta } = require('../lib/seo');
+const { BLOG_URL, postUrl, tagUrl } = require('../lib/site');
+
+/**
+ * Post routes: published posts, tags and categories, search, the RSS/Atom/JSON
+ * feeds, sitemap and robots.txt, and admin post management with revisions.
+ *
+ * Anything that changes a post calls invalidatePostCaches(), which drops the cached
+ * term counts, feeds and search results built from the published posts.
+ */
+
+// Tags and categories of post p, as JSON arrays of { slug, name }
+const POST_TERM_COLUMNS = `
+  COALESCE((
+    SELECT json_agg(json_build_object('slug', t.slug, 'name', t.name) ORDER BY t.name)
+    FROM post_tags pt JOIN tags t ON t.id = pt.tag_id
+    WHERE pt.post_id = p.id
+  ), '[]') AS tags,
+  COALESCE((
+    SELECT json_agg(json_build_object('slug', cat.slug, 'name', cat.name) ORDER BY cat.name)
+    FROM post_categories pc JOIN categories cat ON cat.id = pc.category_id
+    WHERE pc.post_id = p.id
+  ), '[]') AS categories`;
+
+const POST_SORTS = {
+  recent: 'COALESCE(p.published_at, p.created_at) DESC',
+  likes: 'p.like_count DESC, COALESCE(p.published_at, p.created_at) DESC',
+  comments: 'p.comment_count DESC, COALESCE(p.published_at, p.created_at) DESC'
+};
+
+// Replace the stored reaction_counts with a count for every configured reaction type
+const withReactionCounts = ({ reaction_counts: stored, ...post }) => ({ ...post, reactions: reactionCounts(stored) });
+
+// Feeds
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT || '20');
+const FEED_CACHE_TTL_SECONDS = parseInt(process.env.FEED_CACHE_TTL_SECONDS || '86400');
+
+const ADMIN_POST_COLUMNS = 'id, slug, title, content, status, publish_at, published_at, created_by, created_at, updated_at';
+
+// Validate post fields from a request body; `existing` is the current post when editing.
+// Returns { error } or { post } with the merged slug/title/content/status/publishAt.
+const validatePostInput = (body, existing = null, now = new Date()) => {
+  const title = body.title !== undefined ? body.title : existing?.title;
+  const content = body.content !== undefined ? body.content : existing?.content;
+  const status = body.status !== undefined ? body.status : (existing?.status || 'draft');
+
+  if (typeof title !== 'string' || title.trim().length === 0 || title.length > 300) {
+    return { error: 'Title is required and must be at most 300 characters' };
+  }
+  if (content !== null && content !== undefined && typeof content !== 'string') {
+    return { error: 'Content must be a string' };
+  }
+  if (!POST_STATUSES.includes(status)) {
+    return { error: `Invalid status. Use: ${POST_STATUSES.join(', ')}` };
+  }
+
+  let slug = existing?.slug;
+  if (body.slug !== undefined) {
+    slug = body.slug;
+  } else if (!existing) {
+    slug = slugify(title);
+  }
+  if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug) || slug.length > 200) {
+    return { error: 'Slug must be lowercase letters, numbers and single hyphens' };
+  }
+
+  let publishAt = null;
+  if (status === 'scheduled') {
+    const requested = body.publishAt !== undefined ? body.publishAt : existing?.publish_at;
+    publishAt = requested ? new Date(requested) : null;
+    if (!publishAt || Number.isNaN(publishAt.getTime())) {
+      return { error: 'publishAt is required for scheduled posts' };
+    }
+    if (publishAt <= now) {
+      return { error: 'publishAt must be in the future' };
+    }
+  }
+
+  // Tags and categories are only replaced when the request includes them
+  const terms = {};
+  for (const field of ['tags', 'categories']) {
+    if (body[field] === undefined) continue;
+    const { error, terms: normalized } = normalizeTerms(body[field], field);
+    if (error) {
+      return { error };
+    }
+    terms[field] = normalized;
+  }
+
+  return { post: { slug, title: title.trim(), content: content ?? null, status, publishAt, ...terms } };
+};
+
+const POST_TERM_TABLES = {
+  tags: { table: 'tags', joinTable: 'post_tags', column: 'tag_id' },
+  categories: { table: 'categories', joinTable: 'post_categories', column: 'category_id' }
+};
+
+// Replace a post's tags/categories (creating unknown ones) and return the post's current terms
+const savePostTerms = async (dbClient, postId, post) => {
+  for (const [field, { table, joinTable, column }] of Object.entries(POST_TERM_TABLES)) {
+    const terms = post[field];
+    if (!terms) continue;
+
+    await dbClient.query(`DELETE FROM ${joinTable} WHERE post_id = $1`, [postId]);
+    if (terms.length === 0) continue;
+
+    await dbClient.query(`
+      WITH upserted AS (
+        INSERT INTO ${table} (slug, name)
+        SELECT * FROM unnest($2::varchar[], $3::varchar[])
+        ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+        RETURNING id
+      )
+      INSERT INTO ${joinTable} (post_id, ${column})
+      SELECT $1, id FROM upserted
+    `, [postId, terms.map(term => term.slug), terms.map(term => term.name)]);
+  }
+
+  const result = await dbClient.query(`SELECT ${POST_TERM_COLUMNS} FROM posts p WHERE p.id = $1`, [postId]);
+  return result.rows[0];
+};
+
+// Snapshot a post into post_revisions; call inside the transaction that saved it
+const recordPostRevision = async (dbClient, post, editorId, note = null) => {
+  const result = await dbClient.query(`
+    INSERT INTO post_revisions (post_id, revision, slug, title, content, status, publish_at, edited_by, note)
+    SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3, $4, $5, $6, $7, $8
+    FROM post_revisions WHERE post_id = $1
+    RETURNING revision
+  `, [post.id, post.slug, post.title, post.content, post.status, post.publish_at, editorId, note]);
+  return result.rows[0].revision;
+};
+
+function createPostsRouter({ pool, redisClient, logger, clock, metrics, validate, api, auth, postSearch, invalidatePostCaches }) {
+  const router = express.Router();
+  const { searchQueries, searchZeroResults, feedRequests, postsPublished } = metrics;
+
+  // Published posts, optionally filtered by tag/category slug; shared by GET /api/posts and the feeds
+  const listPublishedPosts = async ({ tag, category, sort = 'recent', limit = 10, offset = 0 }) => {
+    const conditions = ["p.status = 'published'"];
+    const params = [];
+    if (tag) {
+      params.push(String(tag));
+      conditions.push(`EXISTS (SELECT 1 FROM post_tags pt JOIN tags t ON t.id = pt.tag_id WHERE pt.post_id = p.id AND t.slug = $${params.length})`);
+    }
+    if (category) {
+      params.push(String(category));
+      conditions.push(`EXISTS (SELECT 1 FROM post_categories pc JOIN categories cat ON cat.id = pc.category_id WHERE pc.post_id = p.id AND cat.slug = $${params.length})`);
+    }
+    const where = conditions.join(' AND ');
+
+    const result = await pool.query(`
+      SELECT 
+        p.id,
+        p.slug,
+        p.title,
+        p.content,
+        p.created_at,
+        p.published_at,
+        p.updated_at,
+        p.comment_count,
+        p.like_count,
+        p.reaction_counts,
+        ${POST_TERM_COLUMNS}
+      FROM posts p
+      WHERE ${where}
+      ORDER BY ${POST_SORTS[sort]}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) as count FROM posts p WHERE ${where}`, params);
+
+    return { posts: result.rows.map(withReactionCounts), total: parseInt(countResult.rows[0].count) };
+  };
+
+  // Get all posts
+  // Filter with ?tag=<slug> and ?category=<slug>; order with ?sort=recent|likes|comments
+  router.get(api.paths('/posts'), validate(schemas.posts.list), async (req, res, next) => {
+    try {
+      const { page: pageNum, limit: limitNum, tag, category, sort } = req.query;
+      const offsetNum = (pageNum - 1) * limitNum;
+
+      const { posts, total } = await listPublishedPosts({ tag, category, sort, limit: limitNum, offset: offsetNum });
+
+      res.json({
+        posts,
+        filters: { tag: tag || null, category: category || null, sort },
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // A published post with its terms and counts, or null
+  const getPublishedPost = async (slug) => {
+    const result = await pool.query(`
+      SELECT 
+        p.id,
+        p.slug,
+        p.title,
+        p.content,
+        p.created_at,
+        p.published_at,
+        p.updated_at,
+        p.comment_count,
+        p.like_count,
+        p.reaction_counts,
+        ${POST_TERM_COLUMNS}
+      FROM posts p
+      WHERE p.slug = $1 AND p.status = 'published'
+    `, [slug]);
+
+    return result.rows.length > 0 ? withReactionCounts(result.rows[0]) : null;
+  };
+
+  // Get single post
+  router.get(api.paths('/posts/:slug'), validate(schemas.posts.get), async (req, res, next) => {
+    try {
+      const post = await getPublishedPost(req.params.slug);
+
+      if (!post) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      res.json({ post });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // OpenGraph, Twitter card and JSON-LD BlogPosting data for link previews
+  router.get(api.paths('/posts/:slug/meta'), validate(schemas.posts.meta), async (req, res, next) => {
+    try {
+      const post = await getPublishedPost(req.params.slug);
+
+      if (!post) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json({ meta: buildPostMeta(post) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Published post counts per tag or category, cached until a post changes
+  const getTermCounts = async ({ table, joinTable, column, cacheKey }) => {
+    const cached = await redisClient.get(cacheKey);
+    if (cached) {
+      return { terms: JSON.parse(cached), cached: true };
+    }
+
+    const result = await pool.query(`
+      SELECT term.slug, term.name, COUNT(p.id)::int AS post_count
+      FROM ${table} term
+      JOIN ${joinTable} j ON j.${column} = term.id
+      JOIN posts p ON p.id = j.post_id AND p.status = 'published'
+      GROUP BY term.id, term.slug, term.name
+      ORDER BY post_count DESC, term.name
+    `);
+
+    await redisClient.setEx(cacheKey, 300, JSON.stringify(result.rows));
+    return { terms: result.rows, cached: false };
+  };
+
+  // Tags with their published post counts
+  router.get(api.paths('/tags'), validate(schemas.posts.tags), async (req, res, next) => {
+    try {
+      const { terms, cached } = await getTermCounts({
+        table: 'tags', joinTable: 'post_tags', column: 'tag_id', cacheKey: TAG_COUNTS_CACHE_KEY
+      });
+      res.json({ tags: terms, cached });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Categories with their published post counts
+  router.get(api.paths('/categories'), validate(schemas.posts.categories), async (req, res, next) => {
+    try {
+      const { terms, cached } = await getTermCounts({
+        table: 'categories', joinTable: 'post_categories', column: 'category_id', cacheKey: CATEGORY_COUNTS_CACHE_KEY
+      });
+      res.json({ categories: terms, cached });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Search published posts, plus approved comments with ?scope=all
+  // Supports "exact phrases", prefix* matches, OR and -exclusions
+  router.get(api.paths('/search'), validate(schemas.posts.search), async (req, res, next) => {
+    try {
+      const { q, scope, page: pageNum, limit: limitNum } = req.query;
+
+      // e.g. only punctuation, which leaves nothing to search for
+      const tsQuery = parseSearchQuery(q);
+      if (!tsQuery) {
+        return next(new ValidationError('Search query (q) is required'));
+      }
+
+      const { results, total, cached } = await postSearch.search(tsQuery, { scope, page: pageNum, limit: limitNum });
+
+      searchQueries.inc({ scope, cached: String(cached) });
+      if (total === 0) {
+        searchZeroResults.inc({ scope });
+        logger.info(`Search with no results: "${q.slice(0, 100)}"`);
+      }
+
+      res.json({
+        query: q,
+        scope,
+        results,
+        cached,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rendered feed with its validators, cached until invalidatePostCaches() bumps the version; null for an unknown tag
+  const getFeed = async (format, tagSlug) => {
+    let key = null;
+    try {
+      const version = (await redisClient.get(FEED_VERSION_KEY)) || '0';
+      key = `feeds:v${version}:${format}:${tagSlug ? `tag:${tagSlug}` : 'all'}`;
+      const cached = await redisClient.get(key);
+      if (cached) {
+        return { ...JSON.parse(cached), cached: true };
+      }
+    } catch (error) {
+      logger.error('Error reading feed cache', error);
+    }
+
+    let tag = null;
+    if (tagSlug) {
+      const tagResult = await pool.query('SELECT slug, name FROM tags WHERE slug = $1', [tagSlug]);
+      if (tagResult.rows.length === 0) {
+        return null;
+      }
+      tag = tagResult.rows[0];
+    }
+
+    const { posts } = await listPublishedPosts({ tag: tag && tag.slug, limit: FEED_ITEM_LIMIT });
+    const { body, updated } = renderFeed(format, { posts, tag });
+    const feed = {
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: updated ? updated.toUTCString() : null
+    };
+
+    if (key) {
+      await redisClient.setEx(key, FEED_CACHE_TTL_SECONDS, JSON.stringify(feed))
+        .catch(error => logger.error('Error writing feed cache', error));
+    }
+    return { ...feed, cached: false };
+  };
+
+  // Answers If-None-Match / If-Modified-Since with 304 through req.fresh
+  const sendFeed = (format) => async (req, res, next) => {
+    try {
+      const feed = await getFeed(format, req.params.tag);
+      if (!feed) {
+        return next(new NotFoundError('Tag not found'));
+      }
+
+      feedRequests.inc({ format, cached: String(feed.cached) });
+      res.set({ 'Cache-Control': 'public, max-age=300', ETag: feed.etag });
+      if (feed.lastModified) {
+        res.set('Last-Modified', feed.lastModified);
+      }
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.type(FEED_FORMATS[format].contentType).send(feed.body);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // RSS 2.0 (/feed.xml), Atom (/atom.xml) and JSON Feed (/feed.json) of the latest posts,
+  // site-wide or for one tag under /tags/:tag/. Feeds stay at the site root, outside /api/v1;
+  // the old /api/... copies are deprecated aliases
+  for (const [format, { file }] of Object.entries(FEED_FORMATS)) {
+    router.get([
+      `/${file}`,
+      `/tags/:tag/${file}`,
+      ...api.aliases(`/${file}`, `/api/${file}`),
+      ...api.aliases(`/tags/:tag/${file}`, `/api/tags/:tag/${file}`)
+    ], validate(schemas.feeds.feed), sendFeed(format));
+  }
+
+  // Sitemap and robots.txt
+
+  // Home page, tag pages and published posts, each with its last change
+  const listSitemapUrls = async () => {
+    const [posts, tags] = await Promise.all([
+      pool.query(`
+        SELECT slug, COALESCE(updated_at, published_at, created_at) AS lastmod
+        FROM posts
+        WHERE status = 'published'
+        ORDER BY COALESCE(published_at, created_at) DESC, id DESC
+      `),
+      pool.query(`
+        SELECT t.slug, MAX(COALESCE(p.updated_at, p.published_at, p.created_at)) AS lastmod
+        FROM tags t
+        JOIN post_tags pt ON pt.tag_id = t.id
+        JOIN posts p ON p.id = pt.post_id AND p.status = 'published'
+        GROUP BY t.id, t.slug
+        ORDER BY t.slug
+      `)
+    ]);
+
+    const latest = posts.rows.reduce((max, row) => (!max || row.lastmod > max ? row.lastmod : max), null);
+    return [
+      { loc: `${BLOG_URL}/`, lastmod: latest },
+      ...posts.rows.map(row => ({ loc: postUrl(row.slug), lastmod: row.lastmod })),
+      ...tags.rows.map(row => ({ loc: tagUrl(row.slug), lastmod: row.lastmod }))
+    ];
+  };
+
+  // Sitemap; becomes a sitemap index of /sitemap-N.xml files past SITEMAP_URL_LIMIT URLs.
+  // Like the feeds, sitemaps live at the site root; /api/sitemap*.xml are deprecated aliases
+  router.get(['/sitemap.xml', ...api.aliases('/sitemap.xml', '/api/sitemap.xml')], validate(schemas.feeds.sitemap), async (req, res, next) => {
+    try {
+      const chunks = chunkUrls(await listSitemapUrls());
+
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.type('application/xml; charset=utf-8');
+      res.send(chunks.length > 1 ? renderSitemapIndex(chunks) : renderUrlset(chunks[0] || []));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // One page of a split sitemap
+  router.get(['/sitemap-:page.xml', ...api.aliases('/sitemap-:page.xml', '/api/sitemap-:page.xml')], validate(schemas.feeds.sitemapPage), async (req, res, next) => {
+    try {
+      const { page } = req.params;
+      const chunks = chunkUrls(await listSitemapUrls());
+
+      if (page > chunks.length) {
+        return next(new NotFoundError('Sitemap not found'));
+      }
+
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.type('application/xml; charset=utf-8');
+      res.send(renderUrlset(chunks[page - 1]));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Crawler rules; paths to disallow come from ROBOTS_DISALLOW
+  router.get('/robots.txt', validate(schemas.feeds.robots), (req, res) => {
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('text/plain; charset=utf-8');
+    res.send(renderRobots());
+  });
+
+  // Post management endpoints
+
+  // List posts in any state
+  router.get(api.paths('/admin/posts'), auth.requireRole('admin'), validate(schemas.adminPosts.list), async (req, res, next) => {
+    try {
+      const { status, page: pageNum, limit: limitNum } = req.query;
+
+      const filter = status ? 'WHERE status = $3' : '';
+      const params = status ? [limitNum, (pageNum - 1) * limitNum, status] : [limitNum, (pageNum - 1) * limitNum];
+
+      const result = await pool.query(`
+        SELECT id, slug, title, status, publish_at, published_at, created_at, updated_at
+        FROM posts
+        ${filter}
+        ORDER BY updated_at DESC
+        LIMIT $1 OFFSET $2
+      `, params);
+
+      const countResult = await pool.query(
+        `SELECT COUNT(*) as count FROM posts ${status ? 'WHERE status = $1' : ''}`,
+        status ? [status] : []
+      );
+      const total = parseInt(countResult.rows[0].count);
+
+      res.json({
+        posts: result.rows,
+        pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get one post in any state
+  router.get(api.paths('/admin/posts/:id'), auth.requireRole('admin'), validate(schemas.adminPosts.get), async (req, res, next) => {
+    try {
+      const postId = req.params.id;
+
+      const result = await pool.query(`SELECT ${ADMIN_POST_COLUMNS}, ${POST_TERM_COLUMNS} FROM posts p WHERE p.id = $1`, [postId]);
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      res.json({ post: result.rows[0] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create a post (draft by default)
+  router.post(api.paths('/admin/posts'), auth.requireRole('admin'), validate(schemas.adminPosts.create), async (req, res, next) => {
+    let dbClient;
+    try {
+      const { error, post } = validatePostInput(req.body, null, new Date(clock()));
+      if (error) {
+        return next(new ValidationError(error));
+      }
+
+      dbClient = await pool.connect();
+      await dbClient.query('BEGIN');
+
+      const result = await dbClient.query(`
+        INSERT INTO posts (slug, title, content, status, publish_at, published_at, created_by)
+        VALUES ($1, $2, $3, $4, $5, CASE WHEN $4::varchar = 'published' THEN NOW() END, $6)
+        RETURNING ${ADMIN_POST_COLUMNS}
+      `, [post.slug, post.title, post.content, post.status, post.publishAt, req.admin.id]);
+
+      const created = { ...result.rows[0], ...await savePostTerms(dbClient, result.rows[0].id, post) };
+      const revision = await recordPostRevision(dbClient, created, req.admin.id, 'Created');
+      await dbClient.query('COMMIT');
+      await invalidatePostCaches();
+
+      if (created.status === 'published') {
+        postsPublished.inc({ trigger: 'manual' });
+      }
+      logger.info(`Post ${created.slug} created as ${created.status} by ${req.admin.username}`);
+      res.status(201).json({ success: true, post: created, revision });
+
+    } catch (error) {
+      if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+      if (error.code === '23505') {
+        return next(new ConflictError('A post with this slug already exists'));
+      }
+      next(error);
+    } finally {
+      if (dbClient) dbClient.release();
+    }
+  });
+
+  // Edit a post; any field can change, including status (publish, schedule, unpublish)
+  router.put(api.paths('/admin/posts/:id'), auth.requireRole('admin'), validate(schemas.adminPosts.update), async (req, res, next) => {
+    let dbClient;
+    try {
+      const postId = req.params.id;
+
+      dbClient = await pool.connect();
+      await dbClient.query('BEGIN');
+
+      const existing = await dbClient.query(`SELECT ${ADMIN_POST_COLUMNS} FROM posts WHERE id = $1 FOR UPDATE`, [postId]);
+      if (existing.rows.length === 0) {
+        await dbClient.query('ROLLBACK');
+        return next(new NotFoundError('Post not found'));
+      }
+
+      const { error, post } = validatePostInput(req.body, existing.rows[0], new Date(clock()));
+      if (error) {
+        await dbClient.query('ROLLBACK');
+        return next(new ValidationError(error));
+      }
+
+      // published_at records the first time a post went live and is kept through later edits
+      const result = await dbClient.query(`
+        UPDATE posts
+        SET slug = $2, title = $3, content = $4, status = $5, publish_at = $6,
+          published_at = CASE WHEN $5::varchar = 'published' THEN COALESCE(published_at, NOW()) ELSE published_at END,
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${ADMIN_POST_COLUMNS}
+      `, [postId, post.slug, post.title, post.content, post.status, post.publishAt]);
+
+      const updated = { ...result.rows[0], ...await savePostTerms(dbClient, postId, post) };
+      const revision = await recordPostRevision(dbClient, updated, req.admin.id, req.body.note || null);
+      await dbClient.query('COMMIT');
+      await invalidatePostCaches();
+
+      if (updated.status === 'published' && existing.rows[0].status !== 'published') {
+        postsPublished.inc({ trigger: 'manual' });
+      }
+      logger.info(`Post ${updated.slug} updated (revision ${revision}) by ${req.admin.username}`);
+      res.json({ success: true, post: updated, revision });
+
+    } catch (error) {
+      if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+      if (error.code === '23505') {
+        return next(new ConflictError('A post with this slug already exists'));
+      }
+      next(error);
+    } finally {
+      if (dbClient) dbClient.release();
+    }
+  });
+
+  // Delete a post along with its comments, likes and revisions
+  router.delete(api.paths('/admin/posts/:id'), auth.requireRole('admin'), validate(schemas.adminPosts.remove), async (req, res, next) => {
+    try {
+      const postId = req.params.id;
+
+      const result = await pool.query('DELETE FROM posts WHERE id = $1 RETURNING id, slug', [postId]);
+      if (result.rows.length === 0) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      await invalidatePostCaches();
+      logger.info(`Post ${result.rows[0].slug} deleted by ${req.admin.username}`);
+      res.json({ success: true, post: result.rows[0] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List a post's revisions, newest first
+  router.get(api.paths('/admin/posts/:id/revisions'), auth.requireRole('admin'), validate(schemas.adminPosts.revisions), async (req, res, next) => {
+    try {
+      const postId = req.params.id;
+
+      const result = await pool.query(`
+        SELECT r.revision, r.slug, r.title, r.status, r.publish_at, r.note, r.created_at,
+          a.username AS edited_by
+        FROM post_revisions r
+        LEFT JOIN admin_users a ON a.id = r.edited_by
+        WHERE r.post_id = $1
+        ORDER BY r.revision DESC
+      `, [postId]);
+
+      res.json({ postId, revisions: result.rows });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get one revision, with a diff against the previous revision (or ?against=<revision>)
+  router.get(api.paths('/admin/posts/:id/revisions/:revision'), auth.requireRole('admin'), validate(schemas.adminPosts.revision), async (req, res, next) => {
+    try {
+      const { id: postId, revision: revisionNum } = req.params;
+      const againstNum = req.query.against !== undefined ? req.query.against : revisionNum - 1;
+
+      const result = await pool.query(
+        'SELECT revision, slug, title, content, status, publish_at, note, created_at FROM post_revisions WHERE post_id = $1 AND revision = ANY($2)',
+        [postId, [revisionNum, againstNum]]
+      );
+
+      const revision = result.rows.find(row => row.revision === revisionNum);
+      if (!revision) {
+        return next(new NotFoundError('Revision not found'));
+      }
+      // Diffing the first revision against "revision 0" shows the whole post as added
+      const base = result.rows.find(row => row.revision === againstNum) || null;
+      if (!base && req.query.against !== undefined) {
+        return next(new NotFoundError('Revision to compare against not found'));
+      }
+
+      res.json({
+        revision,
+        diff: {
+          against: base ? base.revision : null,
+          slug: base && base.slug !== revision.slug ? { before: base.slug, after: revision.slug } : null,
+          title: !base || base.title !== revision.title ? { before: base?.title ?? null, after: revision.title } : null,
+          content: diffLines(base?.content ?? '', revision.content ?? '')
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Restore a revision's slug, title and content as a new revision (status is left as is)
+  router.post(api.paths('/admin/posts/:id/revisions/:revision/restore'), auth.requireRole('admin'), validate(schemas.adminPosts.restore), async (req, res, next) => {
+    let dbClient;
+    try {
+      const { id: postId, revision: revisionNum } = req.params;
+
+      dbClient = await pool.connect();
+      await dbClient.query('BEGIN');
+
+      const existing = await dbClient.query('SELECT id FROM posts WHERE id = $1 FOR UPDATE', [postId]);
+      const source = await dbClient.query(
+        'SELECT slug, title, content FROM post_revisions WHERE post_id = $1 AND revision = $2',
+        [postId, revisionNum]
+      );
+      if (existing.rows.length === 0 || source.rows.length === 0) {
+        await dbClient.query('ROLLBACK');
+        return next(new NotFoundError('Revision not found'));
+      }
+
+      const result = await dbClient.query(`
+        UPDATE posts SET slug = $2, title = $3, content = $4, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${ADMIN_POST_COLUMNS}
+      `, [postId, source.rows[0].slug, source.rows[0].title, source.rows[0].content]);
+
+      const restored = result.rows[0];
+      const revision = await recordPostRevision(dbClient, restored, req.admin.id, `Restored revision ${revisionNum}`);
+      await dbClient.query('COMMIT');
+      await invalidatePostCaches();
+
+      logger.info(`Post ${restored.slug} restored to revision ${revisionNum} by ${req.admin.username}`);
+      res.json({ success: true, post: restored, revision });
+
+    } catch (error) {
+      if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+      if (error.code === '23505') {
+        return next(new ConflictError('Another post now uses this revision\'s slug'));
+      }
+      next(error);
+    } finally {
+      if (dbClient) dbClient.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createPostsRouter
+};
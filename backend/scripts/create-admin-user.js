@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Create (or reset the password of) an admin user.
+//
+// Usage:
+//   ADMIN_PASSWORD='...' npm run create-admin -- <username> [admin|moderator]
+//
+// The password is read from ADMIN_PASSWORD so it never shows up in shell history
+// or the process list.
+require('dotenv').config();
+const { Pool } = require('pg');
+const { ROLES, hashPassword } = require('../lib/auth');
+
+const main = async () => {
+  const [username, role = 'admin'] = process.argv.slice(2);
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!username) {
+    console.error('Usage: ADMIN_PASSWORD=... npm run create-admin -- <username> [admin|moderator]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Invalid role "${role}". Use: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!password || password.length < 12) {
+    console.error('ADMIN_PASSWORD must be set and at least 12 characters');
+    process.exit(1);
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: false });
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO admin_users (username, password_hash, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (username) DO UPDATE
+        SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role, active = true, updated_at = NOW()
+      RETURNING id, username, role
+    `, [username.toLowerCase().trim(), await hashPassword(password), role]);
+
+    const user = result.rows[0];
+    console.log(`Admin user ${user.username} (id ${user.id}) saved with role ${user.role}`);
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('Failed to create admin user:', error.message);
+  process.exit(1);
+});
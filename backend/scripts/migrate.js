@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Apply or revert schema migrations from backend/migrations.
+//
+// Usage:
+//   npm run migrate                   apply all pending migrations
+//   npm run migrate -- up [version]   apply pending migrations up to a version
+//   npm run migrate -- down [steps]   revert the latest migration(s), default 1
+//   npm run migrate -- down --to N    revert everything above version N
+//   npm run migrate -- status         list applied and pending migrations
+require('dotenv').config();
+const { Pool } = require('pg');
+const winston = require('winston');
+const { createMigrator } = require('../lib/migrations');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const usage = () => {
+  console.error('Usage: npm run migrate -- [up [version] | down [steps] | down --to <version> | status]');
+  process.exit(1);
+};
+
+const parseNumber = (value) => {
+  const number = parseInt(value);
+  if (!Number.isInteger(number) || number < 0) usage();
+  return number;
+};
+
+const main = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: false });
+  const migrator = createMigrator({ pool, logger });
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.up(args[0] !== undefined ? { to: parseNumber(args[0]) } : {});
+        console.log(`Applied ${applied.length} migration(s)`);
+        break;
+      }
+      case 'down': {
+        const options = args[0] === '--to'
+          ? { to: parseNumber(args[1]) }
+          : { steps: args[0] !== undefined ? parseNumber(args[0]) : 1 };
+        const reverted = await migrator.down(options);
+        console.log(`Reverted ${reverted.length} migration(s)`);
+        break;
+      }
+      case 'status': {
+        const { current, latest, applied, pending } = await migrator.status();
+        console.log(`Schema version ${current} (latest available ${latest})`);
+        applied.forEach(row => console.log(`  [x] ${row.version}_${row.name}  ${row.applied_at.toISOString()}`));
+        pending.forEach(row => console.log(`  [ ] ${row.version}_${row.name}`));
+        break;
+      }
+      default:
+        usage();
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { createTestContext } = require('./helpers/app');
+
+const NOW = Date.parse('2030-01-01T00:00:00Z');
+
+describe('analytics routes', () => {
+  let ctx;
+  let moderator;
+
+  const uuid = crypto.randomUUID();
+  const sessionId = crypto.randomUUID();
+
+  const event = (fields = {}) => ({ uuid, session_id: sessionId, event_type: 'pageview', page_url: '/posts/hello', ...fields });
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ clock: () => NOW });
+    moderator = await ctx.login('moderator');
+  });
+
+  afterAll(() => ctx.close());
+
+  describe('summary', () => {
+    it('counts likes and approved comments', async () => {
+      const post = await ctx.createPost();
+      await ctx.request().post(`/api/v1/posts/${post.id}/like`).send({ clientId: uuid });
+
+      const res = await ctx.request().get('/api/v1/analytics?period=30d');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ totalLikes: 1, totalComments: 0, period: '30d' });
+      expect(res.body.likesByDay).toHaveLength(1);
+    });
+
+    it('defaults to the last week', async () => {
+      const res = await ctx.request().get('/analytics');
+
+      expect(res.body.period).toBe('7d');
+    });
+
+    it('rejects an unknown period', async () => {
+      const res = await ctx.request().get('/api/v1/analytics?period=1y');
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('query.period');
+    });
+  });
+
+  describe('tracking', () => {
+    it('records a single event', async () => {
+      const res = await ctx.request().post('/api/v1/analytics/track').send(event());
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, eventId: expect.anything() });
+    });
+
+    it('accepts the pageview BlogAnalytics sends, alone or batched', async () => {
+      // As built by trackPageView() in archive/docs/analytics/blog-analytics.js
+      const pageview = event({
+        page_url: 'https://blog.sudharsana.dev/posts/hello',
+        page_title: 'Hello',
+        viewport_width: 1280,
+        viewport_height: 800,
+        referrer: 'https://news.ycombinator.com/',
+        metadata: { user_agent: 'Mozilla/5.0', language: 'en-GB', timezone: 'Europe/London' }
+      });
+
+      const single = await ctx.request().post('/api/v1/analytics/track').send(pageview);
+      const batch = await ctx.request().post('/api/v1/analytics/track').send({ events: [{ ...pageview, referrer: '' }] });
+
+      expect(single.status).toBe(200);
+      expect(batch.status).toBe(200);
+      expect(batch.body.rejected).toEqual([]);
+      const stored = await ctx.pool.query('SELECT referrer FROM analytics_events WHERE id = $1', [single.body.eventId]);
+      expect(stored.rows[0].referrer).toBe('https://news.ycombinator.com/');
+    });
+
+    it('records the valid events of a batch and reports the rest', async () => {
+      const res = await ctx.request().post('/analytics/track').send({
+        events: [
+          event({ event_type: 'click', element_type: 'button', element_id: 'subscribe' }),
+          event({ event_type: 'teleport' }),
+          event({ page_url: '/about' })
+        ]
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.accepted.map(accepted => accepted.index)).toEqual([0, 2]);
+      expect(res.body.rejected).toEqual([{ index: 1, error: expect.stringContaining('event_type') }]);
+      // Both events share a uuid; each accepted entry still names its own row
+      const stored = await ctx.pool.query('SELECT id, event_type FROM analytics_events WHERE id = ANY($1::int[])', [res.body.accepted.map(accepted => accepted.eventId)]);
+      const storedTypes = Object.fromEntries(stored.rows.map(row => [row.id, row.event_type]));
+      expect(res.body.accepted.map(accepted => storedTypes[accepted.eventId])).toEqual(['click', 'pageview']);
+    });
+
+    it('rejects a batch with no valid events', async () => {
+      const res = await ctx.request().post('/api/v1/analytics/track').send({ events: [{ event_type: 'pageview' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Every event in the batch was rejected');
+      expect(res.body.details).toEqual(expect.arrayContaining([
+        { code: 'any.required', path: 'body.events.0.uuid', message: 'uuid is required' },
+        { code: 'any.required', path: 'body.events.0.session_id', message: 'session_id is required' }
+      ]));
+    });
+
+    it('rejects an invalid single event or an empty batch', async () => {
+      const single = await ctx.request().post('/api/v1/analytics/track').send(event({ session_id: 'nope' }));
+      const empty = await ctx.request().post('/api/v1/analytics/track').send({ events: [] });
+
+      expect(single.status).toBe(400);
+      expect(single.body.details[0].path).toBe('body.session_id');
+      expect(empty.status).toBe(400);
+    });
+  });
+
+  describe('sessions', () => {
+    it('starts a session and touches it when started again', async () => {
+      const body = { session_id: sessionId, uuid, entry_page: '/', device_type: 'mobile', browser: 'Firefox' };
+
+      const first = await ctx.request().post('/api/v1/analytics/session').send(body);
+      const second = await ctx.request().post('/analytics/session').send(body);
+      const sessions = await ctx.pool.query('SELECT * FROM user_sessions WHERE session_id = $1', [sessionId]);
+
+      expect(first.body).toEqual({ success: true });
+      expect(second.body).toEqual({ success: true });
+      expect(sessions.rows).toHaveLength(1);
+    });
+
+    it('ends a session and marks short single-page visits as bounces', async () => {
+      const res = await ctx.request()
+        .post('/api/v1/analytics/session/end')
+        .send({ session_id: sessionId, exit_page: '/', total_time: 5, page_views: 1, clicks: 0, scroll_depth: 10 });
+      const session = await ctx.pool.query('SELECT is_bounce, exit_page FROM user_sessions WHERE session_id = $1', [sessionId]);
+
+      expect(res.body).toEqual({ success: true });
+      expect(session.rows[0]).toEqual({ is_bounce: true, exit_page: '/' });
+    });
+
+    it('requires a session ID', async () => {
+      const start = await ctx.request().post('/api/v1/analytics/session').send({ uuid });
+      const end = await ctx.request().post('/api/v1/analytics/session/end').send({});
+
+      expect(start.status).toBe(400);
+      expect(end.status).toBe(400);
+      expect(end.body.details[0].path).toBe('body.session_id');
+    });
+  });
+
+  describe('dashboard', () => {
+    it('summarises views, clicks and sessions for moderators', async () => {
+      const res = await ctx.request().get('/api/v1/analytics/dashboard?days=30').set('Authorization', `Bearer ${moderator.accessToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.period).toBe('30 days');
+      expect(res.body.pageViews).toHaveLength(3);
+      expect(res.body.pageViews).toEqual(expect.arrayContaining([
+        { page_url: 'https://blog.sudharsana.dev/posts/hello', views: '2' },
+        { page_url: '/posts/hello', views: '1' },
+        { page_url: '/about', views: '1' }
+      ]));
+      expect(res.body.topClicks).toEqual([{ element_type: 'button', element_id: 'subscribe', clicks: '1' }]);
+      expect(res.body.sessionStats).toMatchObject({ total_sessions: '1', mobile_sessions: '1' });
+    });
+
+    it('requires a token and a sensible range', async () => {
+      const anonymous = await ctx.request().get('/analytics/dashboard');
+      const range = await ctx.request().get('/api/v1/analytics/dashboard?days=1000').set('Authorization', `Bearer ${moderator.accessToken}`);
+
+      expect(anonymous.status).toBe(401);
+      expect(range.status).toBe(400);
+    });
+  });
+
+  describe('prometheus forwarding', () => {
+    it('accepts metrics even when the Pushgateway is unreachable, and keeps a copy', async () => {
+      const res = await ctx.request().post('/api/v1/analytics/prometheus').send({
+        metrics: [{ name: 'web_vitals_lcp', value: 1200, type: 'gauge', labels: { page: '/' } }]
+      });
+      const stored = await ctx.pool.query("SELECT COUNT(*) AS count FROM analytics_events WHERE event_type = 'prometheus_metric'");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Processed 1 metrics',
+        prometheusStatus: 'forwarded',
+        timestamp: new Date(NOW).toISOString()
+      });
+      expect(stored.rows[0].count).toBe('1');
+    });
+
+    it('rejects invalid metric names', async () => {
+      const res = await ctx.request().post('/analytics/prometheus').send({ metrics: [{ name: 'bad name', value: 1 }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('body.metrics.0.name');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { createTestContext } = require('./helpers/app');
+
+describe('API versioning', () => {
+  describe('with the legacy aliases', () => {
+    let ctx;
+    let post;
+
+    beforeAll(async () => {
+      ctx = await createTestContext({
+        env: { API_LEGACY_DEPRECATED_AT: '2026-10-01', API_LEGACY_SUNSET_AT: '2027-04-01' }
+      });
+      post = await ctx.createPost({ slug: 'versioned-post' });
+    });
+
+    afterAll(() => ctx.close());
+
+    it('serves /api/v1 without deprecation headers', async () => {
+      const res = await ctx.request().get('/api/v1/posts');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.deprecation).toBeUndefined();
+      expect(res.headers.sunset).toBeUndefined();
+    });
+
+    it('marks the unversioned /api paths deprecated and points at their successor', async () => {
+      const res = await ctx.request().get('/api/posts');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.deprecation).toBe(`@${Date.parse('2026-10-01') / 1000}`);
+      expect(res.headers.sunset).toBe('Thu, 01 Apr 2027 00:00:00 GMT');
+      expect(res.headers.link).toBe('</api/v1/posts>; rel="successor-version"');
+    });
+
+    it('fills the successor link in from the matched path', async () => {
+      const res = await ctx.request().get(`/posts/${post.id}/likes`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers.link).toBe(`</api/v1/posts/${post.id}/likes>; rel="successor-version"`);
+    });
+
+    it('answers legacy paths exactly as their /api/v1 route does', async () => {
+      const legacy = await ctx.request().get('/posts/versioned-post');
+      const current = await ctx.request().get('/api/v1/posts/versioned-post');
+
+      expect(legacy.body).toEqual(current.body);
+    });
+
+    it('keeps the probe, feed and sitemap paths at the root', async () => {
+      const paths = ['/health', '/ready', '/feed.xml', '/tags/news/atom.xml', '/sitemap.xml', '/robots.txt'];
+
+      for (const path of paths) {
+        const res = await ctx.request().get(path);
+        expect(res.headers.deprecation).toBeUndefined();
+      }
+    });
+
+    it('deprecates the /api copies of root paths in favour of the root', async () => {
+      const health = await ctx.request().get('/api/health');
+      const feed = await ctx.request().get('/api/tags/news/feed.json');
+      const sitemap = await ctx.request().get('/api/sitemap.xml');
+
+      expect(health.headers.link).toBe('</api/v1/health>; rel="successor-version"');
+      expect(feed.headers.link).toBe('</tags/news/feed.json>; rel="successor-version"');
+      expect(sitemap.headers.link).toBe('</sitemap.xml>; rel="successor-version"');
+    });
+
+    it('leaves unknown paths alone', async () => {
+      const res = await ctx.request().get('/api/nothing-here');
+
+      expect(res.status).toBe(404);
+      expect(res.headers.deprecation).toBeUndefined();
+    });
+
+    it('lets browsers read the deprecation headers', async () => {
+      const res = await ctx.request().get('/api/posts').set('Origin', 'https://blog.sudharsana.dev');
+
+      expect(res.headers['access-control-expose-headers']).toContain('Deprecation');
+      expect(res.headers['access-control-expose-headers']).toContain('Sunset');
+    });
+
+    it('leaves the legacy aliases out of the OpenAPI document', async () => {
+      const { paths } = (await ctx.request().get('/api/openapi.json')).body;
+
+      expect(paths['/api/v1/posts']).toBeDefined();
+      expect(paths['/feed.xml']).toBeDefined();
+      expect(paths['/api/posts']).toBeUndefined();
+      expect(paths['/posts']).toBeUndefined();
+      expect(paths['/api/feed.xml']).toBeUndefined();
+    });
+
+    it('counts legacy use by the route it aliases', async () => {
+      const res = await ctx.request().get('/metrics');
+
+      expect(res.text).toContain('legacy_api_requests_total{method="GET",route="/api/v1/posts"} 2');
+      expect(res.text).toContain('legacy_api_requests_total{method="GET",route="/api/v1/posts/:postId/likes"} 1');
+    });
+  });
+
+  describe('with API_LEGACY_ROUTES=false', () => {
+    let ctx;
+
+    const statusesOf = async (paths) => {
+      const statuses = [];
+      for (const path of paths) {
+        statuses.push((await ctx.request().get(path)).status);
+      }
+      return statuses;
+    };
+
+    beforeAll(async () => {
+      ctx = await createTestContext({ env: { API_LEGACY_ROUTES: 'false' } });
+    });
+
+    afterAll(() => ctx.close());
+
+    it('no longer answers the unversioned aliases', async () => {
+      const statuses = await statusesOf(['/api/posts', '/posts', '/api/health', '/api/feed.xml']);
+
+      expect(statuses).toEqual([404, 404, 404, 404]);
+    });
+
+    it('still answers /api/v1 and the root paths', async () => {
+      const statuses = await statusesOf(['/api/v1/posts', '/api/v1/health', '/health', '/feed.xml', '/sitemap.xml']);
+
+      expect(statuses).toEqual([200, 200, 200, 200, 200]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { createTestContext } = require('./helpers/app');
+
+describe('app', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ env: { RATE_LIMIT_API_MAX: '25' } });
+  });
+
+  afterAll(() => ctx.close());
+
+  it('answers unknown routes with a 404', async () => {
+    const res = await ctx.request().get('/api/v1/nothing-here');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Route not found', code: 'not_found', requestId: res.headers['x-request-id'] });
+  });
+
+  it('reuses a well-formed incoming request ID', async () => {
+    const res = await ctx.request().get('/api/v1/nothing-here').set('X-Request-Id', 'trace-123');
+
+    expect(res.headers['x-request-id']).toBe('trace-123');
+    expect(res.body.requestId).toBe('trace-123');
+  });
+
+  it('replaces a malformed incoming request ID', async () => {
+    const res = await ctx.request().get('/api/v1/nothing-here').set('X-Request-Id', 'not a valid id!');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('rejects a malformed JSON body', async () => {
+    const res = await ctx.request()
+      .post('/api/v1/feedback')
+      .set('Content-Type', 'application/json')
+      .send('{"rating": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ error: 'Malformed request body', code: 'invalid_request' });
+  });
+
+  it('rate limits API requests per IP, but never the probes', async () => {
+    let res;
+    for (let i = 0; i < 26; i++) {
+      res = await ctx.request().get('/api/v1/tags');
+    }
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('rate_limited');
+    expect(res.headers['retry-after']).toBeDefined();
+
+    const health = await ctx.request().get('/health');
+    expect(health.status).toBe(200);
+  });
+});
@@ -0,0 +1,228 @@
+const { createTestContext } = require('./helpers/app');
+
+describe('auth and admin user routes', () => {
+  let ctx;
+  let admin;
+
+  const bearer = (user) => ({ Authorization: `Bearer ${user.accessToken}` });
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ env: { RATE_LIMIT_LOGIN_MAX: '3' } });
+    admin = await ctx.login('admin');
+  });
+
+  afterAll(() => ctx.close());
+
+  describe('login', () => {
+    it('returns the user and a token pair', async () => {
+      const res = await ctx.request().post('/api/v1/auth/login').send({ username: admin.username, password: admin.password });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, user: { username: admin.username, role: 'admin' } });
+      expect(res.body.accessToken).toEqual(expect.any(String));
+      expect(res.body.refreshToken).toEqual(expect.any(String));
+    });
+
+    it('rejects a wrong password', async () => {
+      const res = await ctx.request().post('/auth/login').send({ username: admin.username, password: 'wrong-password' });
+
+      expect(res.status).toBe(401);
+      expect(res.body).toMatchObject({ code: 'unauthenticated', error: 'Invalid username or password' });
+    });
+
+    it('requires a username and password', async () => {
+      const res = await ctx.request().post('/api/v1/auth/login').send({ username: admin.username });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('body.password');
+    });
+  });
+
+  describe('session', () => {
+    it('returns the current user', async () => {
+      const res = await ctx.request().get('/api/v1/auth/me').set(bearer(admin));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ user: { id: Number(admin.id), username: admin.username, role: 'admin' } });
+    });
+
+    it('requires a valid bearer token', async () => {
+      const missing = await ctx.request().get('/api/v1/auth/me');
+      const invalid = await ctx.request().get('/api/v1/auth/me').set('Authorization', 'Bearer not-a-jwt');
+
+      expect(missing.status).toBe(401);
+      expect(missing.body.error).toBe('Authentication required');
+      expect(invalid.status).toBe(401);
+      expect(invalid.body.error).toBe('Invalid or expired token');
+    });
+
+    it('swaps a refresh token for a new pair, once', async () => {
+      const user = await ctx.login('moderator');
+
+      const res = await ctx.request().post('/api/v1/auth/refresh').send({ refreshToken: user.refreshToken });
+      const reused = await ctx.request().post('/api/v1/auth/refresh').send({ refreshToken: user.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ username: user.username, role: 'moderator' });
+      expect(res.body.refreshToken).not.toBe(user.refreshToken);
+      expect(reused.status).toBe(401);
+      expect(reused.body.error).toBe('Invalid or expired refresh token');
+    });
+
+    it('requires a refresh token', async () => {
+      const res = await ctx.request().post('/api/v1/auth/refresh').send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('revokes both tokens on logout', async () => {
+      const user = await ctx.login('moderator');
+
+      const res = await ctx.request().post('/api/v1/auth/logout').set(bearer(user)).send({ refreshToken: user.refreshToken });
+      const me = await ctx.request().get('/api/v1/auth/me').set(bearer(user));
+      const refreshed = await ctx.request().post('/api/v1/auth/refresh').send({ refreshToken: user.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, message: 'Logged out successfully' });
+      expect(me.status).toBe(401);
+      expect(me.body.error).toBe('Token has been revoked');
+      expect(refreshed.status).toBe(401);
+    });
+
+    it('requires a token to log out', async () => {
+      const res = await ctx.request().post('/api/v1/auth/logout').send({});
+
+      expect(res.status).toBe(401);
+    });
+
+    it('answers 503 when tokens can\'t be checked against Redis', async () => {
+      ctx.redisClient.failing = true;
+      try {
+        const res = await ctx.request().get('/api/v1/auth/me').set(bearer(admin));
+
+        expect(res.status).toBe(503);
+        expect(res.body.error).toBe('Authentication service unavailable');
+      } finally {
+        ctx.redisClient.failing = false;
+      }
+    });
+  });
+
+  describe('admin users', () => {
+    let created;
+
+    it('are managed by admins only', async () => {
+      const moderator = await ctx.login('moderator');
+
+      const res = await ctx.request().get('/api/v1/admin/users').set(bearer(moderator));
+      const anonymous = await ctx.request().get('/api/v1/admin/users');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Insufficient permissions');
+      expect(anonymous.status).toBe(401);
+    });
+
+    it('creates a user', async () => {
+      const res = await ctx.request()
+        .post('/api/v1/admin/users')
+        .set(bearer(admin))
+        .send({ username: 'New.Editor', password: 'a-long-enough-password', role: 'moderator' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.user).toMatchObject({ username: 'new.editor', role: 'moderator', active: true });
+      expect(res.body.user).not.toHaveProperty('password_hash');
+      created = res.body.user;
+    });
+
+    it('rejects a taken username', async () => {
+      const res = await ctx.request()
+        .post('/api/v1/admin/users')
+        .set(bearer(admin))
+        .send({ username: 'new.editor', password: 'a-long-enough-password', role: 'admin' });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ code: 'conflict', error: 'Username already exists' });
+    });
+
+    it('rejects a short password or unknown role', async () => {
+      const res = await ctx.request()
+        .post('/api/v1/admin/users')
+        .set(bearer(admin))
+        .send({ username: 'someone', password: 'short', role: 'owner' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(detail => detail.path)).toEqual(['body.password', 'body.role']);
+    });
+
+    it('lists users without their password hashes', async () => {
+      const res = await ctx.request().get('/admin/users').set(bearer(admin));
+
+      expect(res.status).toBe(200);
+      expect(res.body.users.map(user => user.username)).toEqual(expect.arrayContaining([admin.username, 'new.editor']));
+      res.body.users.forEach(user => expect(user).not.toHaveProperty('password_hash'));
+    });
+
+    it('updates a user and signs them out everywhere', async () => {
+      const moderator = await ctx.login('moderator');
+
+      const res = await ctx.request().put(`/api/v1/admin/users/${moderator.id}`).set(bearer(admin)).send({ role: 'admin' });
+      const me = await ctx.request().get('/api/v1/auth/me').set(bearer(moderator));
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ username: moderator.username, role: 'admin' });
+      expect(me.status).toBe(401);
+    });
+
+    it('accepts tokens issued straight after signing a user out everywhere', async () => {
+      const moderator = await ctx.login('moderator');
+
+      await ctx.request().put(`/api/v1/admin/users/${moderator.id}`).set(bearer(admin)).send({ password: 'a-brand-new-password' });
+      const login = await ctx.request().post('/api/v1/auth/login').send({ username: moderator.username, password: 'a-brand-new-password' });
+      const me = await ctx.request().get('/api/v1/auth/me').set(bearer(login.body));
+      const refreshed = await ctx.request().post('/api/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+
+      expect(me.status).toBe(200);
+      expect(refreshed.status).toBe(200);
+    });
+
+    it('deactivates a user', async () => {
+      const res = await ctx.request().put(`/api/v1/admin/users/${created.id}`).set(bearer(admin)).send({ active: false });
+      const login = await ctx.request().post('/api/v1/auth/login').send({ username: 'new.editor', password: 'a-long-enough-password' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.active).toBe(false);
+      expect(login.status).toBe(401);
+    });
+
+    it('won\'t let an admin demote or deactivate themselves', async () => {
+      const res = await ctx.request().put(`/api/v1/admin/users/${admin.id}`).set(bearer(admin)).send({ active: false });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('You cannot deactivate or demote your own account');
+    });
+
+    it('returns 404 for a missing user', async () => {
+      const res = await ctx.request().put('/api/v1/admin/users/999999').set(bearer(admin)).send({ active: true });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('limits failed logins but not successful ones', async () => {
+      const attempt = () => ctx.request().post('/api/v1/auth/login').send({ username: admin.username, password: 'guess' });
+
+      // Earlier failed logins in this file count towards the limit too
+      let res = await attempt();
+      for (let i = 0; i < 5 && res.status === 401; i++) {
+        res = await attempt();
+      }
+      const success = await ctx.request().post('/api/v1/auth/login').send({ username: admin.username, password: admin.password });
+
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe('rate_limited');
+      expect(success.status).toBe(429);
+      expect(res.headers['retry-after']).toBeDefined();
+    });
+  });
+});
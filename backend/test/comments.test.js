@@ -0,0 +1,412 @@
+const { createTestContext } = require('./helpers/app');
+
+const CLIENT_A = '11111111-1111-4111-8111-111111111111';
+
+describe('comment routes', () => {
+  let ctx;
+  let admin;
+  let moderator;
+  let post;
+  let otherPost;
+  let commentCount = 0;
+
+  const asModerator = (req) => req.set('Authorization', `Bearer ${moderator.accessToken}`);
+
+  // Every comment gets unique content, or the duplicate check rejects it
+  const submit = (postId, fields = {}) => {
+    commentCount += 1;
+    return ctx.request().post(`/api/v1/posts/${postId}/comments`).send({
+      content: `Test comment number ${commentCount} with enough text`,
+      displayName: 'Reader',
+      ...fields
+    });
+  };
+
+  // Submit a comment and approve it; returns the comment row
+  const approved = async (postId, fields) => {
+    const created = await submit(postId, fields);
+    await asModerator(ctx.request().post(`/api/v1/admin/comments/${created.body.comment.id}/approve`)).send({});
+    return created.body.comment;
+  };
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ env: { COMMENTS_REQUIRE_APPROVAL: 'true', COMMENT_MAX_REPLY_DEPTH: '1', RATE_LIMIT_COMMENTS_MAX: '40' } });
+    admin = await ctx.login('admin');
+    moderator = await ctx.login('moderator');
+    post = await ctx.createPost();
+    otherPost = await ctx.createPost();
+  });
+
+  afterAll(() => ctx.close());
+
+  describe('submitting comments', () => {
+    it('holds new comments for moderation', async () => {
+      const res = await submit(post.id, { clientId: CLIENT_A });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        success: true,
+        comment: { status: 'pending', parent_id: null },
+        clientId: CLIENT_A,
+        message: 'Comment submitted and awaiting moderation'
+      });
+    });
+
+    it('strips HTML from the content', async () => {
+      const res = await submit(post.id, { content: '<b>Bold</b> words and <script>alert(1)</script>more text' });
+      const queue = await asModerator(ctx.request().get(`/api/v1/admin/comments?postId=${post.id}`));
+
+      expect(res.status).toBe(201);
+      expect(queue.body.comments.find(comment => comment.id === res.body.comment.id).content).toBe('Bold words and more text');
+    });
+
+    it('rejects a duplicate comment', async () => {
+      const content = 'Exactly the same words twice in a row';
+      await submit(post.id, { content });
+
+      const res = await submit(post.id, { content });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^Duplicate comment detected/);
+    });
+
+    it('rejects content that is too short', async () => {
+      const res = await submit(post.id, { content: 'Too short' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Comment must be between 10 and 2000 characters');
+    });
+
+    it('requires content and a display name', async () => {
+      const noContent = await ctx.request().post(`/api/v1/posts/${post.id}/comments`).send({ displayName: 'Reader' });
+      const noName = await submit(post.id, { displayName: '' });
+
+      expect(noContent.status).toBe(400);
+      expect(noContent.body.details[0].path).toBe('body.content');
+      expect(noName.status).toBe(400);
+      expect(noName.body.error).toBe('Content and display name are required');
+    });
+
+    it('returns 404 for a post that doesn\'t exist', async () => {
+      const res = await submit(999999);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ error: 'Post not found', code: 'not_found' });
+    });
+
+    it('returns 404 for a draft or scheduled post', async () => {
+      const draft = await ctx.createPost({ status: 'draft' });
+      const scheduled = await ctx.createPost({ status: 'scheduled', publishAt: '2099-01-01T00:00:00Z' });
+
+      const toDraft = await submit(draft.id);
+      const toScheduled = await submit(scheduled.id);
+      const list = await ctx.request().get(`/api/v1/posts/${draft.id}/comments`);
+
+      expect([toDraft.status, toScheduled.status, list.status]).toEqual([404, 404, 404]);
+    });
+
+    it('rejects unknown fields', async () => {
+      const res = await submit(post.id, { email: 'reader@example.com' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0]).toMatchObject({ path: 'body.email', code: 'object.unknown' });
+    });
+
+    it('scores honeypot submissions as spam', async () => {
+      const res = await submit(post.id, { website: 'http://spam.example.com' });
+      const queue = await asModerator(ctx.request().get(`/api/v1/admin/comments?postId=${post.id}&limit=100`));
+
+      const comment = queue.body.comments.find(row => row.id === res.body.comment.id);
+      expect(Number(comment.spam_score)).toBeGreaterThanOrEqual(1);
+      expect(comment.spam_checks.find(check => check.name === 'honeypot').score).toBe(1);
+    });
+
+    it('accepts replies to approved comments', async () => {
+      const parent = await approved(post.id);
+
+      const res = await submit(post.id, { parentId: Number(parent.id) });
+
+      expect(res.status).toBe(201);
+      expect(res.body.comment.parent_id).toBe(parent.id);
+    });
+
+    it('rejects replies to a comment that is missing, pending or on another post', async () => {
+      const pending = await submit(post.id);
+      const elsewhere = await approved(otherPost.id);
+
+      const missing = await submit(post.id, { parentId: 999999 });
+      const toPending = await submit(post.id, { parentId: Number(pending.body.comment.id) });
+      const crossPost = await submit(post.id, { parentId: Number(elsewhere.id) });
+
+      expect([missing.status, toPending.status, crossPost.status]).toEqual([404, 404, 404]);
+      expect(missing.body.error).toBe('Parent comment not found');
+    });
+
+    it('rejects replies nested past the depth limit', async () => {
+      const parent = await approved(post.id);
+      const reply = await approved(post.id, { parentId: Number(parent.id) });
+
+      const res = await submit(post.id, { parentId: Number(reply.id) });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Replies can be nested at most 1 levels deep');
+    });
+  });
+
+  describe('listing comments', () => {
+    let listPost;
+    let first;
+    let second;
+    let reply;
+
+    beforeAll(async () => {
+      listPost = await ctx.createPost();
+      first = await approved(listPost.id);
+      second = await approved(listPost.id);
+      reply = await approved(listPost.id, { parentId: Number(first.id) });
+      await submit(listPost.id);
+    });
+
+    it('lists approved comments, newest first', async () => {
+      const res = await ctx.request().get(`/api/v1/posts/${listPost.id}/comments`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.comments.map(comment => comment.id)).toEqual([reply.id, second.id, first.id]);
+      expect(res.body.pagination).toEqual({ page: 1, limit: 10, total: 3, pages: 1 });
+    });
+
+    it('nests replies with ?format=tree', async () => {
+      const res = await ctx.request().get(`/posts/${listPost.id}/comments?format=tree`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.format).toBe('tree');
+      expect(res.body.comments.map(comment => [comment.id, comment.replyCount])).toEqual([[second.id, 0], [first.id, 1]]);
+      expect(res.body.comments[1].replies[0].id).toBe(reply.id);
+      expect(res.body.pagination.total).toBe(2);
+    });
+
+    it('puts the most liked first with ?sort=top', async () => {
+      await ctx.request().post(`/api/v1/posts/${listPost.id}/comments/${first.id}/like`).send({ clientId: CLIENT_A });
+
+      const res = await ctx.request().get(`/api/v1/posts/${listPost.id}/comments?format=tree&sort=top`);
+
+      expect(res.body.comments.map(comment => comment.id)).toEqual([first.id, second.id]);
+      expect(res.body.comments[0].like_count).toBe(1);
+    });
+
+    it('rejects an unknown format', async () => {
+      const res = await ctx.request().get(`/api/v1/posts/${listPost.id}/comments?format=xml`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('query.format');
+    });
+  });
+
+  describe('comment likes', () => {
+    let comment;
+
+    beforeAll(async () => {
+      comment = await approved(post.id);
+    });
+
+    it('likes a comment once per client', async () => {
+      const res = await ctx.request().post(`/api/v1/posts/${post.id}/comments/${comment.id}/like`).send({ clientId: CLIENT_A });
+      const again = await ctx.request().post(`/posts/${post.id}/comments/${comment.id}/like`).send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, commentId: Number(comment.id), liked: true, likes: 1, clientId: CLIENT_A });
+      expect(again.body.likes).toBe(1);
+    });
+
+    it('unlikes a comment', async () => {
+      const res = await ctx.request().delete(`/api/v1/posts/${post.id}/comments/${comment.id}/unlike`).send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ liked: false, likes: 0 });
+    });
+
+    it('returns 404 for a pending comment or one on another post', async () => {
+      const pending = await submit(post.id);
+
+      const notApproved = await ctx.request().post(`/api/v1/posts/${post.id}/comments/${pending.body.comment.id}/like`).send({});
+      const wrongPost = await ctx.request().post(`/api/v1/posts/${otherPost.id}/comments/${comment.id}/like`).send({});
+      const unlike = await ctx.request().delete(`/api/v1/posts/${otherPost.id}/comments/${comment.id}/unlike`).send({ clientId: CLIENT_A });
+
+      expect([notApproved.status, wrongPost.status, unlike.status]).toEqual([404, 404, 404]);
+    });
+
+    it('needs a client ID or IP to unlike', async () => {
+      const res = await ctx.request().delete(`/api/v1/posts/${post.id}/comments/${comment.id}/unlike`).send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('moderation', () => {
+    it('requires a token', async () => {
+      const res = await ctx.request().get('/api/v1/admin/comments');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('lists the pending queue', async () => {
+      const created = await submit(otherPost.id);
+
+      const res = await asModerator(ctx.request().get(`/api/v1/admin/comments?postId=${otherPost.id}`));
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('pending');
+      expect(res.body.comments.map(comment => comment.id)).toContain(created.body.comment.id);
+      expect(res.body.comments[0]).toMatchObject({ post_slug: otherPost.slug, status: 'pending' });
+    });
+
+    it('rejects an unknown status filter', async () => {
+      const res = await asModerator(ctx.request().get('/api/v1/admin/comments?status=deleted'));
+
+      expect(res.status).toBe(400);
+    });
+
+    it('approves a comment and counts it on the post', async () => {
+      const created = await submit(otherPost.id);
+      const before = await ctx.request().get(`/api/v1/posts/${otherPost.id}/comments`);
+
+      const res = await asModerator(ctx.request().post(`/api/v1/admin/comments/${created.body.comment.id}/approve`)).send({ reason: 'Fine' });
+      const after = await ctx.request().get(`/api/v1/posts/${otherPost.id}/comments`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.comment).toMatchObject({ previous_status: 'pending', status: 'approved' });
+      expect(after.body.pagination.total).toBe(before.body.pagination.total + 1);
+    });
+
+    it('returns 404 when moderating a missing comment', async () => {
+      const res = await asModerator(ctx.request().post('/api/v1/admin/comments/999999/reject')).send({});
+
+      expect(res.status).toBe(404);
+    });
+
+    it('rejects an unknown action', async () => {
+      const res = await asModerator(ctx.request().post('/api/v1/admin/comments/1/delete')).send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('params.action');
+    });
+
+    it('moderates comments in bulk and reports the ones not found', async () => {
+      const one = await submit(otherPost.id);
+      const two = await submit(otherPost.id);
+
+      const res = await asModerator(ctx.request().post('/api/v1/admin/comments/bulk')).send({
+        ids: [Number(one.body.comment.id), Number(two.body.comment.id), 999999],
+        action: 'spam'
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.updated.map(row => row.status)).toEqual(['spam', 'spam']);
+      expect(res.body.notFound).toEqual([999999]);
+    });
+
+    it('rejects an empty bulk request', async () => {
+      const res = await asModerator(ctx.request().post('/api/v1/admin/comments/bulk')).send({ ids: [], action: 'approve' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('edits a comment and records the change in its history', async () => {
+      const created = await submit(otherPost.id);
+      const id = created.body.comment.id;
+
+      const res = await asModerator(ctx.request().put(`/api/v1/admin/comments/${id}`)).send({
+        content: 'Edited by a moderator to remove a link',
+        reason: 'Link removed'
+      });
+      const history = await asModerator(ctx.request().get(`/api/v1/admin/comments/${id}/history`));
+
+      expect(res.status).toBe(200);
+      expect(res.body.comment.content).toBe('Edited by a moderator to remove a link');
+      expect(history.status).toBe(200);
+      expect(history.body.history).toEqual([
+        expect.objectContaining({ action: 'edit', reason: 'Link removed', moderator: moderator.username })
+      ]);
+    });
+
+    it('rejects an edit that breaks comment validation', async () => {
+      const created = await submit(otherPost.id);
+
+      const res = await asModerator(ctx.request().put(`/api/v1/admin/comments/${created.body.comment.id}`)).send({ content: 'Short' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('returns 404 when editing a missing comment', async () => {
+      const res = await asModerator(ctx.request().put('/api/v1/admin/comments/999999')).send({ content: 'Long enough content here' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('spam filter management', () => {
+    let keywordId;
+
+    it('adds a keyword, lowercased', async () => {
+      const res = await asModerator(ctx.request().post('/api/v1/admin/spam/keywords')).send({ keyword: 'Casino', weight: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.keyword).toMatchObject({ keyword: 'casino', active: true });
+      keywordId = res.body.keyword.id;
+    });
+
+    it('scores comments with the new keyword at once', async () => {
+      const res = await submit(post.id, { content: 'Visit the best casino in town today' });
+      const queue = await asModerator(ctx.request().get(`/api/v1/admin/comments?postId=${post.id}&limit=100`));
+
+      const comment = queue.body.comments.find(row => row.id === res.body.comment.id);
+      expect(comment.spam_checks.find(check => check.name === 'keywords').details.matched).toEqual(['casino']);
+    });
+
+    it('lists keywords with the threshold', async () => {
+      const res = await asModerator(ctx.request().get('/api/v1/admin/spam/keywords'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.keywords.map(keyword => keyword.keyword)).toContain('casino');
+      expect(res.body.threshold).toBe(1);
+    });
+
+    it('rejects a weight out of range', async () => {
+      const res = await asModerator(ctx.request().post('/api/v1/admin/spam/keywords')).send({ keyword: 'loan', weight: 11 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('body.weight');
+    });
+
+    it('removes a keyword', async () => {
+      const res = await asModerator(ctx.request().delete(`/api/v1/admin/spam/keywords/${keywordId}`));
+      const again = await asModerator(ctx.request().delete(`/api/v1/admin/spam/keywords/${keywordId}`));
+
+      expect(res.status).toBe(200);
+      expect(again.status).toBe(404);
+    });
+
+    it('retrains the classifier, for admins only', async () => {
+      const forbidden = await asModerator(ctx.request().post('/api/v1/admin/spam/classifier/train'));
+      const res = await ctx.request().post('/api/v1/admin/spam/classifier/train').set('Authorization', `Bearer ${admin.accessToken}`);
+
+      expect(forbidden.status).toBe(403);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, spam: 2, trained: false });
+      expect(res.body.ham).toBeGreaterThan(0);
+    });
+  });
+
+  // Last, since it uses up this IP's comment allowance
+  describe('rate limiting', () => {
+    it('limits comments per IP', async () => {
+      let res;
+      for (let i = 0; i < 40 && res?.status !== 429; i++) {
+        res = await submit(post.id);
+      }
+
+      expect(res.status).toBe(429);
+      expect(res.body.error).toBe('Too many comments. Please wait before posting again.');
+    });
+  });
+});
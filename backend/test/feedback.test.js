@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { createTestContext } = require('./helpers/app');
+
+describe('feedback routes', () => {
+  let ctx;
+  let admin;
+  let moderator;
+
+  const bearer = (user) => ({ Authorization: `Bearer ${user.accessToken}` });
+
+  const submit = (fields = {}) => ctx.request()
+    .post('/api/v1/feedback')
+    .send({ uuid: crypto.randomUUID(), rating: 5, feedback_text: 'Great blog!', ...fields });
+
+  beforeAll(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('admin');
+    moderator = await ctx.login('moderator');
+  });
+
+  afterAll(() => ctx.close());
+
+  describe('submitting', () => {
+    it('stores feedback under the given name', async () => {
+      const res = await submit({ name: '  Ada  ', email: 'Ada@Example.com', rating: 4 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, message: 'Feedback submitted successfully', name: 'Ada' });
+      expect(res.body.feedbackId).toBeDefined();
+    });
+
+    it('makes up a name for anonymous feedback', async () => {
+      const res = await ctx.request().post('/feedback').send({ uuid: crypto.randomUUID(), rating: 2, feedback_text: 'Too dark', name: '' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.name).toMatch(/^\w+ \w+$/);
+    });
+
+    it('rejects a missing or out-of-range rating', async () => {
+      const missing = await submit({ rating: undefined });
+      const tooHigh = await submit({ rating: 6 });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.details[0].path).toBe('body.rating');
+      expect(tooHigh.status).toBe(400);
+    });
+
+    it('rejects an empty message or bad client ID', async () => {
+      const empty = await submit({ feedback_text: '   ' });
+      const badUuid = await submit({ uuid: 'not-a-uuid' });
+
+      expect(empty.status).toBe(400);
+      expect(empty.body.details[0].path).toBe('body.feedback_text');
+      expect(badUuid.status).toBe(400);
+    });
+  });
+
+  describe('stats', () => {
+    it('summarises ratings and statuses for moderators', async () => {
+      const res = await ctx.request().get('/api/v1/feedback/stats').set(bearer(moderator));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        totalFeedback: 2,
+        averageRating: '3.00',
+        ratingDistribution: { fiveStar: 0, fourStar: 1, threeStar: 0, twoStar: 1, oneStar: 0 },
+        statusDistribution: { pending: 2, reviewed: 0 }
+      });
+    });
+
+    it('requires a token', async () => {
+      const res = await ctx.request().get('/feedback/stats');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('recent feedback', () => {
+    it('lists the latest feedback with emails for admins', async () => {
+      const res = await ctx.request().get('/api/v1/feedback/recent?limit=2').set(bearer(admin));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ count: 2, limit: 2, status: 'all' });
+      expect(res.body.feedback[0]).toHaveProperty('email');
+    });
+
+    it('filters by status', async () => {
+      const pending = await ctx.request().get('/api/v1/feedback/recent?status=pending').set(bearer(admin));
+      const reviewed = await ctx.request().get('/api/v1/feedback/recent?status=reviewed').set(bearer(admin));
+
+      expect(pending.body.count).toBe(2);
+      expect(reviewed.body.count).toBe(0);
+    });
+
+    it('rejects an unknown status or too large a limit', async () => {
+      const status = await ctx.request().get('/api/v1/feedback/recent?status=deleted').set(bearer(admin));
+      const limit = await ctx.request().get('/api/v1/feedback/recent?limit=500').set(bearer(admin));
+
+      expect(status.status).toBe(400);
+      expect(limit.status).toBe(400);
+      expect(limit.body.details[0].path).toBe('query.limit');
+    });
+
+    it('is hidden from moderators', async () => {
+      const res = await ctx.request().get('/api/v1/feedback/recent').set(bearer(moderator));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // Its own app, so the allowance it uses up is its own
+  describe('rate limiting', () => {
+    let limited;
+
+    beforeAll(async () => {
+      limited = await createTestContext({ env: { RATE_LIMIT_FEEDBACK_MAX: '2' } });
+    });
+
+    afterAll(() => limited.close());
+
+    it('limits submissions per IP, whatever client ID they carry', async () => {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        const res = await limited.request().post('/api/v1/feedback').send({ uuid: crypto.randomUUID(), rating: 5, feedback_text: 'Great blog!' });
+        statuses.push(res.status);
+      }
+
+      expect(statuses).toEqual([200, 200, 429]);
+    });
+  });
+});
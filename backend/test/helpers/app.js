@@ -0,0 +1,98 @@
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { createTestDb, silentLogger } = require('./db');
+const { createFakeRedis } = require('./redis');
+
+/**
+ * Builds the whole app in-process: PGlite for Postgres, the fake Redis, a mailer that
+ * keeps what it sends and a logger that drops everything.
+ *
+ * Settings read from the environment at require time are given test defaults here,
+ * before the app is loaded. Pass `env` to override them; each jest test file has its
+ * own module registry, so overrides never leak between files.
+ */
+
+const TEST_ENV = {
+  JWT_SECRET: 'test-jwt-secret',
+  NEWSLETTER_WEBHOOK_SECRET: 'test-webhook-secret',
+  // Every request comes from 127.0.0.1; keep the global limit out of the way
+  RATE_LIMIT_API_MAX: '100000',
+  // Unreachable, so the forwarding route fails fast
+  PROMETHEUS_PUSHGATEWAY_URL: 'http://127.0.0.1:9'
+};
+
+// Keeps every message in `sent`; set `failing = true` to make sends reject like a provider outage
+const createTestMailer = () => {
+  const mailer = {
+    name: 'test',
+    sent: [],
+    failing: false,
+    send: async (message) => {
+      if (mailer.failing) {
+        throw new Error('Mail provider unavailable');
+      }
+      mailer.sent.push(message);
+      return { messageId: `<${mailer.sent.length}@test.mailer>` };
+    },
+    close: () => {}
+  };
+  return mailer;
+};
+
+async function createTestContext({ env = {}, clock } = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+  const { createApp } = require('../../app');
+
+  const pool = await createTestDb();
+  const redisClient = createFakeRedis();
+  const mailer = createTestMailer();
+  const app = createApp({ db: pool, cache: redisClient, logger: silentLogger, clock, mailer });
+
+  let adminCount = 0;
+
+  // Seed an admin user and log in as them; returns { id, username, password, accessToken, refreshToken }
+  const login = async (role = 'admin') => {
+    adminCount += 1;
+    const username = `${role}${adminCount}`;
+    const password = `${username}-password`;
+    const created = await pool.query(
+      'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id',
+      [username, bcrypt.hashSync(password, 4), role]
+    );
+    const response = await request(app).post('/api/v1/auth/login').send({ username, password });
+    if (response.status !== 200) {
+      throw new Error(`Test login failed: ${response.status} ${JSON.stringify(response.body)}`);
+    }
+    return { id: created.rows[0].id, username, password, ...response.body };
+  };
+
+  // Insert a post directly; published unless told otherwise
+  const createPost = async ({ slug, title = 'A test post', content = 'Some test content', status = 'published', publishAt = null } = {}) => {
+    const result = await pool.query(`
+      INSERT INTO posts (slug, title, content, status, publish_at, published_at)
+      VALUES ($1, $2, $3, $4::text, $5::timestamptz, CASE WHEN $4::text = 'published' THEN NOW() END)
+      RETURNING *
+    `, [slug || `post-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, title, content, status, publishAt]);
+    return result.rows[0];
+  };
+
+  const close = async () => {
+    await app.locals.services.postEvents.stop();
+    await pool.end();
+  };
+
+  return {
+    app,
+    pool,
+    redisClient,
+    mailer,
+    request: () => request(app),
+    login,
+    createPost,
+    close
+  };
+}
+
+module.exports = {
+  createTestContext
+};
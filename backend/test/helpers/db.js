@@ -0,0 +1,45 @@
+const { PGlite, types } = require('@electric-sql/pglite');
+const { createMigrator } = require('../../lib/migrations');
+
+/**
+ * In-process Postgres for tests, behind the subset of the pg Pool interface the app uses.
+ *
+ * pg-mem can't run the schema (plpgsql triggers, tsvector, writable CTEs, advisory locks),
+ * so this is PGlite: real Postgres compiled to WASM. bigint and numeric come back as
+ * strings, as they do from pg.
+ */
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// migrate: false leaves the database empty, e.g. to lay down an old schema and migrate it yourself
+async function createTestDb({ logger = silentLogger, migrate = true } = {}) {
+  const db = new PGlite({
+    parsers: {
+      [types.INT8]: value => value,
+      [types.NUMERIC]: value => value
+    }
+  });
+
+  // Parameterised queries use the extended protocol; plain SQL may hold several statements (migrations)
+  const query = async (sql, params) => {
+    const result = params ? await db.query(sql, params) : (await db.exec(sql)).pop();
+    return { ...result, rowCount: result.affectedRows ?? result.rows.length };
+  };
+
+  // PGlite is a single connection, so a "client" is the same session; tests run one request at a time
+  const pool = {
+    query,
+    connect: async () => ({ query, release() {} }),
+    end: () => db.close()
+  };
+
+  if (migrate) {
+    await createMigrator({ pool, logger }).up();
+  }
+  return pool;
+}
+
+module.exports = {
+  createTestDb,
+  silentLogger
+};
@@ -0,0 +1,342 @@
+const { ADJUST_SCRIPT } = require('../../lib/counters');
+const { PUBLISH_SCRIPT, LEASE_SCRIPT } = require('../../lib/events');
+
+/**
+ * In-memory stand-in for a connected node-redis v4 client, covering the commands the
+ * app uses. The Lua scripts the app sends through eval() are matched by their source
+ * and run as the equivalent JavaScript.
+ *
+ * duplicate() returns a client sharing the same keys and pub/sub, like a second
+ * connection to the same server. Set `failing = true` to make every command reject.
+ */
+
+const globToRegExp = (pattern) => new RegExp(
+  `^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+// Score bounds as Redis takes them: numbers, '-inf'/'+inf' and '(' for exclusive
+const parseBound = (bound) => {
+  const text = String(bound);
+  const exclusive = text.startsWith('(');
+  const value = text.replace(/^\(/, '');
+  const score = value === '+inf' || value === 'inf' ? Infinity : value === '-inf' ? -Infinity : Number(value);
+  return { score, exclusive };
+};
+
+const inRange = (score, min, max) => (
+  (min.exclusive ? score > min.score : score >= min.score) &&
+  (max.exclusive ? score < max.score : score <= max.score)
+);
+
+// Rank ranges with negative indexes counting from the end, as in ZRANGE/ZREMRANGEBYRANK
+const rankSlice = (length, start, stop) => {
+  const from = start < 0 ? Math.max(length + start, 0) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, to];
+};
+
+class FakeRedis {
+  constructor(server = { keys: new Map(), patterns: [] }) {
+    this.server = server;
+    this.failing = false;
+    this.isOpen = true;
+  }
+
+  duplicate() {
+    return new FakeRedis(this.server);
+  }
+
+  async connect() {
+    this.isOpen = true;
+  }
+
+  async quit() {
+    this.isOpen = false;
+    this.server.patterns = this.server.patterns.filter(subscription => subscription.client !== this);
+  }
+
+  on() {
+    return this;
+  }
+
+  check() {
+    if (this.failing) {
+      throw new Error('Redis connection lost');
+    }
+  }
+
+  // The live entry for a key, dropping it once its expiry has passed
+  entry(key) {
+    const entry = this.server.keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.server.keys.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  typed(key, type, create) {
+    let entry = this.entry(key);
+    if (entry && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    if (!entry && create) {
+      entry = { type, value: type === 'string' ? '' : type === 'list' ? [] : new Map(), expiresAt: null };
+      this.server.keys.set(key, entry);
+    }
+    return entry;
+  }
+
+  // Sorted set members ordered by score, then member
+  sorted(key) {
+    const entry = this.typed(key, 'zset', false);
+    if (!entry) return [];
+    return [...entry.value.entries()]
+      .map(([value, score]) => ({ value, score }))
+      .sort((a, b) => a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+  }
+
+  dropIfEmpty(key) {
+    const entry = this.server.keys.get(key);
+    if (entry && entry.type !== 'string' && (entry.value.length === 0 || entry.value.size === 0)) {
+      this.server.keys.delete(key);
+    }
+  }
+
+  async ping() {
+    this.check();
+    return 'PONG';
+  }
+
+  async get(key) {
+    this.check();
+    const entry = this.typed(key, 'string', false);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    this.check();
+    if (options.NX && this.entry(key)) return null;
+    const ttlMs = options.EX ? options.EX * 1000 : options.PX ?? null;
+    this.server.keys.set(key, { type: 'string', value: String(value), expiresAt: ttlMs === null ? null : Date.now() + ttlMs });
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async del(keys) {
+    this.check();
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (this.entry(key)) {
+        this.server.keys.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  async exists(key) {
+    this.check();
+    return this.entry(key) ? 1 : 0;
+  }
+
+  async incrBy(key, delta) {
+    this.check();
+    const entry = this.typed(key, 'string', true);
+    const current = parseInt(entry.value || '0');
+    if (Number.isNaN(current)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    entry.value = String(current + parseInt(delta));
+    return current + parseInt(delta);
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  async pExpire(key, ms) {
+    this.check();
+    const entry = this.entry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + Number(ms);
+    return true;
+  }
+
+  async expire(key, seconds) {
+    return this.pExpire(key, Number(seconds) * 1000);
+  }
+
+  async rPush(key, values) {
+    this.check();
+    const entry = this.typed(key, 'list', true);
+    entry.value.push(...[].concat(values).map(String));
+    return entry.value.length;
+  }
+
+  async lPush(key, values) {
+    this.check();
+    const entry = this.typed(key, 'list', true);
+    for (const value of [].concat(values)) {
+      entry.value.unshift(String(value));
+    }
+    return entry.value.length;
+  }
+
+  async lPop(key) {
+    this.check();
+    const entry = this.typed(key, 'list', false);
+    if (!entry) return null;
+    const value = entry.value.shift();
+    this.dropIfEmpty(key);
+    return value;
+  }
+
+  async lLen(key) {
+    this.check();
+    const entry = this.typed(key, 'list', false);
+    return entry ? entry.value.length : 0;
+  }
+
+  async zAdd(key, members) {
+    this.check();
+    const entry = this.typed(key, 'zset', true);
+    let added = 0;
+    for (const { score, value } of [].concat(members)) {
+      if (!entry.value.has(String(value))) added += 1;
+      entry.value.set(String(value), Number(score));
+    }
+    return added;
+  }
+
+  async zRem(key, members) {
+    this.check();
+    const entry = this.typed(key, 'zset', false);
+    if (!entry) return 0;
+    let removed = 0;
+    for (const member of [].concat(members)) {
+      if (entry.value.delete(String(member))) removed += 1;
+    }
+    this.dropIfEmpty(key);
+    return removed;
+  }
+
+  async zCard(key) {
+    this.check();
+    const entry = this.typed(key, 'zset', false);
+    return entry ? entry.value.size : 0;
+  }
+
+  async zRangeByScore(key, min, max, options = {}) {
+    this.check();
+    const [low, high] = [parseBound(min), parseBound(max)];
+    const values = this.sorted(key).filter(({ score }) => inRange(score, low, high)).map(({ value }) => value);
+    if (!options.LIMIT) return values;
+    const { offset, count } = options.LIMIT;
+    return values.slice(offset, count < 0 ? undefined : offset + count);
+  }
+
+  async zRangeWithScores(key, start, stop) {
+    this.check();
+    const members = this.sorted(key);
+    const [from, to] = rankSlice(members.length, start, stop);
+    return members.slice(from, to + 1);
+  }
+
+  async zRemRangeByScore(key, min, max) {
+    this.check();
+    const [low, high] = [parseBound(min), parseBound(max)];
+    const doomed = this.sorted(key).filter(({ score }) => inRange(score, low, high));
+    return this.zRem(key, doomed.map(({ value }) => value));
+  }
+
+  async zRemRangeByRank(key, start, stop) {
+    this.check();
+    const members = this.sorted(key);
+    const [from, to] = rankSlice(members.length, start, stop);
+    return this.zRem(key, members.slice(from, to + 1).map(({ value }) => value));
+  }
+
+  async publish(channel, message) {
+    this.check();
+    const receivers = this.server.patterns.filter(({ regex }) => regex.test(channel));
+    for (const { listener } of receivers) {
+      listener(message, channel);
+    }
+    return receivers.length;
+  }
+
+  async pSubscribe(pattern, listener) {
+    this.check();
+    this.server.patterns.push({ client: this, regex: globToRegExp(pattern), listener });
+  }
+
+  // Queues commands and runs them in order on exec(), returning their replies
+  multi() {
+    const queued = [];
+    const transaction = {
+      exec: async () => {
+        this.check();
+        const replies = [];
+        for (const run of queued) {
+          replies.push(await run());
+        }
+        return replies;
+      }
+    };
+    for (const command of ['get', 'set', 'setEx', 'del', 'incr', 'incrBy', 'expire', 'pExpire', 'rPush', 'lPush',
+      'zAdd', 'zRem', 'zCard', 'zRangeByScore', 'zRangeWithScores', 'zRemRangeByScore', 'zRemRangeByRank']) {
+      transaction[command] = (...args) => {
+        queued.push(() => this[command](...args));
+        return transaction;
+      };
+    }
+    return transaction;
+  }
+
+  async eval(script, { keys = [], arguments: args = [] } = {}) {
+    this.check();
+    switch (script) {
+      case ADJUST_SCRIPT:
+        return this.entry(keys[0]) ? this.incrBy(keys[0], args[0]) : null;
+
+      case PUBLISH_SCRIPT: {
+        const [type, data, backlogSize, ttlSeconds, channel] = args;
+        const id = await this.incr(keys[0]);
+        const event = `{"id":${id},"type":${JSON.stringify(type)},"data":${data}}`;
+        await this.zAdd(keys[1], { score: id, value: event });
+        await this.zRemRangeByRank(keys[1], 0, -parseInt(backlogSize) - 1);
+        await this.expire(keys[1], ttlSeconds);
+        await this.publish(channel, event);
+        return id;
+      }
+
+      case LEASE_SCRIPT: {
+        const [now, expiry, max, member, ttlMs] = args;
+        await this.zRemRangeByScore(keys[0], '-inf', now);
+        if (await this.zCard(keys[0]) >= parseInt(max)) return 0;
+        await this.zAdd(keys[0], { score: expiry, value: member });
+        await this.pExpire(keys[0], ttlMs);
+        return 1;
+      }
+
+      default:
+        throw new Error('FakeRedis: unknown script');
+    }
+  }
+
+  // Drop every key, between tests
+  async flushAll() {
+    this.server.keys.clear();
+    return 'OK';
+  }
+}
+
+const createFakeRedis = () => new FakeRedis();
+
+module.exports = {
+  createFakeRedis
+};
@@ -0,0 +1,343 @@
+const http = require('http');
+const { createTestContext } = require('./helpers/app');
+const { createCounterReconciler } = require('../lib/counters');
+
+const CLIENT_A = '11111111-1111-4111-8111-111111111111';
+const CLIENT_B = '22222222-2222-4222-8222-222222222222';
+
+// GET an event stream from a listening server; until(text) waits for text to arrive on it
+const openStream = (server, path, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get({ port: server.address().port, path, headers }, (res) => {
+    let received = '';
+    let waiting = [];
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      received += chunk;
+      const pending = waiting;
+      waiting = [];
+      pending.forEach(check => check());
+    });
+
+    const until = (text) => new Promise((done) => {
+      const check = () => (received.includes(text) ? done(received) : waiting.push(check));
+      check();
+    });
+    resolve({ res, until, close: () => req.destroy() });
+  });
+  req.on('error', reject);
+});
+
+// Streams release their per-IP lease when the server sees the connection close
+const waitForClosedStreams = (server) => new Promise((resolve) => {
+  const poll = () => server.getConnections((error, count) => (count === 0 ? resolve() : setTimeout(poll, 10)));
+  poll();
+});
+
+describe('like and reaction routes', () => {
+  let ctx;
+  let post;
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ env: { SSE_MAX_STREAMS_PER_IP: '2' } });
+    post = await ctx.createPost();
+  });
+
+  afterAll(() => ctx.close());
+
+  describe('likes', () => {
+    it('starts at zero and caches the count', async () => {
+      const first = await ctx.request().get(`/api/v1/posts/${post.id}/likes`);
+      const second = await ctx.request().get(`/posts/${post.id}/likes`);
+
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual({ postId: Number(post.id), likes: 0, cached: false });
+      expect(second.body).toEqual({ postId: Number(post.id), likes: 0, cached: true });
+    });
+
+    it('likes a post for a client, once', async () => {
+      const res = await ctx.request().post(`/api/v1/posts/${post.id}/like`).send({ clientId: CLIENT_A });
+      const again = await ctx.request().post(`/api/v1/posts/${post.id}/like`).send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, liked: true, likes: 1, clientId: CLIENT_A });
+      expect(again.body.likes).toBe(1);
+    });
+
+    it('keeps the cached count in step', async () => {
+      const res = await ctx.request().get(`/api/v1/posts/${post.id}/likes?clientId=${CLIENT_A}`);
+
+      expect(res.body).toEqual({ postId: Number(post.id), likes: 1, liked: true, cached: true });
+    });
+
+    it('gives callers without a client ID one, reused for the same IP', async () => {
+      const first = await ctx.request().post(`/api/v1/posts/${post.id}/like`).send({ userIP: '203.0.113.7' });
+      const second = await ctx.request().post(`/api/v1/posts/${post.id}/like`).send({ userIP: '203.0.113.7' });
+
+      expect(first.body.clientId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(second.body.clientId).toBe(first.body.clientId);
+      expect(second.body.likes).toBe(2);
+    });
+
+    it('replays a retried like with the same Idempotency-Key', async () => {
+      const send = () => ctx.request()
+        .post(`/api/v1/posts/${post.id}/like`)
+        .set('Idempotency-Key', 'like-retry-1')
+        .send({ clientId: CLIENT_B });
+
+      const first = await send();
+      const retry = await send();
+
+      expect(retry.status).toBe(200);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+    });
+
+    it('rejects an Idempotency-Key reused for a different request', async () => {
+      const res = await ctx.request()
+        .post(`/api/v1/posts/${post.id}/like`)
+        .set('Idempotency-Key', 'like-retry-1')
+        .send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('idempotency_key_reused');
+    });
+
+    it('returns 404 when liking a missing post', async () => {
+      const res = await ctx.request().post('/api/v1/posts/999999/like').send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('returns 404 for a post that is missing or isn\'t published', async () => {
+      const draft = await ctx.createPost({ status: 'draft' });
+      const scheduled = await ctx.createPost({ status: 'scheduled', publishAt: '2099-01-01T00:00:00Z' });
+
+      const statuses = [];
+      for (const postId of [999999, draft.id, scheduled.id]) {
+        statuses.push((await ctx.request().get(`/api/v1/posts/${postId}/likes`)).status);
+        statuses.push((await ctx.request().post(`/api/v1/posts/${postId}/like`).send({ clientId: CLIENT_A })).status);
+        statuses.push((await ctx.request().delete(`/api/v1/posts/${postId}/unlike`).send({ clientId: CLIENT_A })).status);
+      }
+      const likes = await ctx.pool.query('SELECT COUNT(*) AS count FROM likes WHERE post_id = ANY($1::bigint[])', [[draft.id, scheduled.id]]);
+
+      expect(statuses).toEqual(Array(9).fill(404));
+      expect(likes.rows[0].count).toBe('0');
+    });
+
+    it('rejects a bad post ID or client ID', async () => {
+      const badPost = await ctx.request().get('/api/v1/posts/abc/likes');
+      const badClient = await ctx.request().post(`/api/v1/posts/${post.id}/like`).send({ clientId: 'not-a-uuid' });
+
+      expect(badPost.status).toBe(400);
+      expect(badPost.body.details[0].path).toBe('params.postId');
+      expect(badClient.status).toBe(400);
+      expect(badClient.body.details[0].path).toBe('body.clientId');
+    });
+
+    it('unlikes a post', async () => {
+      const res = await ctx.request().delete(`/api/v1/posts/${post.id}/unlike`).send({ clientId: CLIENT_B });
+      const again = await ctx.request().delete(`/api/v1/posts/${post.id}/unlike`).send({ clientId: CLIENT_B });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, liked: false, likes: 2, clientId: CLIENT_B });
+      expect(again.body.likes).toBe(2);
+    });
+
+    it('needs a client ID or IP to unlike', async () => {
+      const res = await ctx.request().delete(`/api/v1/posts/${post.id}/unlike`).send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].code).toBe('object.missing');
+    });
+
+    it('returns 404 when unliking a missing post', async () => {
+      const res = await ctx.request().delete('/api/v1/posts/999999/unlike').send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('counter reconciliation', () => {
+    it('recounts drifted counters batch by batch', async () => {
+      const drifted = [await ctx.createPost(), await ctx.createPost(), await ctx.createPost()];
+      await ctx.pool.query('UPDATE posts SET like_count = 7, comment_count = 3 WHERE id = ANY($1::bigint[])', [[drifted[0].id, drifted[2].id]]);
+      const reconciler = createCounterReconciler({ pool: ctx.pool, logger: { warn: () => {} }, batchSize: 2 });
+
+      const first = await reconciler.reconcile();
+      const second = await reconciler.reconcile();
+      const counts = await ctx.pool.query('SELECT like_count, comment_count FROM posts WHERE id = ANY($1::bigint[])', [[drifted[0].id, drifted[2].id]]);
+
+      expect(first.posts.map(row => String(row.id)).sort()).toEqual([String(drifted[0].id), String(drifted[2].id)].sort());
+      expect(first.posts[0]).toMatchObject({ stored_like_count: 7, like_count: 0, stored_comment_count: 3, comment_count: 0 });
+      expect(second).toEqual({ posts: [], comments: [] });
+      expect(counts.rows).toEqual([{ like_count: 0, comment_count: 0 }, { like_count: 0, comment_count: 0 }]);
+    });
+  });
+
+  describe('reactions', () => {
+    it('adds a reaction of each type per client', async () => {
+      const res = await ctx.request().post(`/api/v1/posts/${post.id}/reactions/love`).send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, reaction: 'love', reacted: true, count: 1, clientId: CLIENT_A });
+      expect(res.body.reactions).toMatchObject({ like: 2, love: 1 });
+    });
+
+    it('lists counts, the available types and the client\'s own reactions', async () => {
+      const res = await ctx.request().get(`/api/v1/posts/${post.id}/reactions?clientId=${CLIENT_A}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.reactions).toMatchObject({ like: 2, love: 1, party: 0 });
+      expect(Object.keys(res.body.available)).toEqual(['like', 'love', 'party', 'thinking']);
+      expect(res.body.clientReactions).toEqual(['like', 'love']);
+    });
+
+    it('removes a reaction', async () => {
+      const res = await ctx.request().delete(`/posts/${post.id}/reactions/love`).send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ reaction: 'love', reacted: false, count: 0 });
+    });
+
+    it('rejects an unknown reaction type', async () => {
+      const res = await ctx.request().post(`/api/v1/posts/${post.id}/reactions/angry`).send({ clientId: CLIENT_A });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('params.type');
+    });
+
+    it('returns 404 for a missing post', async () => {
+      const list = await ctx.request().get('/api/v1/posts/999999/reactions');
+      const add = await ctx.request().post('/api/v1/posts/999999/reactions/love').send({ clientId: CLIENT_A });
+      const remove = await ctx.request().delete('/api/v1/posts/999999/reactions/love').send({ clientId: CLIENT_A });
+
+      expect([list.status, add.status, remove.status]).toEqual([404, 404, 404]);
+    });
+
+    it('returns 404 for a draft post', async () => {
+      const draft = await ctx.createPost({ status: 'draft' });
+
+      const list = await ctx.request().get(`/api/v1/posts/${draft.id}/reactions`);
+      const add = await ctx.request().post(`/api/v1/posts/${draft.id}/reactions/love`).send({ clientId: CLIENT_A });
+      const remove = await ctx.request().delete(`/api/v1/posts/${draft.id}/reactions/love`).send({ clientId: CLIENT_A });
+
+      expect([list.status, add.status, remove.status]).toEqual([404, 404, 404]);
+    });
+  });
+
+  describe('event stream', () => {
+    let server;
+
+    beforeAll(async () => {
+      await ctx.app.locals.services.postEvents.start();
+      server = ctx.app.listen(0);
+    });
+
+    afterAll(() => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }));
+
+    it('streams like changes as they happen', async () => {
+      const stream = await openStream(server, `/api/v1/posts/${post.id}/events`);
+      let received;
+      try {
+        expect(stream.res.statusCode).toBe(200);
+        expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+        await stream.until('retry: 3000');
+
+        await ctx.request().post(`/api/v1/posts/${post.id}/like`).send({ clientId: CLIENT_B });
+        received = await stream.until('event: likes');
+      } finally {
+        stream.close();
+      }
+
+      expect(received).toMatch(/data: \{"postId":"?\d+"?,"likes":3,/);
+    });
+
+    it('replays missed events after Last-Event-ID', async () => {
+      const stream = await openStream(server, `/posts/${post.id}/events`, { 'Last-Event-ID': '0' });
+      let received;
+      try {
+        received = await stream.until('event: likes');
+      } finally {
+        stream.close();
+      }
+
+      expect(received).toContain('id: 1\nevent: likes');
+    });
+
+    it('streams comments as they are posted, since approval is off by default', async () => {
+      const stream = await openStream(server, `/api/v1/posts/${post.id}/events`);
+      let received;
+      try {
+        await stream.until('retry: 3000');
+        await ctx.request().post(`/api/v1/posts/${post.id}/comments`).send({ content: 'A comment that goes straight up', displayName: 'Reader' });
+        received = await stream.until('event: comment');
+      } finally {
+        stream.close();
+      }
+
+      expect(received).toContain('"content":"A comment that goes straight up"');
+    });
+
+    it('returns 404 for a post that isn\'t published', async () => {
+      const draft = await ctx.createPost({ status: 'draft' });
+
+      const res = await ctx.request().get(`/api/v1/posts/${draft.id}/events`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('limits open streams per IP', async () => {
+      await waitForClosedStreams(server);
+      const streams = [
+        await openStream(server, `/api/v1/posts/${post.id}/events`),
+        await openStream(server, `/api/v1/posts/${post.id}/events`)
+      ];
+
+      let res;
+      try {
+        expect(streams.map(stream => stream.res.statusCode)).toEqual([200, 200]);
+        res = await ctx.request().get(`/api/v1/posts/${post.id}/events`);
+      } finally {
+        streams.forEach(stream => stream.close());
+      }
+
+      expect(res.status).toBe(429);
+      expect(res.body.error).toBe('Too many open event streams from this IP');
+    });
+
+    it('gives back the lease of a client that left while its stream was opening', async () => {
+      const gone = { destroyed: true, on: () => {} };
+      const res = { status: () => res, set: () => res, flushHeaders: () => {}, write: () => {} };
+
+      const opened = [];
+      for (let i = 0; i < 3; i++) {
+        opened.push(await ctx.app.locals.services.postEvents.open({ req: gone, res, postId: post.id, ip: '203.0.113.9' }));
+      }
+
+      // Past SSE_MAX_STREAMS_PER_IP, so a kept lease would have refused the third
+      expect(opened).toEqual([true, true, true]);
+    });
+
+    it('rejects a bad lastEventId', async () => {
+      const res = await ctx.request().get(`/api/v1/posts/${post.id}/events?lastEventId=-1`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('stops counting a stream as an active connection once the client closes it', async () => {
+      const stream = await openStream(server, `/api/v1/posts/${post.id}/events`);
+      await stream.until('retry: 3000');
+      stream.close();
+      await waitForClosedStreams(server);
+
+      const res = await ctx.request().get('/metrics');
+
+      // The scrape itself is the only request still open
+      expect(res.text).toMatch(/^active_connections 1$/m);
+      expect(res.text).toMatch(/^http_requests_total\{method="GET",route="\/api\/v1\/posts\/:postId\/events[^"]*",status_code="200"\} \d+$/m);
+    });
+  });
+});
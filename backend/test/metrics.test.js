@@ -0,0 +1,86 @@
+const { createTestContext } = require('./helpers/app');
+
+describe('health, readiness and metrics routes', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await createTestContext();
+  });
+
+  afterAll(() => ctx.close());
+
+  afterEach(() => {
+    ctx.redisClient.failing = false;
+  });
+
+  describe('GET /health', () => {
+    it('reports healthy with the schema version', async () => {
+      const res = await ctx.request().get('/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'healthy', schemaVersion: 16 });
+      expect(new Date(res.body.timestamp).toString()).not.toBe('Invalid Date');
+    });
+
+    it('is also served under /api', async () => {
+      const res = await ctx.request().get('/api/v1/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('healthy');
+    });
+
+    it('reports unhealthy when Redis is down', async () => {
+      ctx.redisClient.failing = true;
+
+      const res = await ctx.request().get('/health');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toEqual({ status: 'unhealthy', requestId: res.headers['x-request-id'] });
+    });
+
+    it('rejects query parameters', async () => {
+      const res = await ctx.request().get('/health?verbose=1');
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([expect.objectContaining({ path: 'query.verbose' })]);
+    });
+  });
+
+  describe('GET /ready', () => {
+    it('reports ready', async () => {
+      const res = await ctx.request().get('/ready');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ status: 'ready' });
+    });
+
+    it('reports not ready when Redis is down', async () => {
+      ctx.redisClient.failing = true;
+
+      const res = await ctx.request().get('/ready');
+
+      expect(res.status).toBe(503);
+      expect(res.body.status).toBe('not ready');
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('serves the Prometheus registry', async () => {
+      await ctx.request().get('/ready');
+
+      const res = await ctx.request().get('/metrics');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/plain/);
+      expect(res.text).toContain('http_requests_total');
+      expect(res.text).toContain('newsletter_queue_depth');
+    });
+
+    it('rejects query parameters', async () => {
+      const res = await ctx.request().get('/metrics?format=json');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('invalid_request');
+    });
+  });
+});
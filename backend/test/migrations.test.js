@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { createTestDb } = require('./helpers/db');
+const { createMigrator } = require('../lib/migrations');
+
+// Schema and sample data of databases created before migrations existed
+const LEGACY_INIT_SQL = fs.readFileSync(path.join(__dirname, '../../archive/scripts/init-db.sql'), 'utf8');
+
+describe('migrations', () => {
+  describe('on a database created by the old init scripts', () => {
+    let pool;
+    let migrator;
+    let postId;
+
+    beforeAll(async () => {
+      pool = await createTestDb({ migrate: false });
+      await pool.query(LEGACY_INIT_SQL);
+      // The sample likes and comments are keyed by slug; give one of the two slugs a post
+      await pool.query(`
+        CREATE TABLE posts (
+          id BIGSERIAL PRIMARY KEY,
+          slug TEXT UNIQUE NOT NULL,
+          title TEXT NOT NULL,
+          content TEXT,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      postId = (await pool.query("INSERT INTO posts (slug, title) VALUES ('sample-post-1', 'Sample') RETURNING id", [])).rows[0].id;
+
+      migrator = createMigrator({ pool, logger: { info() {}, warn() {}, error() {} } });
+      await migrator.up();
+    });
+
+    afterAll(() => pool.end());
+
+    it('migrates to the latest version', async () => {
+      const { current, latest, pending } = await migrator.status();
+
+      expect(pending).toEqual([]);
+      expect(current).toBe(latest);
+    });
+
+    it('turns slug post_ids into post ids', async () => {
+      const columns = await pool.query(`
+        SELECT table_name, data_type FROM information_schema.columns
+        WHERE table_name IN ('likes', 'comments') AND column_name = 'post_id'
+        ORDER BY table_name
+      `, []);
+      const likes = await pool.query('SELECT post_id FROM likes', []);
+      const comments = await pool.query('SELECT post_id, display_name FROM comments ORDER BY id', []);
+
+      expect(columns.rows).toEqual([
+        { table_name: 'comments', data_type: 'bigint' },
+        { table_name: 'likes', data_type: 'bigint' }
+      ]);
+      expect(likes.rows).toEqual([{ post_id: postId }, { post_id: postId }]);
+      expect(comments.rows).toEqual([
+        { post_id: postId, display_name: 'John Doe' },
+        { post_id: postId, display_name: 'Jane Smith' }
+      ]);
+    });
+
+    it('sets the post counters from the converted rows', async () => {
+      const post = await pool.query('SELECT like_count, comment_count FROM posts WHERE id = $1', [postId]);
+
+      expect(post.rows[0]).toEqual({ like_count: 2, comment_count: 2 });
+    });
+
+    it('keeps rows for slugs with no post aside', async () => {
+      const likes = await pool.query('SELECT post_id FROM legacy_orphaned_likes', []);
+      const comments = await pool.query('SELECT post_id, author_name FROM legacy_orphaned_comments', []);
+
+      expect(likes.rows).toEqual([{ post_id: 'sample-post-2' }]);
+      expect(comments.rows).toEqual([{ post_id: 'sample-post-2', author_name: 'Bob Johnson' }]);
+    });
+  });
+
+  describe('locking', () => {
+    const logger = { info() {}, warn() {}, error() {} };
+    let pool;
+
+    beforeAll(async () => {
+      pool = await createTestDb();
+    });
+
+    afterAll(() => pool.end());
+
+    it('gives the lock back when a run finishes', async () => {
+      await createMigrator({ pool, logger }).up();
+
+      const locks = await pool.query("SELECT COUNT(*)::int AS count FROM pg_locks WHERE locktype = 'advisory'", []);
+      const row = await pool.query('SELECT locked_by FROM schema_migrations_lock WHERE id = 1', []);
+
+      expect(locks.rows[0].count).toBe(0);
+      expect(row.rows[0].locked_by).toBeNull();
+    });
+
+    it('gives up waiting for a lock another pod holds, naming that pod', async () => {
+      await pool.query("UPDATE schema_migrations_lock SET locked_by = 'other-pod:1', locked_at = NOW() WHERE id = 1", []);
+      // PGlite is a single session, so the other pod's connection is played by one whose lock attempts fail
+      const busyPool = {
+        ...pool,
+        connect: async () => ({
+          query: (sql, params) => (/pg_try_advisory_lock/.test(sql) ? { rows: [{ locked: false }] } : pool.query(sql, params)),
+          release() {}
+        })
+      };
+
+      try {
+        await expect(createMigrator({ pool: busyPool, logger, lockTimeoutMs: 0 }).up()).rejects.toThrow(/held by other-pod:1/);
+      } finally {
+        await pool.query('UPDATE schema_migrations_lock SET locked_by = NULL, locked_at = NULL WHERE id = 1', []);
+      }
+    });
+  });
+});
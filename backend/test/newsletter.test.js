@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const { createTestContext } = require('./helpers/app');
+const { createUnsubscribeSigner } = require('../lib/newsletter');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+describe('newsletter routes', () => {
+  let ctx;
+  let admin;
+  let signer;
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${admin.accessToken}`);
+
+  const lastMailTo = (email) => ctx.mailer.sent.filter(message => message.to === email).pop();
+
+  // Subscribe an address and follow the link in its confirmation email
+  const confirmedSubscriber = async (email) => {
+    await ctx.request().post('/api/v1/newsletter/subscribe').send({ email });
+    const token = decodeURIComponent(lastMailTo(email).text.match(/token=(\S+)/)[1]);
+    await ctx.request().get('/api/v1/newsletter/confirm').query({ token });
+  };
+
+  // POST a generic bounce webhook, signed as the provider would
+  const sendWebhook = (body, { timestamp = Math.floor(Date.now() / 1000), secret = WEBHOOK_SECRET } = {}) => {
+    const raw = JSON.stringify(body);
+    const signature = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${raw}`).digest('hex');
+    return ctx.request()
+      .post('/api/v1/newsletter/webhooks/generic')
+      .set('Content-Type', 'application/json')
+      .set('X-Webhook-Timestamp', String(timestamp))
+      .set('X-Webhook-Signature', signature)
+      .send(raw);
+  };
+
+  beforeAll(async () => {
+    ctx = await createTestContext();
+    admin = await ctx.login('admin');
+    signer = createUnsubscribeSigner();
+  });
+
+  afterAll(() => ctx.close());
+
+  afterEach(() => {
+    ctx.mailer.failing = false;
+  });
+
+  describe('subscribing', () => {
+    it('emails a confirmation link to a new address', async () => {
+      const res = await ctx.request().post('/api/v1/newsletter/subscribe').send({ email: ' Reader@Example.com ' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, email: 'reader@example.com', confirmationRequired: true });
+      const mail = lastMailTo('reader@example.com');
+      expect(mail.subject).toBe('Confirm your subscription');
+      expect(mail.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    });
+
+    it('resends the link while the address is unconfirmed', async () => {
+      const before = ctx.mailer.sent.length;
+
+      const res = await ctx.request().post('/newsletter/subscribe').send({ email: 'reader@example.com' });
+
+      expect(res.body.confirmationRequired).toBe(true);
+      expect(ctx.mailer.sent.length).toBe(before + 1);
+    });
+
+    it('limits how often one address can be sent a link', async () => {
+      const email = 'flooded@example.com';
+      const before = ctx.mailer.sent.length;
+
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await ctx.request().post('/api/v1/newsletter/subscribe').send({ email: i % 2 ? email.toUpperCase() : email })).status);
+      }
+      const other = await ctx.request().post('/api/v1/newsletter/subscribe').send({ email: 'unflooded@example.com' });
+
+      expect(statuses).toEqual([200, 200, 200, 429]);
+      expect(ctx.mailer.sent.length).toBe(before + 4);
+      expect(other.status).toBe(200);
+    });
+
+    it('confirms the subscription from the emailed link', async () => {
+      const token = decodeURIComponent(lastMailTo('reader@example.com').text.match(/token=(\S+)/)[1]);
+
+      const res = await ctx.request().get('/api/v1/newsletter/confirm').query({ token });
+      const status = await ctx.request().get('/api/v1/newsletter/status').query({ email: 'reader@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, message: 'Your subscription is confirmed', email: 'reader@example.com' });
+      expect(status.body).toMatchObject({ subscribed: true, status: 'active', verified: true });
+    });
+
+    it('rejects a used or unknown confirmation token', async () => {
+      const res = await ctx.request().get('/api/v1/newsletter/confirm').query({ token: 'not-a-real-token' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Confirmation link is invalid or has expired');
+    });
+
+    it('requires a confirmation token', async () => {
+      const res = await ctx.request().get('/api/v1/newsletter/confirm');
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('query.token');
+    });
+
+    it('reports an address that is already subscribed', async () => {
+      const res = await ctx.request().post('/api/v1/newsletter/subscribe').send({ email: 'reader@example.com' });
+
+      expect(res.body).toMatchObject({ success: true, alreadySubscribed: true });
+    });
+
+    it('rejects an invalid address', async () => {
+      const res = await ctx.request().post('/api/v1/newsletter/subscribe').send({ email: 'not-an-email' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('body.email');
+    });
+
+    it('answers 502 when the confirmation email can\'t be sent', async () => {
+      ctx.mailer.failing = true;
+
+      const res = await ctx.request().post('/api/v1/newsletter/subscribe').send({ email: 'unlucky@example.com' });
+
+      expect(res.status).toBe(502);
+      expect(res.body).toMatchObject({ code: 'upstream_error', error: 'The email could not be sent, please try again later' });
+    });
+
+    it('reports unknown addresses in the status check', async () => {
+      const res = await ctx.request().get('/api/v1/newsletter/status').query({ email: 'nobody@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ subscribed: false, status: 'not_found' });
+    });
+
+    it('requires an address for the status check', async () => {
+      const res = await ctx.request().get('/api/v1/newsletter/status');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('unsubscribing', () => {
+    const email = 'leaving@example.com';
+
+    beforeAll(() => confirmedSubscriber(email));
+
+    it('checks a signed link without acting on it', async () => {
+      const res = await ctx.request().get('/api/v1/newsletter/unsubscribe').query({ email, sig: signer.sign(email) });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ valid: true, email });
+    });
+
+    it('rejects a link with a bad signature', async () => {
+      const check = await ctx.request().get('/api/v1/newsletter/unsubscribe').query({ email, sig: signer.sign('someone@example.com') });
+      const post = await ctx.request().post('/api/v1/newsletter/unsubscribe').query({ email, sig: 'forged' });
+
+      expect(check.status).toBe(403);
+      expect(post.status).toBe(403);
+      expect(post.body.error).toBe('Invalid unsubscribe link');
+    });
+
+    it('emails a signed link when asked without one', async () => {
+      const res = await ctx.request().post('/api/v1/newsletter/unsubscribe').send({ email });
+
+      expect(res.status).toBe(202);
+      expect(lastMailTo(email).text).toContain(signer.unsubscribeUrl(email));
+    });
+
+    it('answers the same for an address that isn\'t subscribed', async () => {
+      const before = ctx.mailer.sent.length;
+
+      const res = await ctx.request().post('/api/v1/newsletter/unsubscribe').send({ email: 'stranger@example.com' });
+
+      expect(res.status).toBe(202);
+      expect(ctx.mailer.sent.length).toBe(before);
+    });
+
+    it('unsubscribes with a one-click POST to the signed link', async () => {
+      const res = await ctx.request()
+        .post('/api/v1/newsletter/unsubscribe')
+        .query({ email, sig: signer.sign(email) })
+        .type('form')
+        .send({ 'List-Unsubscribe': 'One-Click' });
+      const again = await ctx.request().post('/api/v1/newsletter/unsubscribe').send({ email, sig: signer.sign(email) });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, email });
+      expect(again.body.alreadyUnsubscribed).toBe(true);
+    });
+
+    it('lets a browser unsubscribe by following the emailed link', async () => {
+      const reader = 'clicked@example.com';
+      await confirmedSubscriber(reader);
+      await ctx.request().post('/api/v1/newsletter/unsubscribe').send({ email: reader });
+      const link = new URL(lastMailTo(reader).text.match(/^https?:\S+unsubscribe\S*$/m)[0]);
+      const linkPath = `${link.pathname}${link.search}`;
+
+      const page = await ctx.request().get(linkPath).set('Accept', 'text/html');
+      const statusAfterOpening = await ctx.request().get('/api/v1/newsletter/status').query({ email: reader });
+      const fields = Object.fromEntries([...page.text.matchAll(/<input type="hidden" name="(\w+)" value="([^"]*)">/g)].map(([, name, value]) => [name, value]));
+      const submitted = await ctx.request().post(linkPath).set('Accept', 'text/html').type('form').send(fields);
+      const statusAfterSubmitting = await ctx.request().get('/api/v1/newsletter/status').query({ email: reader });
+
+      expect(page.status).toBe(200);
+      expect(page.headers['content-type']).toMatch(/^text\/html/);
+      expect(page.text).toContain('<form method="post">');
+      expect(fields).toEqual({ email: reader, sig: signer.sign(reader) });
+      expect(statusAfterOpening.body.status).toBe('active');
+      expect(submitted.status).toBe(200);
+      expect(submitted.headers['content-type']).toMatch(/^text\/html/);
+      expect(submitted.text).toContain('won\'t receive the newsletter any more');
+      expect(statusAfterSubmitting.body.status).toBe('unsubscribed');
+    });
+
+    it('returns 404 for a signed link to an unknown address', async () => {
+      const res = await ctx.request().post('/api/v1/newsletter/unsubscribe').send({ email: 'ghost@example.com', sig: signer.sign('ghost@example.com') });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('requires an address', async () => {
+      const res = await ctx.request().post('/api/v1/newsletter/unsubscribe').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Email is required');
+    });
+  });
+
+  describe('bounce webhooks', () => {
+    const email = 'bouncy@example.com';
+
+    beforeAll(() => confirmedSubscriber(email));
+
+    it('records a hard bounce and blocks the address', async () => {
+      const res = await sendWebhook({ type: 'bounce', bounceType: 'hard', email, id: 'evt-1', reason: 'Mailbox does not exist' });
+      const resubscribe = await ctx.request().post('/api/v1/newsletter/subscribe').send({ email });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, processed: 1, duplicates: 0, rejected: [] });
+      expect(resubscribe.status).toBe(400);
+      expect(resubscribe.body).toMatchObject({ error: 'This email address has been blocked due to previous bounces', details: { bounceCount: 1 } });
+    });
+
+    it('ignores redelivered events and reports invalid ones', async () => {
+      const res = await sendWebhook({
+        events: [
+          { type: 'bounce', bounceType: 'hard', email, id: 'evt-1' },
+          { type: 'delivery', email, id: 'evt-2' },
+          { type: 'bounce', bounceType: 'soft', email }
+        ]
+      });
+
+      expect(res.body).toEqual({
+        success: true,
+        processed: 0,
+        duplicates: 1,
+        rejected: [{ index: 1, error: 'type must be bounce or complaint' }, { index: 2, error: 'id is required' }]
+      });
+    });
+
+    it('unsubscribes an address that complains', async () => {
+      await confirmedSubscriber('annoyed@example.com');
+
+      await sendWebhook({ type: 'complaint', email: 'annoyed@example.com', id: 'evt-3' });
+      const status = await ctx.request().get('/api/v1/newsletter/status').query({ email: 'annoyed@example.com' });
+
+      expect(status.body.status).toBe('unsubscribed');
+    });
+
+    it('rejects a bad signature or a stale timestamp', async () => {
+      const forged = await sendWebhook({ type: 'bounce', email, id: 'evt-4' }, { secret: 'wrong-secret' });
+      const stale = await sendWebhook({ type: 'bounce', email, id: 'evt-5' }, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+
+      expect(forged.status).toBe(401);
+      expect(forged.body.error).toBe('Webhook verification failed');
+      expect(stale.status).toBe(401);
+    });
+
+    it('rejects an unsigned SES notification', async () => {
+      const res = await ctx.request()
+        .post('/api/v1/newsletter/webhooks/ses')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({ Type: 'Notification', Message: '{}' }));
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects signed SNS messages while SES_SNS_TOPIC_ARNS is unset', async () => {
+      const res = await ctx.request()
+        .post('/api/v1/newsletter/webhooks/ses')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({
+          Type: 'SubscriptionConfirmation',
+          TopicArn: 'arn:aws:sns:us-east-1:123456789012:someone-elses-topic',
+          SubscribeURL: 'https://sns.us-east-1.amazonaws.com/?Action=ConfirmSubscription',
+          Signature: 'c2lnbmF0dXJl',
+          SigningCertURL: 'https://sns.us-east-1.amazonaws.com/SimpleNotificationService.pem'
+        }));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Webhook verification failed');
+    });
+
+    it('returns 404 for an unknown provider', async () => {
+      const res = await ctx.request().post('/api/v1/newsletter/webhooks/mailgun').send({});
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toMatch(/^Unknown webhook provider/);
+    });
+
+    it('lists an address\'s bounce and complaint history for admins', async () => {
+      const res = await asAdmin(ctx.request().get(`/api/v1/admin/newsletter/subscribers/${email}/events`));
+      const anonymous = await ctx.request().get(`/api/v1/admin/newsletter/subscribers/${email}/events`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.subscription).toMatchObject({ email, status: 'bounced', hard_bounce_count: 1 });
+      expect(res.body.events).toEqual([expect.objectContaining({ provider: 'generic', event_type: 'bounce', bounce_type: 'hard' })]);
+      expect(anonymous.status).toBe(401);
+    });
+
+    it('rejects an invalid address in the history lookup', async () => {
+      const res = await asAdmin(ctx.request().get('/api/v1/admin/newsletter/subscribers/nobody/events'));
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('campaigns', () => {
+    let campaignId;
+
+    beforeAll(async () => {
+      await confirmedSubscriber('fan@example.com');
+      await ctx.createPost({ slug: 'launch-notes', title: 'Launch notes', content: 'We **launched**.' });
+    });
+
+    it('requires the admin role', async () => {
+      const moderator = await ctx.login('moderator');
+
+      const anonymous = await ctx.request().get('/api/v1/admin/campaigns');
+      const res = await ctx.request().get('/api/v1/admin/campaigns').set('Authorization', `Bearer ${moderator.accessToken}`);
+
+      expect(anonymous.status).toBe(401);
+      expect(res.status).toBe(403);
+    });
+
+    it('drafts a campaign from a post', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/campaigns')).send({ postSlug: 'launch-notes' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.campaign).toMatchObject({ subject: 'Launch notes', post_slug: 'launch-notes', status: 'draft' });
+      campaignId = res.body.campaign.id;
+    });
+
+    it('drafts a campaign from markdown', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/campaigns')).send({ subject: 'Monthly notes', markdown: '# Hello' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.campaign).toMatchObject({ subject: 'Monthly notes', post_slug: null });
+    });
+
+    it('needs a post or markdown with a subject', async () => {
+      const empty = await asAdmin(ctx.request().post('/api/v1/admin/campaigns')).send({});
+      const noSubject = await asAdmin(ctx.request().post('/api/v1/admin/campaigns')).send({ markdown: '# Hello' });
+      const missingPost = await asAdmin(ctx.request().post('/api/v1/admin/campaigns')).send({ postSlug: 'no-such-post' });
+
+      expect(empty.status).toBe(400);
+      expect(empty.body.error).toBe('Either postSlug or markdown is required');
+      expect(noSubject.status).toBe(400);
+      expect(missingPost.status).toBe(404);
+    });
+
+    it('lists campaigns', async () => {
+      const res = await asAdmin(ctx.request().get('/api/v1/admin/campaigns'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.campaigns.map(campaign => campaign.subject)).toEqual(expect.arrayContaining(['Launch notes', 'Monthly notes']));
+    });
+
+    it('gets a campaign with its stats', async () => {
+      const res = await asAdmin(ctx.request().get(`/api/v1/admin/campaigns/${campaignId}`));
+      const missing = await asAdmin(ctx.request().get('/api/v1/admin/campaigns/999999'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.stats).toMatchObject({ total: 0, delivered: 0 });
+      expect(missing.status).toBe(404);
+    });
+
+    it('edits a draft', async () => {
+      const res = await asAdmin(ctx.request().put(`/api/v1/admin/campaigns/${campaignId}`)).send({ subject: 'We launched' });
+      const missing = await asAdmin(ctx.request().put('/api/v1/admin/campaigns/999999')).send({ subject: 'Nothing' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.campaign).toMatchObject({ subject: 'We launched', post_slug: 'launch-notes' });
+      expect(missing.status).toBe(404);
+    });
+
+    it('previews the rendered email', async () => {
+      const json = await asAdmin(ctx.request().get(`/api/v1/admin/campaigns/${campaignId}/preview`));
+      const html = await asAdmin(ctx.request().get(`/api/v1/admin/campaigns/${campaignId}/preview?format=html`));
+      const missing = await asAdmin(ctx.request().get('/api/v1/admin/campaigns/999999/preview'));
+
+      expect(json.status).toBe(200);
+      expect(json.body.html).toContain('<strong>launched</strong>');
+      expect(html.headers['content-type']).toMatch(/^text\/html/);
+      expect(missing.status).toBe(404);
+    });
+
+    it('sends a test to one address', async () => {
+      const res = await asAdmin(ctx.request().post(`/api/v1/admin/campaigns/${campaignId}/test`)).send({ email: 'editor@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(lastMailTo('editor@example.com').subject).toBe('[TEST] We launched');
+    });
+
+    it('answers 502 when the test can\'t be sent', async () => {
+      ctx.mailer.failing = true;
+
+      const res = await asAdmin(ctx.request().post(`/api/v1/admin/campaigns/${campaignId}/test`)).send({ email: 'editor@example.com' });
+
+      expect(res.status).toBe(502);
+    });
+
+    it('queues one delivery per confirmed subscriber and sends them', async () => {
+      const res = await asAdmin(ctx.request().post(`/api/v1/admin/campaigns/${campaignId}/send`));
+      await ctx.app.locals.services.deliveryQueue.tick();
+      const campaign = await asAdmin(ctx.request().get(`/api/v1/admin/campaigns/${campaignId}`));
+
+      expect(res.status).toBe(202);
+      expect(res.body).toMatchObject({ success: true, recipients: 2 });
+      expect(campaign.body.campaign.status).toBe('sent');
+      expect(campaign.body.stats).toMatchObject({ total: 2, delivered: 2 });
+      expect(lastMailTo('fan@example.com').subject).toBe('We launched');
+    });
+
+    it('records opens from the tracking pixel', async () => {
+      const token = lastMailTo('fan@example.com').html.match(/\/open\/(\w+)\.gif/)[1];
+
+      const res = await ctx.request().get(`/api/v1/newsletter/open/${token}.gif`);
+      await ctx.request().get(`/newsletter/open/${token}.gif`);
+      const campaign = await asAdmin(ctx.request().get(`/api/v1/admin/campaigns/${campaignId}`));
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/gif');
+      expect(campaign.body.stats.opened).toBe(1);
+    });
+
+    it('still serves the pixel for an unknown token', async () => {
+      const res = await ctx.request().get('/api/v1/newsletter/open/unknown.gif');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/gif');
+    });
+
+    it('won\'t send, edit or cancel a campaign that was already sent', async () => {
+      const send = await asAdmin(ctx.request().post(`/api/v1/admin/campaigns/${campaignId}/send`));
+      const edit = await asAdmin(ctx.request().put(`/api/v1/admin/campaigns/${campaignId}`)).send({ subject: 'Again' });
+      const cancel = await asAdmin(ctx.request().post(`/api/v1/admin/campaigns/${campaignId}/cancel`));
+      const missing = await asAdmin(ctx.request().post('/api/v1/admin/campaigns/999999/send'));
+
+      expect(send.status).toBe(409);
+      expect(send.body.error).toBe('Campaign is already sent');
+      expect(edit.status).toBe(409);
+      expect(cancel.status).toBe(409);
+      expect(missing.status).toBe(404);
+    });
+
+    it('cancels a draft', async () => {
+      const draft = await asAdmin(ctx.request().post('/api/v1/admin/campaigns')).send({ subject: 'Never mind', markdown: 'Draft' });
+
+      const res = await asAdmin(ctx.request().post(`/api/v1/admin/campaigns/${draft.body.campaign.id}/cancel`));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, stats: { total: 0 } });
+    });
+  });
+});
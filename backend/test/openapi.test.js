@@ -0,0 +1,135 @@
+const Joi = require('joi');
+const { createTestContext } = require('./helpers/app');
+const { listRoutes, toOpenApiPath, toJsonSchema } = require('../lib/openapi');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+describe('OpenAPI document', () => {
+  let ctx;
+  let spec;
+
+  beforeAll(async () => {
+    // Without the legacy aliases every registered route is one the document should list
+    ctx = await createTestContext({ env: { API_LEGACY_ROUTES: 'false' } });
+    spec = (await ctx.request().get('/api/openapi.json')).body;
+  });
+
+  afterAll(() => ctx.close());
+
+  it('is served as OpenAPI 3.1', async () => {
+    const res = await ctx.request().get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.info.title).toBe('Blog API');
+  });
+
+  it('documents every registered route', () => {
+    const undocumented = listRoutes(ctx.app)
+      .filter(({ method, path }) => !spec.paths[toOpenApiPath(path)]?.[method.toLowerCase()])
+      .map(({ method, path }) => `${method} ${path}`);
+
+    // Add an entry to lib/api-docs.js for anything listed here
+    expect(undocumented).toEqual([]);
+  });
+
+  it('documents no route that isn\'t registered', () => {
+    const registered = new Set(listRoutes(ctx.app).map(({ method, path }) => `${method.toLowerCase()} ${toOpenApiPath(path)}`));
+    const stale = Object.entries(spec.paths).flatMap(([path, operations]) => Object.keys(operations)
+      .filter(method => METHODS.includes(method))
+      .map(method => `${method} ${path}`)
+      .filter(operation => !registered.has(operation)));
+
+    expect(stale).toEqual([]);
+  });
+
+  it('includes the Prometheus forwarding route with its body schema', () => {
+    const operation = spec.paths['/api/v1/analytics/prometheus'].post;
+    const body = operation.requestBody.content['application/json'].schema;
+
+    expect(operation.tags).toEqual(['Analytics']);
+    expect(body.required).toEqual(['metrics']);
+    expect(body.properties.metrics.items.properties.name.pattern).toBe('^[a-zA-Z_:][a-zA-Z0-9_:]*$');
+  });
+
+  it('takes path and query parameters from the route schemas', () => {
+    const list = spec.paths['/api/v1/posts'].get.parameters;
+    const react = spec.paths['/api/v1/posts/{postId}/reactions/{type}'].post.parameters;
+
+    expect(list.find(param => param.name === 'limit')).toEqual({
+      name: 'limit',
+      in: 'query',
+      required: false,
+      schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+    });
+    expect(react.map(param => [param.name, param.in, param.required])).toEqual([
+      ['postId', 'path', true],
+      ['type', 'path', true]
+    ]);
+    expect(react[1].schema.enum).toContain('like');
+  });
+
+  it('marks role-restricted routes as needing a bearer token', () => {
+    const adminPosts = spec.paths['/api/v1/admin/posts'].get;
+    const posts = spec.paths['/api/v1/posts'].get;
+
+    expect(adminPosts.security).toEqual([{ bearerAuth: [] }]);
+    expect(adminPosts.description).toContain('`admin`');
+    expect(adminPosts.responses[401]).toEqual({ $ref: '#/components/responses/Unauthenticated' });
+    expect(posts.security).toBeUndefined();
+    expect(posts.responses[401]).toBeUndefined();
+  });
+
+  it('gives non-JSON routes their content type', () => {
+    expect(Object.keys(spec.paths['/feed.xml'].get.responses[200].content)).toEqual(['application/rss+xml']);
+    expect(Object.keys(spec.paths['/api/v1/posts/{postId}/events'].get.responses[200].content)).toEqual(['text/event-stream']);
+    expect(Object.keys(spec.paths['/api/v1/newsletter/unsubscribe'].post.requestBody.content))
+      .toEqual(['application/json', 'application/x-www-form-urlencoded']);
+  });
+
+  it('serves the docs page from /api/docs/', async () => {
+    const redirect = await ctx.request().get('/api/docs');
+    const page = await ctx.request().get('/api/docs/');
+    const init = await ctx.request().get('/api/docs/swagger-ui-init.js');
+
+    expect(redirect.status).toBe(301);
+    expect(redirect.headers.location).toBe('/api/docs/');
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toMatch(/^text\/html/);
+    expect(page.text).toContain('swagger-ui-init.js');
+    expect(init.text).toContain('/api/openapi.json');
+  });
+});
+
+describe('toJsonSchema', () => {
+  it('converts joi constraints to JSON Schema keywords', () => {
+    const schema = Joi.object({
+      email: Joi.string().max(255).email().required(),
+      status: Joi.string().valid('draft', 'published').default('draft'),
+      tags: Joi.array().items(Joi.string().max(50)).max(10),
+      note: Joi.string().allow(null, ''),
+      publishAt: Joi.date().iso()
+    });
+
+    expect(toJsonSchema(schema.describe())).toEqual({
+      type: 'object',
+      properties: {
+        email: { type: 'string', maxLength: 255, format: 'email' },
+        status: { type: 'string', enum: ['draft', 'published'], default: 'draft' },
+        tags: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 10 },
+        note: { type: ['string', 'null'] },
+        publishAt: { type: 'string', format: 'date-time' }
+      },
+      required: ['email'],
+      additionalProperties: false
+    });
+  });
+
+  it('leaves objects open when joi does', () => {
+    expect(toJsonSchema(Joi.object().describe())).toEqual({ type: 'object' });
+    expect(toJsonSchema(Joi.object({ a: Joi.string() }).unknown(true).describe())).toEqual({
+      type: 'object',
+      properties: { a: { type: 'string' } }
+    });
+  });
+});
@@ -0,0 +1,426 @@
+const { createTestContext } = require('./helpers/app');
+
+// Scheduling checks are made against the injected clock, not the machine's
+const NOW = Date.parse('2030-01-01T00:00:00Z');
+
+describe('post routes', () => {
+  let ctx;
+  let admin;
+  let moderator;
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${admin.accessToken}`);
+
+  beforeAll(async () => {
+    ctx = await createTestContext({ clock: () => NOW, env: { SITEMAP_URL_LIMIT: '3' } });
+    admin = await ctx.login('admin');
+    moderator = await ctx.login('moderator');
+  });
+
+  afterAll(() => ctx.close());
+
+  describe('admin post management', () => {
+    it('requires a token', async () => {
+      const res = await ctx.request().get('/api/v1/admin/posts');
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('unauthenticated');
+    });
+
+    it('requires the admin role', async () => {
+      const res = await ctx.request().get('/api/v1/admin/posts').set('Authorization', `Bearer ${moderator.accessToken}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('forbidden');
+    });
+
+    it('creates a draft with a slug from the title, tags and categories', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({
+        title: 'Running Postgres in WASM',
+        content: 'First line\nSecond line',
+        tags: ['Databases', 'WASM'],
+        categories: ['Engineering']
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.revision).toBe(1);
+      expect(res.body.post).toMatchObject({
+        slug: 'running-postgres-in-wasm',
+        status: 'draft',
+        published_at: null,
+        tags: [{ slug: 'databases', name: 'Databases' }, { slug: 'wasm', name: 'WASM' }],
+        categories: [{ slug: 'engineering', name: 'Engineering' }]
+      });
+    });
+
+    it('publishes a post on create', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({
+        title: 'Hello world',
+        slug: 'hello-world',
+        content: 'Welcome to the **blog**.',
+        status: 'published',
+        tags: ['Databases']
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.post.status).toBe('published');
+      expect(res.body.post.published_at).not.toBeNull();
+    });
+
+    it('rejects a taken slug', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({ title: 'Hello again', slug: 'hello-world' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('conflict');
+    });
+
+    it('rejects a post without a title', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({ content: 'No title' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([expect.objectContaining({ path: 'body.title', code: 'any.required' })]);
+    });
+
+    it('rejects an invalid slug', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({ title: 'Bad slug', slug: 'Not A Slug' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^Slug must be/);
+    });
+
+    it('schedules a post for a time after the clock', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({
+        title: 'Coming soon',
+        status: 'scheduled',
+        publishAt: '2030-06-01T00:00:00Z'
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.post.status).toBe('scheduled');
+    });
+
+    it('rejects scheduling a post for a time before the clock', async () => {
+      const res = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({
+        title: 'Too late',
+        status: 'scheduled',
+        publishAt: '2029-12-31T00:00:00Z'
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('publishAt must be in the future');
+    });
+
+    it('lists posts, filtered by status', async () => {
+      const res = await asAdmin(ctx.request().get('/api/v1/admin/posts?status=draft'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.posts.map(post => post.slug)).toEqual(['running-postgres-in-wasm']);
+      expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+
+    it('rejects an unknown status filter', async () => {
+      const res = await asAdmin(ctx.request().get('/api/v1/admin/posts?status=archived'));
+
+      expect(res.status).toBe(400);
+    });
+
+    it('gets one post in any state', async () => {
+      const list = await asAdmin(ctx.request().get('/api/v1/admin/posts?status=draft'));
+      const res = await asAdmin(ctx.request().get(`/api/v1/admin/posts/${list.body.posts[0].id}`));
+
+      expect(res.status).toBe(200);
+      expect(res.body.post).toMatchObject({ slug: 'running-postgres-in-wasm', content: 'First line\nSecond line' });
+    });
+
+    it('returns 404 for a missing post', async () => {
+      const res = await asAdmin(ctx.request().get('/api/v1/admin/posts/999999'));
+
+      expect(res.status).toBe(404);
+    });
+
+    describe('editing and revisions', () => {
+      let postId;
+
+      beforeAll(async () => {
+        const created = await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({
+          title: 'Revisions',
+          content: 'one\ntwo'
+        });
+        postId = created.body.post.id;
+      });
+
+      it('records a revision for each edit', async () => {
+        const res = await asAdmin(ctx.request().put(`/api/v1/admin/posts/${postId}`)).send({
+          content: 'one\nthree',
+          status: 'published',
+          note: 'Fix the second line'
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.revision).toBe(2);
+        expect(res.body.post).toMatchObject({ status: 'published', content: 'one\nthree' });
+      });
+
+      it('rejects an edit that breaks validation', async () => {
+        const res = await asAdmin(ctx.request().put(`/api/v1/admin/posts/${postId}`)).send({ title: ' ' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/^Title is required/);
+      });
+
+      it('returns 404 when editing a missing post', async () => {
+        const res = await asAdmin(ctx.request().put('/api/v1/admin/posts/999999')).send({ title: 'Gone' });
+
+        expect(res.status).toBe(404);
+      });
+
+      it('rejects an edit to a slug another post uses', async () => {
+        const res = await asAdmin(ctx.request().put(`/api/v1/admin/posts/${postId}`)).send({ slug: 'hello-world' });
+
+        expect(res.status).toBe(409);
+      });
+
+      it('lists revisions newest first', async () => {
+        const res = await asAdmin(ctx.request().get(`/api/v1/admin/posts/${postId}/revisions`));
+
+        expect(res.status).toBe(200);
+        expect(res.body.revisions.map(revision => [revision.revision, revision.note, revision.edited_by])).toEqual([
+          [2, 'Fix the second line', admin.username],
+          [1, 'Created', admin.username]
+        ]);
+      });
+
+      it('diffs a revision against the previous one', async () => {
+        const res = await asAdmin(ctx.request().get(`/api/v1/admin/posts/${postId}/revisions/2`));
+
+        expect(res.status).toBe(200);
+        expect(res.body.diff).toMatchObject({ against: 1, slug: null, title: null });
+        expect(res.body.diff.content).toEqual({
+          added: 1,
+          removed: 1,
+          changes: [
+            { type: 'equal', lines: ['one'] },
+            { type: 'removed', lines: ['two'] },
+            { type: 'added', lines: ['three'] }
+          ]
+        });
+      });
+
+      it('returns 404 for a missing revision or comparison base', async () => {
+        const missing = await asAdmin(ctx.request().get(`/api/v1/admin/posts/${postId}/revisions/9`));
+        const badBase = await asAdmin(ctx.request().get(`/api/v1/admin/posts/${postId}/revisions/2?against=7`));
+
+        expect(missing.status).toBe(404);
+        expect(badBase.status).toBe(404);
+        expect(badBase.body.error).toBe('Revision to compare against not found');
+      });
+
+      it('restores a revision as a new revision', async () => {
+        const res = await asAdmin(ctx.request().post(`/api/v1/admin/posts/${postId}/revisions/1/restore`));
+
+        expect(res.status).toBe(200);
+        expect(res.body.revision).toBe(3);
+        expect(res.body.post).toMatchObject({ content: 'one\ntwo', status: 'published' });
+      });
+
+      it('returns 404 when restoring a missing revision', async () => {
+        const res = await asAdmin(ctx.request().post(`/api/v1/admin/posts/${postId}/revisions/9/restore`));
+
+        expect(res.status).toBe(404);
+      });
+
+      it('deletes a post', async () => {
+        const res = await asAdmin(ctx.request().delete(`/api/v1/admin/posts/${postId}`));
+        const again = await asAdmin(ctx.request().delete(`/api/v1/admin/posts/${postId}`));
+
+        expect(res.status).toBe(200);
+        expect(res.body.post.slug).toBe('revisions');
+        expect(again.status).toBe(404);
+      });
+    });
+  });
+
+  describe('public posts', () => {
+    it('lists published posts only', async () => {
+      const res = await ctx.request().get('/api/v1/posts');
+
+      expect(res.status).toBe(200);
+      expect(res.body.posts.map(post => post.slug)).toEqual(['hello-world']);
+      expect(res.body.posts[0].reactions).toEqual(expect.objectContaining({ like: 0 }));
+      expect(res.body.pagination).toEqual({ page: 1, limit: 10, total: 1, pages: 1 });
+    });
+
+    it('filters by tag', async () => {
+      const tagged = await ctx.request().get('/api/v1/posts?tag=databases');
+      const untagged = await ctx.request().get('/api/v1/posts?tag=wasm');
+
+      expect(tagged.body.posts.map(post => post.slug)).toEqual(['hello-world']);
+      expect(tagged.body.filters).toEqual({ tag: 'databases', category: null, sort: 'recent' });
+      expect(untagged.body.posts).toEqual([]);
+    });
+
+    it('rejects an unknown sort', async () => {
+      const res = await ctx.request().get('/api/v1/posts?sort=random');
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('query.sort');
+    });
+
+    it('gets a published post by slug', async () => {
+      const res = await ctx.request().get('/posts/hello-world');
+
+      expect(res.status).toBe(200);
+      expect(res.body.post).toMatchObject({ slug: 'hello-world', title: 'Hello world' });
+    });
+
+    it('hides drafts', async () => {
+      const res = await ctx.request().get('/api/v1/posts/running-postgres-in-wasm');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Post not found');
+    });
+
+    it('builds link preview metadata', async () => {
+      const res = await ctx.request().get('/api/v1/posts/hello-world/meta');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('public, max-age=300');
+      expect(res.body.meta.jsonLd).toMatchObject({ '@type': 'BlogPosting', headline: 'Hello world' });
+    });
+
+    it('returns 404 for metadata of a missing post', async () => {
+      const res = await ctx.request().get('/api/v1/posts/nope/meta');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('tags and categories', () => {
+    it('counts published posts per tag, then serves them from the cache', async () => {
+      const first = await ctx.request().get('/api/v1/tags');
+      const second = await ctx.request().get('/api/v1/tags');
+
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual({ tags: [{ slug: 'databases', name: 'Databases', post_count: 1 }], cached: false });
+      expect(second.body.cached).toBe(true);
+    });
+
+    it('drops the cached counts when a post changes', async () => {
+      await asAdmin(ctx.request().post('/api/v1/admin/posts')).send({ title: 'Second', status: 'published', tags: ['Databases'] });
+
+      const res = await ctx.request().get('/api/v1/tags');
+
+      expect(res.body).toEqual({ tags: [{ slug: 'databases', name: 'Databases', post_count: 2 }], cached: false });
+    });
+
+    it('counts published posts per category', async () => {
+      const res = await ctx.request().get('/api/v1/categories');
+
+      expect(res.status).toBe(200);
+      expect(res.body.categories).toEqual([]);
+    });
+
+    it('rejects query parameters', async () => {
+      const res = await ctx.request().get('/api/v1/categories?all=1');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('search', () => {
+    it('finds published posts', async () => {
+      const res = await ctx.request().get('/api/v1/search').query({ q: 'welcome' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.results.map(result => result.slug)).toEqual(['hello-world']);
+      expect(res.body.pagination.total).toBe(1);
+    });
+
+    it('returns an empty page when nothing matches', async () => {
+      const res = await ctx.request().get('/api/v1/search').query({ q: 'kubernetes' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.results).toEqual([]);
+    });
+
+    it('requires q', async () => {
+      const res = await ctx.request().get('/api/v1/search');
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].path).toBe('query.q');
+    });
+
+    it('rejects a query with nothing to search for', async () => {
+      const res = await ctx.request().get('/api/v1/search').query({ q: '!!!' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Search query (q) is required');
+    });
+  });
+
+  describe('feeds', () => {
+    it('serves RSS, Atom and JSON Feed', async () => {
+      const rss = await ctx.request().get('/feed.xml');
+      const atom = await ctx.request().get('/atom.xml');
+      const json = await ctx.request().get('/feed.json');
+
+      expect(rss.status).toBe(200);
+      expect(rss.headers['content-type']).toMatch(/^application\/rss\+xml/);
+      expect(rss.text).toContain('<title>Hello world</title>');
+      expect(atom.headers['content-type']).toMatch(/^application\/atom\+xml/);
+      expect(JSON.parse(json.text).items.map(item => item.title)).toContain('Hello world');
+    });
+
+    it('answers a matching If-None-Match with 304', async () => {
+      const first = await ctx.request().get('/feed.xml');
+      const res = await ctx.request().get('/feed.xml').set('If-None-Match', first.headers.etag);
+
+      expect(res.status).toBe(304);
+    });
+
+    it('serves a feed per tag', async () => {
+      const res = await ctx.request().get('/tags/databases/feed.json');
+
+      expect(res.status).toBe(200);
+      expect(JSON.parse(res.text).items).toHaveLength(2);
+    });
+
+    it('returns 404 for an unknown tag', async () => {
+      const res = await ctx.request().get('/tags/nope/feed.xml');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Tag not found');
+    });
+  });
+
+  describe('sitemap and robots.txt', () => {
+    it('splits the sitemap into an index past the URL limit', async () => {
+      const res = await ctx.request().get('/sitemap.xml');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^application\/xml/);
+      expect(res.text).toContain('<sitemapindex');
+      expect(res.text).toContain('/sitemap-2.xml');
+    });
+
+    it('serves each sitemap page', async () => {
+      const res = await ctx.request().get('/sitemap-1.xml');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<urlset');
+    });
+
+    it('returns 404 past the last page', async () => {
+      const res = await ctx.request().get('/sitemap-9.xml');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('serves robots.txt', async () => {
+      const res = await ctx.request().get('/robots.txt');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toMatch(/^User-agent: \*/);
+      expect(res.text).toContain('sitemap.xml');
+    });
+  });
+});